@@ -4,9 +4,34 @@ import cookieParser from 'cookie-parser';
 
 const app = express();
 
+// Behind a load balancer / reverse proxy, req.ip (used by rate limits and
+// session records) must come from X-Forwarded-For: set TRUST_PROXY to the
+// number of proxy hops (or any value express accepts)
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(cors({
     origin: process.env.CORS_ORIGIN || "http://localhost:8000",
-    credentials: true
+    credentials: true,
+    // Response headers browser clients need to read (rate limits, tus uploads)
+    exposedHeaders: [
+        "Retry-After",
+        "RateLimit-Policy",
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+        "Location",
+        "Upload-Offset",
+        "Upload-Length",
+        "Upload-Expires",
+        "Upload-Metadata",
+        "Tus-Resumable",
+        "Tus-Version",
+        "Tus-Extension",
+        "Tus-Max-Size"
+    ]
 }));
 
 app.use(express.json({ limit: "20kb" }));
@@ -16,8 +41,48 @@ app.use(cookieParser());
 
 // Routes
 import userRouter from './routes/user.routes.js';
+import videoRouter from './routes/video.routes.js';
+import subscriptionRouter from './routes/subscription.routes.js';
+import commentRouter from './routes/comment.routes.js';
+import likeRouter from './routes/like.routes.js';
+import playlistRouter from './routes/playlist.routes.js';
+import searchRouter from './routes/search.routes.js';
+import oauthRouter from './routes/oauth.routes.js';
+import adminRouter from './routes/admin.routes.js';
+import dashboardRouter from './routes/dashboard.routes.js';
+import notificationRouter from './routes/notification.routes.js';
+import feedRouter from './routes/feed.routes.js';
+import uploadRouter from './routes/upload.routes.js';
+import postRouter from './routes/post.routes.js';
+import reportRouter from './routes/report.routes.js';
+import mediaRouter from './routes/media.routes.js';
 
 // Route declaration
 app.use("/users", userRouter);
+app.use("/videos", videoRouter);
+app.use("/subscriptions", subscriptionRouter);
+app.use("/comments", commentRouter);
+app.use("/likes", likeRouter);
+app.use("/playlists", playlistRouter);
+app.use("/search", searchRouter);
+app.use("/oauth", oauthRouter);
+app.use("/admin", adminRouter);
+app.use("/dashboard", dashboardRouter);
+app.use("/notifications", notificationRouter);
+app.use("/feed", feedRouter);
+app.use("/uploads", uploadRouter);
+app.use("/posts", postRouter);
+app.use("/reports", reportRouter);
+app.use("/media", mediaRouter);
+
+// Domain events (uploads, comments, subscriptions) → notifications
+import { registerNotificationListeners } from './utils/notifications/index.js';
+
+registerNotificationListeners();
+
+// Error handler (must come after every route)
+import { errorHandler } from './middlewares/error.middleware.js';
+
+app.use(errorHandler);
 
 export default app;
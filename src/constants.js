@@ -1 +1,47 @@
-export const  DB_NAME = "NovaStreamDB"
\ No newline at end of file
+export const  DB_NAME = "NovaStreamDB"
+
+// Roles in ascending order of power
+export const ROLES = ["user", "moderator", "admin"];
+
+export const ACCOUNT_STATUSES = ["active", "suspended", "banned"];
+
+// What each role may do beyond its own content
+export const ROLE_PERMISSIONS = {
+    user: [],
+    moderator: [
+        "users:read",
+        "users:suspend",
+        "videos:unpublish",
+        "reports:review",
+        "audit:read"
+    ],
+    admin: [
+        "users:read",
+        "users:suspend",
+        "users:ban",
+        "users:manage_roles",
+        "sessions:revoke",
+        "videos:unpublish",
+        "videos:delete",
+        "reports:review",
+        "audit:read"
+    ]
+};
+
+// What a user can be notified about; each one can be switched off in the
+// user's notification preferences
+export const NOTIFICATION_TYPES = ["video_published", "comment", "reply", "new_subscriber"];
+
+// What can be reported; a "User" report is about a whole channel
+export const REPORT_TARGET_TYPES = ["Video", "Comment", "Post", "User"];
+
+export const REPORT_REASONS = [
+    "spam",
+    "harassment",
+    "hate_speech",
+    "violence",
+    "sexual_content",
+    "misinformation",
+    "copyright",
+    "other"
+];
@@ -0,0 +1,617 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { Report } from "../models/report.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserProfile } from "../utils/pipelines.js";
+import { revokeSessions } from "../utils/session.js";
+import { recordAudit } from "../utils/audit.js";
+import { removeVideo } from "../utils/videoRemoval.js";
+import { removePost } from "../utils/postRemoval.js";
+import { removeComment } from "../utils/commentRemoval.js";
+import { REPORT_TARGETS, findReportTarget, unhideTarget, resolveReports } from "../utils/reports.js";
+import { ROLES } from "../constants.js";
+
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Fields an admin sees on a user; secrets never leave the database
+const ADMIN_USER_FIELDS = "username email fullName avatar role status statusReason suspendedUntil isEmailVerified twoFactor.enabled createdAt";
+
+
+// -------------------------------
+// Load a user the current actor is allowed to act on
+// -------------------------------
+// Nobody acts on themselves, and only a higher role can act on a user.
+const findManageableUser = async (req, userId) => {
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user id.");
+    }
+
+    const user = await User.findById(userId).select(ADMIN_USER_FIELDS);
+
+    if (!user) {
+        throw new ApiError(404, "User not found.");
+    }
+
+    if (user._id.equals(req.user._id)) {
+        throw new ApiError(400, "You can't perform this action on your own account.");
+    }
+
+    if (ROLES.indexOf(user.role) >= ROLES.indexOf(req.user.role)) {
+        throw new ApiError(403, "You can't manage a user with an equal or higher role.");
+    }
+
+    return user;
+};
+
+const findVideo = async (videoId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id.");
+    }
+
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+        throw new ApiError(404, "Video not found.");
+    }
+
+    return video;
+};
+
+
+// -------------------------------
+// List / Search Users (paginated)
+// -------------------------------
+const listUsers = asyncHandler(async (req, res) => {
+    const { q, role, status } = req.query;
+
+    const match = {};
+    if (role) match.role = role;
+    if (status) match.status = status;
+
+    // Case-insensitive "contains" match on the identifying fields
+    if (q) {
+        const pattern = new RegExp(escapeRegex(q), "i");
+        match.$or = [{ username: pattern }, { email: pattern }, { fullName: pattern }];
+    }
+
+    const pipeline = [
+        { $match: match },
+        { $sort: { createdAt: -1, _id: -1 } },
+        {
+            $project: Object.fromEntries(
+                ADMIN_USER_FIELDS.split(" ").map((field) => [field, 1])
+            )
+        }
+    ];
+
+    const users = await User.aggregatePaginate(
+        User.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, users, "Users fetched successfully."));
+});
+
+
+// -------------------------------
+// Get One User
+// -------------------------------
+const getUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user id.");
+    }
+
+    const user = await User.findById(userId).select(ADMIN_USER_FIELDS);
+
+    if (!user) {
+        throw new ApiError(404, "User not found.");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User fetched successfully."));
+});
+
+
+// -------------------------------
+// Suspend / Ban / Reinstate
+// -------------------------------
+// Shared with the report queue, which passes the case it came from in `metadata`
+const suspendAccount = async (req, user, { reason, until, metadata = {} }) => {
+    user.status = "suspended";
+    user.statusReason = reason;
+    user.suspendedUntil = until;
+    await user.save({ validateBeforeSave: false });
+
+    // Signed-in devices are cut off right away, not at token expiry
+    await revokeSessions({ user: user._id }, "suspended");
+    await recordAudit(req, {
+        action: "user.suspend",
+        targetType: "User",
+        target: user._id,
+        metadata: { reason, until: until || null, ...metadata }
+    });
+};
+
+const suspendUser = asyncHandler(async (req, res) => {
+    const { reason, until } = req.body;
+
+    const user = await findManageableUser(req, req.params.userId);
+
+    await suspendAccount(req, user, { reason, until });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User suspended successfully."));
+});
+
+const banUser = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    const user = await findManageableUser(req, req.params.userId);
+
+    user.status = "banned";
+    user.statusReason = reason;
+    user.suspendedUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeSessions({ user: user._id }, "banned");
+    await recordAudit(req, {
+        action: "user.ban",
+        targetType: "User",
+        target: user._id,
+        metadata: { reason }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User banned successfully."));
+});
+
+const reinstateUser = asyncHandler(async (req, res) => {
+    const user = await findManageableUser(req, req.params.userId);
+    const previousStatus = user.status;
+
+    // Lifting a ban takes the same permission as imposing one
+    if (previousStatus === "banned" && !req.user.hasPermission("users:ban")) {
+        throw new ApiError(403, "You do not have permission to lift a ban.");
+    }
+
+    user.status = "active";
+    user.statusReason = undefined;
+    user.suspendedUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+        action: "user.reinstate",
+        targetType: "User",
+        target: user._id,
+        metadata: { previousStatus }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User reinstated successfully."));
+});
+
+
+// -------------------------------
+// Change Role
+// -------------------------------
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { role } = req.body;
+
+    const user = await findManageableUser(req, req.params.userId);
+    const previousRole = user.role;
+
+    // Admins can't mint peers through this route either
+    if (ROLES.indexOf(role) >= ROLES.indexOf(req.user.role)) {
+        throw new ApiError(403, "You can't grant a role equal to or higher than your own.");
+    }
+
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+        action: "user.role.update",
+        targetType: "User",
+        target: user._id,
+        metadata: { from: previousRole, to: role }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User role updated successfully."));
+});
+
+
+// -------------------------------
+// Revoke All Sessions Of A User
+// -------------------------------
+const revokeUserSessions = asyncHandler(async (req, res) => {
+    const user = await findManageableUser(req, req.params.userId);
+
+    const { modifiedCount } = await revokeSessions({ user: user._id }, "revoked_by_admin");
+
+    await recordAudit(req, {
+        action: "user.sessions.revoke",
+        targetType: "User",
+        target: user._id,
+        metadata: { revoked: modifiedCount }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { revoked: modifiedCount }, "User sessions revoked successfully."));
+});
+
+
+// -------------------------------
+// Force-Unpublish / Restore / Delete Any Video
+// -------------------------------
+// Shared with the report queue, where "remove" takes a video down this way
+const lockVideo = async (req, video, { reason, metadata = {} }) => {
+    video.isPublished = false;
+    video.moderationLock = { reason, by: req.user._id, at: new Date() };
+    await video.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+        action: "video.unpublish",
+        targetType: "Video",
+        target: video._id,
+        metadata: { reason, owner: video.owner, ...metadata }
+    });
+};
+
+const unpublishVideo = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    const video = await findVideo(req.params.videoId);
+
+    await lockVideo(req, video, { reason });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video unpublished successfully."));
+});
+
+// Lifts the lock; the owner decides whether to publish again
+const restoreVideo = asyncHandler(async (req, res) => {
+    const video = await findVideo(req.params.videoId);
+
+    if (!video.moderationLock?.at) {
+        throw new ApiError(400, "Video is not locked by moderation.");
+    }
+
+    video.moderationLock = undefined;
+    await video.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+        action: "video.restore",
+        targetType: "Video",
+        target: video._id,
+        metadata: { owner: video.owner }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video moderation lock lifted."));
+});
+
+const deleteAnyVideo = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    const video = await findVideo(req.params.videoId);
+
+    await removeVideo(video);
+
+    await recordAudit(req, {
+        action: "video.delete",
+        targetType: "Video",
+        target: video._id,
+        metadata: { reason, owner: video.owner, title: video.title }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Video deleted successfully."));
+});
+
+
+// -------------------------------
+// Report Queue
+// -------------------------------
+// A case is every open report on one target. Resolving a case closes all of
+// them with the same resolution and lifts an auto-hide.
+
+// Attach what each case is about as `content` (null once it's been deleted)
+const attachReportTargets = async (cases) => {
+    for (const [targetType, { model, previewFields }] of Object.entries(REPORT_TARGETS)) {
+        const ids = cases.filter((item) => item.targetType === targetType).map((item) => item.target);
+        if (!ids.length) continue;
+
+        const docs = await model.find({ _id: { $in: ids } }).select(previewFields).lean();
+        const byId = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+
+        for (const item of cases) {
+            if (item.targetType === targetType) {
+                item.content = byId.get(item.target.toString()) || null;
+            }
+        }
+    }
+
+    return cases;
+};
+
+const countOpenReports = async (targetType, targetId) => {
+    const openReports = await Report.countDocuments({ targetType, target: targetId, status: "open" });
+
+    if (!openReports) {
+        throw new ApiError(404, "There are no open reports on this target.");
+    }
+
+    return openReports;
+};
+
+// Open cases, most reported first and oldest first among equals
+const getReportQueue = asyncHandler(async (req, res) => {
+    const { targetType, reason } = req.query;
+
+    const match = { status: "open" };
+    if (targetType) match.targetType = targetType;
+
+    const pipeline = [
+        { $match: match },
+        // Per target and reason first, so each case lists how often each reason came up
+        {
+            $group: {
+                _id: { targetType: "$targetType", target: "$target", reason: "$reason" },
+                count: { $sum: 1 },
+                firstReportedAt: { $min: "$createdAt" },
+                lastReportedAt: { $max: "$createdAt" },
+                targetOwner: { $first: "$targetOwner" }
+            }
+        },
+        {
+            $group: {
+                _id: { targetType: "$_id.targetType", target: "$_id.target" },
+                reportCount: { $sum: "$count" },
+                reasons: { $push: { reason: "$_id.reason", count: "$count" } },
+                firstReportedAt: { $min: "$firstReportedAt" },
+                lastReportedAt: { $max: "$lastReportedAt" },
+                targetOwner: { $first: "$targetOwner" }
+            }
+        },
+        ...(reason ? [{ $match: { "reasons.reason": reason } }] : []),
+        { $sort: { reportCount: -1, firstReportedAt: 1, "_id.target": 1 } },
+        {
+            $project: {
+                _id: 0,
+                targetType: "$_id.targetType",
+                target: "$_id.target",
+                reportCount: 1,
+                reasons: 1,
+                firstReportedAt: 1,
+                lastReportedAt: 1,
+                targetOwner: 1
+            }
+        },
+        ...lookupUserProfile("targetOwner")
+    ];
+
+    const queue = await Report.aggregatePaginate(
+        Report.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+    await attachReportTargets(queue.docs);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, queue, "Report queue fetched successfully."));
+});
+
+// One target's reports (open and resolved, newest first) with the target itself
+const getReportCase = asyncHandler(async (req, res) => {
+    const { targetType, targetId } = req.params;
+    const { status } = req.query;
+
+    const match = { targetType, target: new mongoose.Types.ObjectId(targetId) };
+    if (status) match.status = status;
+
+    const pipeline = [
+        { $match: match },
+        { $sort: { createdAt: -1, _id: -1 } },
+        ...lookupUserProfile("reporter")
+    ];
+
+    const reports = await Report.aggregatePaginate(
+        Report.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+    const [{ content }] = await attachReportTargets([{ targetType, target: targetId }]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { targetType, target: targetId, content, reports }, "Reports fetched successfully."));
+});
+
+// Nothing wrong with the target: close the reports and show it again
+const dismissReports = asyncHandler(async (req, res) => {
+    const { targetType, targetId } = req.params;
+    const { note } = req.body;
+
+    await countOpenReports(targetType, targetId);
+
+    await unhideTarget(targetType, targetId);
+    const resolved = await resolveReports(targetType, [targetId], {
+        action: "dismissed",
+        note,
+        by: req.user._id
+    });
+
+    await recordAudit(req, {
+        action: "report.dismiss",
+        targetType,
+        target: targetId,
+        metadata: { note: note || null, reports: resolved }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { resolved }, "Reports dismissed."));
+});
+
+const findReportedContent = async (targetType, targetId) => {
+    const { label, model } = REPORT_TARGETS[targetType];
+    const doc = await model.findById(targetId);
+
+    if (!doc) {
+        throw new ApiError(404, `${label} not found.`);
+    }
+
+    return doc;
+};
+
+// Videos are unpublished under a moderation lock (an admin can still delete
+// them); comments and posts are deleted with everything under them, and
+// their removal closes the open reports with `resolution`
+const takeDownContent = async (req, targetType, doc, { reason, reports, resolution }) => {
+    if (targetType === "Video") {
+        doc.hiddenAt = undefined;
+        await lockVideo(req, doc, { reason, metadata: { reports } });
+        return;
+    }
+
+    if (targetType === "Post") {
+        await removePost(doc, resolution);
+    } else {
+        await removeComment(doc, resolution);
+    }
+
+    await recordAudit(req, {
+        action: `${targetType.toLowerCase()}.delete`,
+        targetType,
+        target: doc._id,
+        metadata: { reason, owner: doc.owner, reports }
+    });
+};
+
+const removeReportedContent = asyncHandler(async (req, res) => {
+    const { targetType, targetId } = req.params;
+    const { reason } = req.body;
+
+    if (!REPORT_TARGETS[targetType].hideable) {
+        throw new ApiError(400, "A channel can't be removed; suspend its owner instead.");
+    }
+
+    const openReports = await countOpenReports(targetType, targetId);
+    const doc = await findReportedContent(targetType, targetId);
+    const resolution = { action: "removed", note: reason, by: req.user._id };
+
+    // Reports are closed only once the content is down, so a failed takedown
+    // leaves the case in the queue
+    await takeDownContent(req, targetType, doc, { reason, reports: openReports, resolution });
+    await resolveReports(targetType, [targetId], resolution);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { resolved: openReports }, "Reported content removed."));
+});
+
+// The owner is suspended; the content is shown again unless removeContent is set
+const suspendReportedOwner = asyncHandler(async (req, res) => {
+    const { targetType, targetId } = req.params;
+    const { reason, until, removeContent } = req.body;
+
+    if (removeContent && !REPORT_TARGETS[targetType].hideable) {
+        throw new ApiError(400, "A channel can't be removed; suspend its owner instead.");
+    }
+
+    const openReports = await countOpenReports(targetType, targetId);
+    const { owner } = await findReportTarget(targetType, targetId);
+    const user = await findManageableUser(req, owner);
+    const doc = removeContent ? await findReportedContent(targetType, targetId) : null;
+
+    const resolution = { action: "owner_suspended", note: reason, by: req.user._id };
+
+    if (doc) {
+        await takeDownContent(req, targetType, doc, { reason, reports: openReports, resolution });
+    } else {
+        await unhideTarget(targetType, targetId);
+    }
+
+    await suspendAccount(req, user, {
+        reason,
+        until,
+        metadata: { report: { targetType, target: targetId } }
+    });
+    await resolveReports(targetType, [targetId], resolution);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { resolved: openReports, user }, "Owner suspended."));
+});
+
+
+// -------------------------------
+// Audit Log (paginated, newest first)
+// -------------------------------
+const getAuditLogs = asyncHandler(async (req, res) => {
+    const { actor, target, action, from, to } = req.query;
+
+    const match = {};
+    if (actor) match.actor = new mongoose.Types.ObjectId(actor);
+    if (target) match.target = new mongoose.Types.ObjectId(target);
+    if (action) match.action = action;
+
+    if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = from;
+        if (to) match.createdAt.$lte = to;
+    }
+
+    const pipeline = [
+        { $match: match },
+        { $sort: { createdAt: -1, _id: -1 } },
+        ...lookupUserProfile("actor")
+    ];
+
+    const logs = await AuditLog.aggregatePaginate(
+        AuditLog.aggregate(pipeline),
+        getPaginationOptions(req.query, 100)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, logs, "Audit logs fetched successfully."));
+});
+
+
+export {
+    listUsers,
+    getUser,
+    suspendUser,
+    banUser,
+    reinstateUser,
+    updateUserRole,
+    revokeUserSessions,
+    unpublishVideo,
+    restoreVideo,
+    deleteAnyVideo,
+    getReportQueue,
+    getReportCase,
+    dismissReports,
+    removeReportedContent,
+    suspendReportedOwner,
+    getAuditLogs
+};
@@ -0,0 +1,248 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Caption } from "../models/caption.model.js";
+import { uploadFile, deleteAsset, getAssetSource } from "../utils/storage/index.js";
+import { sendRange } from "../utils/httpRange.js";
+import { convertToWebVtt } from "../utils/captions.js";
+import { captionTrackFields } from "../utils/pipelines.js";
+
+
+const MAX_TRACKS_PER_VIDEO = 50;
+
+// What clients see of a track (same fields as captionTrackFields)
+const toTrack = (caption) => ({
+    _id: caption._id,
+    language: caption.language,
+    label: caption.label,
+    kind: caption.kind,
+    isDefault: caption.isDefault,
+    cueCount: caption.cueCount,
+    updatedAt: caption.updatedAt
+});
+
+// English name of the language when no label is given ("pt-BR" → "Brazilian Portuguese")
+const defaultLabel = (language) =>
+    new Intl.DisplayNames(["en"], { type: "language" }).of(language) || language;
+
+
+// Unpublished or hidden videos (and their tracks) are only visible to their owner
+const findVisibleVideo = async (videoId, user) => {
+    const video = await Video.findById(videoId).select("owner isPublished hiddenAt");
+    const isOwner = video?.owner?.toString() === user?._id.toString();
+
+    if (!video || ((!video.isPublished || video.hiddenAt) && !isOwner)) {
+        throw new ApiError(404, "Video not found.");
+    }
+    return video;
+};
+
+const findOwnedVideo = async (videoId, userId) => {
+    const video = await Video.findById(videoId).select("owner");
+
+    if (!video) {
+        throw new ApiError(404, "Video not found.");
+    }
+    if (video.owner?.toString() !== userId.toString()) {
+        throw new ApiError(403, "Only the video owner can manage its captions.");
+    }
+    return video;
+};
+
+const findCaption = async (captionId, videoId) => {
+    const caption = await Caption.findOne({ _id: captionId, video: videoId });
+
+    if (!caption) {
+        throw new ApiError(404, "Caption track not found.");
+    }
+    return caption;
+};
+
+
+// -------------------------------
+// Validate, convert to WebVTT and store an uploaded file → { file, cueCount }
+// -------------------------------
+// The upload middleware already checked the field's policy; the temp file
+// it left is removed with the response.
+const storeCaptionFile = async (uploaded, videoId) => {
+    const format = uploaded.mimetype === "application/x-subrip" ? "srt" : "vtt";
+    const { vtt, cueCount } = convertToWebVtt(await fs.promises.readFile(uploaded.path), format);
+
+    const localPath = path.join(path.dirname(uploaded.path), `${crypto.randomUUID()}.vtt`);
+    await fs.promises.writeFile(localPath, vtt);
+
+    const file = await uploadFile(localPath, { folder: `captions/${videoId}` });
+
+    if (!file?.url) {
+        throw new ApiError(500, "Error while uploading caption file.");
+    }
+    return { file, cueCount };
+};
+
+// Save a track; a file stored for it is removed again if the save fails
+// (e.g. 409 when the video has that language and kind already)
+const saveCaption = async (caption, storedFile) => {
+    // Clear the old default first, so the one-default index lets this one in
+    let previousDefault = null;
+    if (caption.isDefault && caption.isModified("isDefault")) {
+        previousDefault = await Caption.findOneAndUpdate(
+            { video: caption.video, isDefault: true, _id: { $ne: caption._id } },
+            { $set: { isDefault: false } }
+        ).select("_id");
+    }
+
+    try {
+        await caption.save();
+    } catch (error) {
+        // The video keeps the default it had
+        if (previousDefault) {
+            await Caption.updateOne({ _id: previousDefault._id }, { $set: { isDefault: true } });
+        }
+        await deleteAsset(storedFile);
+        throw error;
+    }
+};
+
+
+// -------------------------------
+// List Tracks
+// -------------------------------
+const getVideoCaptions = asyncHandler(async (req, res) => {
+    const video = await findVisibleVideo(req.params.videoId, req.user);
+
+    const captions = await Caption.aggregate([
+        { $match: { video: new mongoose.Types.ObjectId(video._id) } },
+        ...captionTrackFields
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, captions, "Captions fetched successfully."));
+});
+
+
+// -------------------------------
+// Add a Track (multipart: captionFile + details)
+// -------------------------------
+const addCaption = asyncHandler(async (req, res) => {
+    const { language, label, kind, isDefault } = req.body;
+
+    const video = await findOwnedVideo(req.params.videoId, req.user._id);
+
+    if (!req.file) {
+        throw new ApiError(400, "Caption file is required.");
+    }
+
+    const trackCount = await Caption.countDocuments({ video: video._id });
+    if (trackCount >= MAX_TRACKS_PER_VIDEO) {
+        throw new ApiError(400, `A video can have at most ${MAX_TRACKS_PER_VIDEO} caption tracks.`);
+    }
+
+    const { file, cueCount } = await storeCaptionFile(req.file, video._id);
+
+    const caption = new Caption({
+        video: video._id,
+        language,
+        label: label || defaultLabel(language),
+        kind,
+        isDefault: isDefault || false,
+        file,
+        cueCount
+    });
+
+    await saveCaption(caption, file);
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, toTrack(caption), "Caption track added."));
+});
+
+
+// -------------------------------
+// Update / Replace a Track
+// -------------------------------
+// Details change in place; a new captionFile replaces the cues, and the old
+// file is removed only once the new one is saved.
+const updateCaption = asyncHandler(async (req, res) => {
+    const { language, label, kind, isDefault } = req.body;
+
+    const video = await findOwnedVideo(req.params.videoId, req.user._id);
+    const caption = await findCaption(req.params.captionId, video._id);
+
+    if (!req.file && [language, label, kind, isDefault].every((value) => value === undefined)) {
+        throw new ApiError(400, "Nothing to update.");
+    }
+
+    if (language) caption.language = language;
+    if (label) caption.label = label;
+    if (kind) caption.kind = kind;
+    if (isDefault !== undefined) caption.isDefault = isDefault;
+
+    let oldFile = null;
+    let storedFile = null;
+    if (req.file) {
+        const stored = await storeCaptionFile(req.file, video._id);
+
+        oldFile = caption.file.toObject();
+        storedFile = stored.file;
+        caption.file = stored.file;
+        caption.cueCount = stored.cueCount;
+    }
+
+    await saveCaption(caption, storedFile);
+    await deleteAsset(oldFile);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, toTrack(caption), "Caption track updated."));
+});
+
+
+// -------------------------------
+// Delete a Track
+// -------------------------------
+const deleteCaption = asyncHandler(async (req, res) => {
+    const video = await findOwnedVideo(req.params.videoId, req.user._id);
+    const caption = await findCaption(req.params.captionId, video._id);
+
+    await Caption.deleteOne({ _id: caption._id });
+    await deleteAsset(caption.file);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Caption track deleted."));
+});
+
+
+// -------------------------------
+// Serve a Track's WebVTT file (GET & HEAD, byte ranges)
+// -------------------------------
+// For <track src>; served from here rather than the storage URL so the
+// content type is always text/vtt and drafts stay private.
+const getCaptionFile = asyncHandler(async (req, res) => {
+    const video = await findVisibleVideo(req.params.videoId, req.user);
+    const caption = await findCaption(req.params.captionId, video._id);
+
+    const source = await getAssetSource(caption.file);
+
+    res.setHeader(
+        "Cache-Control",
+        video.isPublished && !video.hiddenAt ? "private, max-age=0, must-revalidate" : "private, no-store"
+    );
+
+    await sendRange(req, res, { ...source, contentType: "text/vtt; charset=utf-8" });
+});
+
+
+export {
+    getVideoCaptions,
+    addCaption,
+    updateCaption,
+    deleteCaption,
+    getCaptionFile
+};
@@ -0,0 +1,324 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { Post } from "../models/post.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserProfile, lookupLikes } from "../utils/pipelines.js";
+import { emitDomainEvent } from "../utils/domainEvents.js";
+import { removeComment } from "../utils/commentRemoval.js";
+import { findVisibleVideo, findVisiblePost, assertSubjectVisible } from "../utils/commentSubject.js";
+
+
+// Comments hidden by reports are left out, except for their own author
+const visibleComments = (userId) => ({
+    $or: [{ hiddenAt: null }, { owner: userId }]
+});
+
+// Count direct replies of each comment; replies hidden by reports don't count
+const lookupReplyCount = [
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "parent",
+            as: "replies",
+            pipeline: [
+                { $match: { hiddenAt: null } },
+                { $project: { _id: 1 } }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            replyCount: { $size: "$replies" }
+        }
+    },
+    {
+        $project: {
+            replies: 0
+        }
+    }
+];
+
+
+// -------------------------------
+// Find a comment
+// -------------------------------
+const findComment = async (commentId) => {
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid comment id.");
+    }
+
+    const comment = await Comment.findById(commentId);
+
+    if (!comment) {
+        throw new ApiError(404, "Comment not found.");
+    }
+
+    return comment;
+};
+
+// Comments hang off a video or a post; `{ video }` / `{ post }` matches its comments
+const subjectOf = (comment) =>
+    comment.post ? { post: comment.post } : { video: comment.video };
+
+// Uploader of the video / author of the post a comment is on
+const findSubjectOwner = async (comment) => {
+    const subject = comment.post
+        ? await Post.findById(comment.post).select("owner")
+        : await Video.findById(comment.video).select("owner");
+
+    return subject?.owner;
+};
+
+
+// -------------------------------
+// Top-level comments on a video / post (pinned first, newest next)
+// -------------------------------
+const listTopLevelComments = (subject, req) => {
+    const pipeline = [
+        {
+            $match: {
+                ...subject,
+                parent: null,
+                ...visibleComments(req.user._id)
+            }
+        },
+        { $sort: { isPinned: -1, createdAt: -1, _id: -1 } },
+        ...lookupUserProfile("owner"),
+        ...lookupReplyCount,
+        ...lookupLikes("Comment", req.user._id)
+    ];
+
+    return Comment.aggregatePaginate(
+        Comment.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+};
+
+const getVideoComments = asyncHandler(async (req, res) => {
+    const video = await findVisibleVideo(req.params.videoId, req.user);
+
+    const comments = await listTopLevelComments({ video: video._id }, req);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, comments, "Comments fetched successfully."));
+});
+
+const getPostComments = asyncHandler(async (req, res) => {
+    const post = await findVisiblePost(req.params.postId, req.user);
+
+    const comments = await listTopLevelComments({ post: post._id }, req);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, comments, "Comments fetched successfully."));
+});
+
+
+// -------------------------------
+// Get Replies of a Comment (oldest first, like a conversation)
+// -------------------------------
+const getCommentReplies = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+
+    const parent = await findComment(commentId);
+    await assertSubjectVisible(parent, req.user);
+
+    if (parent.hiddenAt && !parent.owner.equals(req.user._id)) {
+        throw new ApiError(404, "Comment not found.");
+    }
+
+    const pipeline = [
+        {
+            $match: {
+                parent: new mongoose.Types.ObjectId(commentId),
+                ...visibleComments(req.user._id)
+            }
+        },
+        { $sort: { createdAt: 1, _id: 1 } },
+        ...lookupUserProfile("owner"),
+        ...lookupReplyCount,
+        ...lookupLikes("Comment", req.user._id)
+    ];
+
+    const replies = await Comment.aggregatePaginate(
+        Comment.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, replies, "Replies fetched successfully."));
+});
+
+
+// -------------------------------
+// Add Comment / Reply
+// -------------------------------
+// `subject` is { video } or { post }
+const createComment = async (subject, { content, parentId }, userId) => {
+    if (!content?.trim()) {
+        throw new ApiError(400, "Comment content is required.");
+    }
+
+    // Replies must stay on the same video / post as their parent
+    if (parentId) {
+        const parent = await findComment(parentId);
+        const [field, id] = Object.entries(subject)[0];
+
+        if (!parent[field]?.equals(id)) {
+            throw new ApiError(400, `Parent comment belongs to another ${field}.`);
+        }
+
+        // A comment hidden by reports takes no replies until a moderator clears it
+        if (parent.hiddenAt) {
+            if (!parent.owner.equals(userId)) {
+                throw new ApiError(404, "Comment not found.");
+            }
+            throw new ApiError(403, "This comment is under review and can't be replied to.");
+        }
+    }
+
+    const comment = await Comment.create({
+        content: content.trim(),
+        ...subject,
+        owner: userId,
+        parent: parentId || null
+    });
+
+    emitDomainEvent("comment.created", { comment });
+
+    return comment;
+};
+
+const addComment = asyncHandler(async (req, res) => {
+    const video = await findVisibleVideo(req.params.videoId, req.user);
+
+    const comment = await createComment({ video: video._id }, req.body, req.user._id);
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, comment, "Comment added successfully."));
+});
+
+const addPostComment = asyncHandler(async (req, res) => {
+    const post = await findVisiblePost(req.params.postId, req.user);
+
+    const comment = await createComment({ post: post._id }, req.body, req.user._id);
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, comment, "Comment added successfully."));
+});
+
+
+// -------------------------------
+// Edit Own Comment
+// -------------------------------
+const updateComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+    const { content } = req.body;
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "Comment content is required.");
+    }
+
+    const comment = await findComment(commentId);
+
+    if (!comment.owner.equals(req.user._id)) {
+        throw new ApiError(403, "You can only edit your own comments.");
+    }
+
+    comment.content = content.trim();
+    comment.isEdited = true;
+    await comment.save();
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, comment, "Comment updated successfully."));
+});
+
+
+// -------------------------------
+// Delete Comment (author or video / post owner) with its whole thread
+// -------------------------------
+const deleteComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+
+    const comment = await findComment(commentId);
+    const subjectOwner = await findSubjectOwner(comment);
+
+    const isAuthor = comment.owner.equals(req.user._id);
+    const isSubjectOwner = subjectOwner?.equals(req.user._id);
+
+    if (!isAuthor && !isSubjectOwner) {
+        throw new ApiError(403, "You are not allowed to delete this comment.");
+    }
+
+    const deletedCount = await removeComment(comment);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { deletedCount },
+            "Comment deleted successfully."
+        ));
+});
+
+
+// -------------------------------
+// Pin / Unpin a Top-level Comment (video / post owner only)
+// -------------------------------
+const togglePinComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+
+    const comment = await findComment(commentId);
+    const subjectOwner = await findSubjectOwner(comment);
+
+    if (!subjectOwner?.equals(req.user._id)) {
+        throw new ApiError(403, "Only the owner of the video or post can pin comments.");
+    }
+
+    if (comment.parent) {
+        throw new ApiError(400, "Replies cannot be pinned.");
+    }
+
+    const isPinned = !comment.isPinned;
+
+    // Only one pinned comment per video / post
+    if (isPinned) {
+        await Comment.updateMany(
+            { ...subjectOf(comment), isPinned: true },
+            { $set: { isPinned: false } }
+        );
+    }
+
+    comment.isPinned = isPinned;
+    await comment.save({ timestamps: false });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { isPinned },
+            isPinned ? "Comment pinned." : "Comment unpinned."
+        ));
+});
+
+
+export {
+    getVideoComments,
+    getPostComments,
+    getCommentReplies,
+    addComment,
+    addPostComment,
+    updateComment,
+    deleteComment,
+    togglePinComment
+};
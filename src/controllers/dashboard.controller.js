@@ -0,0 +1,280 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { VideoDailyStats } from "../models/videoDailyStats.model.js";
+import { ChannelDailyStats } from "../models/channelDailyStats.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { startOfUtcDay } from "../utils/analytics.js";
+
+
+const DEFAULT_RANGE_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const VIDEO_SORT_FIELDS = {
+    views: "views",
+    watchTime: "watchedSeconds",
+    averageViewDuration: "averageViewDuration"
+};
+
+
+// Whole UTC days, both ends inclusive; the last 28 days by default
+const resolveRange = ({ from, to }) => {
+    const end = startOfUtcDay(to || new Date());
+    const start = from ? startOfUtcDay(from) : new Date(end - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+    return { start, end };
+};
+
+// Start of the day / week (Monday) / month `date` falls in, in UTC
+const truncateDate = (date, interval) => {
+    const day = startOfUtcDay(date);
+
+    if (interval === "week") {
+        return new Date(day - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    }
+    if (interval === "month") {
+        return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    }
+    return day;
+};
+
+const nextPeriod = (date, interval) => {
+    if (interval === "month") {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    }
+    return new Date(date.getTime() + (interval === "week" ? 7 : 1) * DAY_MS);
+};
+
+// Every period in the range, in order, with empty ones filled by `empty`
+const fillPeriods = (rows, { start, end, interval, empty }) => {
+    const byPeriod = new Map(rows.map(({ _id, ...values }) => [_id.getTime(), values]));
+    const series = [];
+
+    for (let period = truncateDate(start, interval); period <= end; period = nextPeriod(period, interval)) {
+        series.push({ period, ...empty, ...byPeriod.get(period.getTime()) });
+    }
+
+    return series;
+};
+
+const groupByPeriod = (interval) => ({
+    $dateTrunc: { date: "$day", unit: interval, startOfWeek: "monday" }
+});
+
+
+// -------------------------------
+// Channel Totals (all time)
+// -------------------------------
+const getChannelOverview = asyncHandler(async (req, res) => {
+    const owner = new mongoose.Types.ObjectId(req.user._id);
+
+    const [videoTotals] = await Video.aggregate([
+        { $match: { owner } },
+        {
+            $group: {
+                _id: null,
+                videos: { $sum: 1 },
+                publishedVideos: { $sum: { $cond: ["$isPublished", 1, 0] } },
+                views: { $sum: "$views" },
+                videoIds: { $push: "$_id" }
+            }
+        }
+    ]);
+
+    const [likes, subscribers, [watchTotals]] = await Promise.all([
+        videoTotals
+            ? Like.countDocuments({ targetType: "Video", target: { $in: videoTotals.videoIds } })
+            : 0,
+        Subscription.countDocuments({ channel: owner }),
+        VideoDailyStats.aggregate([
+            { $match: { owner } },
+            { $group: { _id: null, watchedSeconds: { $sum: "$watchedSeconds" } } }
+        ])
+    ]);
+
+    const overview = {
+        videos: videoTotals?.videos || 0,
+        publishedVideos: videoTotals?.publishedVideos || 0,
+        views: videoTotals?.views || 0,
+        likes,
+        subscribers,
+        watchedSeconds: watchTotals?.watchedSeconds || 0
+    };
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, overview, "Channel overview fetched successfully."));
+});
+
+
+// -------------------------------
+// Views & Watch Time Per Day / Week / Month
+// -------------------------------
+const getViewsTimeSeries = asyncHandler(async (req, res) => {
+    const { interval = "day" } = req.query;
+    const { start, end } = resolveRange(req.query);
+
+    const rows = await VideoDailyStats.aggregate([
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(req.user._id),
+                day: { $gte: start, $lte: end }
+            }
+        },
+        {
+            $group: {
+                _id: groupByPeriod(interval),
+                views: { $sum: "$views" },
+                watchedSeconds: { $sum: "$watchedSeconds" }
+            }
+        }
+    ]);
+
+    const series = fillPeriods(rows, {
+        start,
+        end,
+        interval,
+        empty: { views: 0, watchedSeconds: 0 }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { from: start, to: end, interval, series },
+            "Views fetched successfully."
+        ));
+});
+
+
+// -------------------------------
+// Subscriber Gains / Losses Per Day / Week / Month
+// -------------------------------
+const getSubscribersTimeSeries = asyncHandler(async (req, res) => {
+    const { interval = "day" } = req.query;
+    const { start, end } = resolveRange(req.query);
+
+    const rows = await ChannelDailyStats.aggregate([
+        {
+            $match: {
+                channel: new mongoose.Types.ObjectId(req.user._id),
+                day: { $gte: start, $lte: end }
+            }
+        },
+        {
+            $group: {
+                _id: groupByPeriod(interval),
+                gained: { $sum: "$subscribersGained" },
+                lost: { $sum: "$subscribersLost" }
+            }
+        },
+        { $addFields: { net: { $subtract: ["$gained", "$lost"] } } }
+    ]);
+
+    const series = fillPeriods(rows, {
+        start,
+        end,
+        interval,
+        empty: { gained: 0, lost: 0, net: 0 }
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { from: start, to: end, interval, series },
+            "Subscriber changes fetched successfully."
+        ));
+});
+
+
+// -------------------------------
+// Per-Video Stats / Top Videos (paginated)
+// -------------------------------
+// Sorted by views, watch time or average view duration over the range.
+// Videos deleted since drop out here but still count in the time series.
+const getVideoStats = asyncHandler(async (req, res) => {
+    const { sortBy = "views" } = req.query;
+    const { start, end } = resolveRange(req.query);
+    const sortField = VIDEO_SORT_FIELDS[sortBy];
+
+    const pipeline = [
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(req.user._id),
+                day: { $gte: start, $lte: end }
+            }
+        },
+        {
+            $group: {
+                _id: "$video",
+                views: { $sum: "$views" },
+                watchedSeconds: { $sum: "$watchedSeconds" }
+            }
+        },
+        {
+            $addFields: {
+                averageViewDuration: {
+                    $cond: [
+                        { $gt: ["$views", 0] },
+                        { $round: [{ $divide: ["$watchedSeconds", "$views"] }, 1] },
+                        0
+                    ]
+                }
+            }
+        },
+        { $sort: { [sortField]: -1, _id: -1 } },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            isPublished: 1,
+                            createdAt: 1
+                        }
+                    }
+                ]
+            }
+        },
+        { $unwind: "$video" },
+        {
+            $project: {
+                _id: 0,
+                video: 1,
+                views: 1,
+                watchedSeconds: 1,
+                averageViewDuration: 1
+            }
+        }
+    ];
+
+    const videos = await VideoDailyStats.aggregatePaginate(
+        VideoDailyStats.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { from: start, to: end, sortBy, ...videos },
+            "Video stats fetched successfully."
+        ));
+});
+
+
+export {
+    getChannelOverview,
+    getViewsTimeSeries,
+    getSubscribersTimeSeries,
+    getVideoStats
+};
@@ -0,0 +1,254 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { TrendingVideo } from "../models/trendingVideo.model.js";
+import { lookupUserProfile } from "../utils/pipelines.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+
+
+const DEFAULT_LIMIT = 20;
+
+// Home feed rhythm: two subscription videos, then one trending video
+const HOME_PATTERN = ["subscriptions", "subscriptions", "trending"];
+
+
+// What a feed shows of each video
+const videoCard = [
+    ...lookupUserProfile("owner"),
+    {
+        $project: {
+            title: 1,
+            thumbnail: 1,
+            duration: 1,
+            views: 1,
+            owner: 1,
+            createdAt: 1
+        }
+    }
+];
+
+// Drop videos `userId` has in their watch history
+const excludeWatched = (userId) => [
+    {
+        $lookup: {
+            from: "watchhistories",
+            localField: "_id",
+            foreignField: "video",
+            as: "watched",
+            pipeline: [
+                { $match: { user: userId } },
+                { $project: { _id: 1 } }
+            ]
+        }
+    },
+    { $match: { watched: { $size: 0 } } }
+];
+
+const subscribedChannelIds = (userId) =>
+    Subscription.find({ subscriber: userId }).distinct("channel");
+
+
+// -------------------------------
+// Sources (each returns up to `limit` videos after `after`)
+// -------------------------------
+
+// Newest first; `after` is the { createdAt, _id } of the last video seen
+const fetchSubscriptionVideos = (userId, channels, { after, limit, skipWatched }) => {
+    const match = {
+        owner: { $in: channels },
+        isPublished: true,
+        processingStatus: { $in: ["ready", null] },
+        hiddenAt: null
+    };
+
+    if (after) {
+        match.$or = [
+            { createdAt: { $lt: after.createdAt } },
+            { createdAt: after.createdAt, _id: { $lt: new mongoose.Types.ObjectId(after._id) } }
+        ];
+    }
+
+    return Video.aggregate([
+        { $match: match },
+        { $sort: { createdAt: -1, _id: -1 } },
+        ...(skipWatched ? excludeWatched(userId) : []),
+        { $limit: limit },
+        ...videoCard
+    ]);
+};
+
+// Best first; `after` is the rank of the last video seen. Videos
+// unpublished since the ranking was computed drop out.
+const fetchTrendingVideos = (userId, { after = 0, limit, excludeOwners = [], skipWatched }) =>
+    TrendingVideo.aggregate([
+        { $match: { rank: { $gt: after }, owner: { $nin: excludeOwners } } },
+        { $sort: { rank: 1 } },
+        ...(skipWatched ? excludeWatched(userId) : []),
+        {
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    { $match: { isPublished: true, processingStatus: { $in: ["ready", null] }, hiddenAt: null } },
+                    ...videoCard
+                ]
+            }
+        },
+        { $unwind: "$video" },
+        { $limit: limit },
+        { $replaceWith: { $mergeObjects: ["$video", { rank: "$rank" }] } }
+    ]);
+
+const subscriptionCursor = (video) => ({ createdAt: video.createdAt, _id: video._id });
+
+// Cursors come back from clients, so check their shape before querying with them
+const assertCursor = ({ subscriptions, trending } = {}) => {
+    const validSubscriptions =
+        subscriptions === undefined ||
+        (subscriptions?.createdAt instanceof Date && isValidObjectId(subscriptions._id));
+    const validTrending = trending === undefined || Number.isInteger(trending);
+
+    if (!validSubscriptions || !validTrending) {
+        throw new ApiError(400, "Invalid cursor.");
+    }
+};
+
+
+// -------------------------------
+// Subscription Feed (cursor paginated)
+// -------------------------------
+// Newest published videos of every channel the user follows.
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+    const { cursor, limit = DEFAULT_LIMIT } = req.query;
+
+    const after = decodeCursor(cursor) ?? undefined;
+    assertCursor({ subscriptions: after });
+
+    const channels = await subscribedChannelIds(req.user._id);
+
+    const videos = channels.length
+        ? await fetchSubscriptionVideos(req.user._id, channels, { after, limit: limit + 1 })
+        : [];
+
+    const hasMore = videos.length > limit;
+    const page = videos.slice(0, limit);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            {
+                videos: page,
+                nextCursor: hasMore ? encodeCursor(subscriptionCursor(page.at(-1))) : null
+            },
+            "Subscription feed fetched successfully."
+        ));
+});
+
+
+// -------------------------------
+// Trending (cursor paginated)
+// -------------------------------
+// Served from the cached ranking the worker recomputes every few minutes.
+const getTrendingFeed = asyncHandler(async (req, res) => {
+    const { cursor, limit = DEFAULT_LIMIT } = req.query;
+
+    const after = decodeCursor(cursor)?.rank;
+    assertCursor({ trending: after });
+
+    const videos = await fetchTrendingVideos(null, { after, limit: limit + 1 });
+
+    const hasMore = videos.length > limit;
+    const page = videos.slice(0, limit);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            {
+                videos: page,
+                nextCursor: hasMore ? encodeCursor({ rank: page.at(-1).rank }) : null
+            },
+            "Trending videos fetched successfully."
+        ));
+});
+
+
+// -------------------------------
+// Home Feed (cursor paginated)
+// -------------------------------
+// Subscription videos interleaved with trending ones from other channels,
+// leaving out everything already watched. When one source runs dry the
+// other fills the page. The cursor remembers the position in each source.
+const getHomeFeed = asyncHandler(async (req, res) => {
+    const { cursor, limit = DEFAULT_LIMIT } = req.query;
+    const userId = new mongoose.Types.ObjectId(req.user._id);
+    const position = decodeCursor(cursor) || {};
+    assertCursor(position);
+
+    const channels = await subscribedChannelIds(userId);
+
+    // Each source fetches one extra to tell whether it has more
+    const [subscriptionVideos, trendingVideos] = await Promise.all([
+        channels.length && !position.subscriptionsDone
+            ? fetchSubscriptionVideos(userId, channels, {
+                after: position.subscriptions,
+                limit: limit + 1,
+                skipWatched: true
+            })
+            : [],
+        position.trendingDone
+            ? []
+            : fetchTrendingVideos(userId, {
+                after: position.trending,
+                limit: limit + 1,
+                excludeOwners: channels,
+                skipWatched: true
+            })
+    ]);
+
+    const sources = { subscriptions: subscriptionVideos, trending: trendingVideos };
+    const taken = { subscriptions: 0, trending: 0 };
+    const videos = [];
+
+    for (let slot = 0; videos.length < limit; slot++) {
+        const preferred = HOME_PATTERN[slot % HOME_PATTERN.length];
+        const fallback = preferred === "trending" ? "subscriptions" : "trending";
+        const source = taken[preferred] < sources[preferred].length ? preferred : fallback;
+
+        if (taken[source] >= sources[source].length) break;
+
+        videos.push({ ...sources[source][taken[source]], source });
+        taken[source] += 1;
+    }
+
+    const lastOf = (name) => sources[name][taken[name] - 1];
+    const hasMore = (name) => taken[name] < sources[name].length;
+
+    const next = {
+        subscriptions: taken.subscriptions
+            ? subscriptionCursor(lastOf("subscriptions"))
+            : position.subscriptions,
+        subscriptionsDone: !hasMore("subscriptions"),
+        trending: taken.trending ? lastOf("trending").rank : position.trending,
+        trendingDone: !hasMore("trending")
+    };
+
+    const nextCursor = next.subscriptionsDone && next.trendingDone ? null : encodeCursor(next);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { videos, nextCursor }, "Home feed fetched successfully."));
+});
+
+
+export {
+    getSubscriptionFeed,
+    getTrendingFeed,
+    getHomeFeed
+};
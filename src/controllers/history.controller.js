@@ -0,0 +1,185 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserProfile } from "../utils/pipelines.js";
+import { recordWatchTime } from "../utils/viewCounter.js";
+
+
+// Past this share of the duration a video counts as finished, and resuming
+// starts over instead of at the credits
+const COMPLETED_RATIO = 0.95;
+
+
+// -------------------------------
+// Save Playback Progress
+// -------------------------------
+const updateWatchProgress = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const { position } = req.body;
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id.");
+    }
+
+    const video = await Video.findById(videoId).select("owner isPublished hiddenAt duration");
+    const isOwner = video?.owner?.toString() === req.user._id.toString();
+
+    if (!video || ((!video.isPublished || video.hiddenAt) && !isOwner)) {
+        throw new ApiError(404, "Video not found.");
+    }
+
+    // Channel analytics count watch time whether or not history is kept
+    await recordWatchTime(video, req, position);
+
+    // Nothing is stored while history is paused
+    if (req.user.historyPaused) {
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { recorded: false }, "Watch history is paused."));
+    }
+
+    const clamped = video.duration ? Math.min(position, video.duration) : position;
+    const completed = Boolean(video.duration) && clamped >= video.duration * COMPLETED_RATIO;
+
+    const entry = await WatchHistory.findOneAndUpdate(
+        { user: req.user._id, video: video._id },
+        { $set: { position: clamped, completed, lastWatchedAt: new Date() } },
+        { upsert: true, new: true }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            {
+                recorded: true,
+                position: entry.position,
+                resumePosition: entry.completed ? 0 : entry.position,
+                completed: entry.completed,
+                lastWatchedAt: entry.lastWatchedAt
+            },
+            "Watch progress saved."
+        ));
+});
+
+
+// -------------------------------
+// Get Watch History (newest first, paginated)
+// -------------------------------
+const getWatchHistory = asyncHandler(async (req, res) => {
+    const userId = new mongoose.Types.ObjectId(req.user._id);
+
+    const pipeline = [
+        { $match: { user: userId } },
+        { $sort: { lastWatchedAt: -1, _id: -1 } },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    // Videos unpublished or hidden since stay visible to their owner only
+                    { $match: { $or: [{ isPublished: true, hiddenAt: null }, { owner: userId }] } },
+                    ...lookupUserProfile("owner"),
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            views: 1,
+                            owner: 1,
+                            createdAt: 1
+                        }
+                    }
+                ]
+            }
+        },
+        // Flatten at this level (deleted / hidden videos drop out)
+        { $unwind: "$video" },
+        {
+            $project: {
+                video: 1,
+                position: 1,
+                completed: 1,
+                lastWatchedAt: 1,
+                resumePosition: { $cond: ["$completed", 0, "$position"] }
+            }
+        }
+    ];
+
+    const history = await WatchHistory.aggregatePaginate(
+        WatchHistory.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { ...history, paused: Boolean(req.user.historyPaused) },
+            "Watch history fetched successfully."
+        ));
+});
+
+
+// -------------------------------
+// Remove One Video From History
+// -------------------------------
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const { deletedCount } = await WatchHistory.deleteOne({ user: req.user._id, video: videoId });
+
+    if (!deletedCount) {
+        throw new ApiError(404, "Video is not in your watch history.");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Video removed from watch history."));
+});
+
+
+// -------------------------------
+// Clear Watch History
+// -------------------------------
+const clearWatchHistory = asyncHandler(async (req, res) => {
+    const { deletedCount } = await WatchHistory.deleteMany({ user: req.user._id });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { removed: deletedCount }, "Watch history cleared."));
+});
+
+
+// -------------------------------
+// Pause / Resume History
+// -------------------------------
+const updateHistorySettings = asyncHandler(async (req, res) => {
+    const { paused } = req.body;
+
+    await User.updateOne({ _id: req.user._id }, { $set: { historyPaused: paused } });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { paused },
+            paused ? "Watch history paused." : "Watch history resumed."
+        ));
+});
+
+
+export {
+    updateWatchProgress,
+    getWatchHistory,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    updateHistorySettings
+};
@@ -0,0 +1,184 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserProfile } from "../utils/pipelines.js";
+import { findVisibleVideo, findVisiblePost, assertSubjectVisible } from "../utils/commentSubject.js";
+
+
+// -------------------------------
+// Like / unlike any target
+// -------------------------------
+const toggleLike = async ({ targetType, targetId, userId }) => {
+    const filter = { likedBy: userId, targetType, target: targetId };
+
+    // Already liked → unlike
+    const removed = await Like.findOneAndDelete(filter);
+    if (removed) {
+        return { isLiked: false };
+    }
+
+    try {
+        await Like.create(filter);
+    } catch (error) {
+        // A parallel request already created it; the unique index keeps it single
+        if (error?.code !== 11000) throw error;
+    }
+
+    return { isLiked: true };
+};
+
+const likesCountOf = (targetType, targetId) =>
+    Like.countDocuments({ targetType, target: targetId });
+
+
+// -------------------------------
+// Toggle Video Like
+// -------------------------------
+const toggleVideoLike = asyncHandler(async (req, res) => {
+    // Drafts and hidden videos can only be liked by their owner
+    const video = await findVisibleVideo(req.params.videoId, req.user);
+
+    const { isLiked } = await toggleLike({
+        targetType: "Video",
+        targetId: video._id,
+        userId: req.user._id
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { isLiked, likesCount: await likesCountOf("Video", video._id) },
+            isLiked ? "Video liked." : "Video unliked."
+        ));
+});
+
+
+// -------------------------------
+// Toggle Comment Like
+// -------------------------------
+const toggleCommentLike = asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid comment id.");
+    }
+
+    // Hidden comments can only be liked by their author, and only while the
+    // video / post they're on is visible to the user
+    const comment = await Comment.findById(commentId).select("owner video post hiddenAt");
+    if (!comment || (comment.hiddenAt && !comment.owner.equals(req.user._id))) {
+        throw new ApiError(404, "Comment not found.");
+    }
+
+    await assertSubjectVisible(comment, req.user);
+
+    const { isLiked } = await toggleLike({
+        targetType: "Comment",
+        targetId: comment._id,
+        userId: req.user._id
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { isLiked, likesCount: await likesCountOf("Comment", comment._id) },
+            isLiked ? "Comment liked." : "Comment unliked."
+        ));
+});
+
+
+// -------------------------------
+// Toggle Post Like
+// -------------------------------
+const togglePostLike = asyncHandler(async (req, res) => {
+    // Hidden posts can only be liked by their owner
+    const post = await findVisiblePost(req.params.postId, req.user);
+
+    const { isLiked } = await toggleLike({
+        targetType: "Post",
+        targetId: post._id,
+        userId: req.user._id
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { isLiked, likesCount: await likesCountOf("Post", post._id) },
+            isLiked ? "Post liked." : "Post unliked."
+        ));
+});
+
+
+// -------------------------------
+// Get Liked Videos of Current User (newest like first)
+// -------------------------------
+const getLikedVideos = asyncHandler(async (req, res) => {
+    const pipeline = [
+        {
+            $match: {
+                likedBy: req.user._id,
+                targetType: "Video"
+            }
+        },
+        { $sort: { createdAt: -1, _id: -1 } },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "target",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    // Skip videos that were unpublished or hidden since they were liked
+                    {
+                        $match: {
+                            $or: [{ isPublished: true, hiddenAt: null }, { owner: req.user._id }]
+                        }
+                    },
+                    ...lookupUserProfile("owner"),
+                    {
+                        $project: {
+                            title: 1,
+                            description: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            views: 1,
+                            owner: 1,
+                            createdAt: 1
+                        }
+                    }
+                ]
+            }
+        },
+        { $unwind: "$video" },
+        {
+            $project: {
+                video: 1,
+                likedAt: "$createdAt"
+            }
+        }
+    ];
+
+    const likedVideos = await Like.aggregatePaginate(
+        Like.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, likedVideos, "Liked videos fetched successfully."));
+});
+
+
+export {
+    toggleVideoLike,
+    toggleCommentLike,
+    togglePostLike,
+    getLikedVideos
+};
@@ -0,0 +1,33 @@
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { getAssetSource, keyFromPath } from "../utils/storage/index.js";
+import { sendRange } from "../utils/httpRange.js";
+
+
+// Folders of locally stored images anyone may load (see uploadImage callers).
+// Video sources, HLS files and captions have their own checked routes.
+const PUBLIC_IMAGE_FOLDERS = ["avatars", "covers", "thumbnails", "posts"];
+
+
+// -------------------------------
+// Serve a locally stored image (GET /media/<folder>/<file>)
+// -------------------------------
+// Keys are random and never reused, so the browser may keep them for good.
+const serveLocalImage = asyncHandler(async (req, res) => {
+    const { folder, file } = req.params;
+
+    if (!PUBLIC_IMAGE_FOLDERS.includes(folder)) {
+        throw new ApiError(404, "Media not found.");
+    }
+
+    const source = await getAssetSource({ provider: "local", key: keyFromPath(folder, file) });
+
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+
+    await sendRange(req, res, source);
+});
+
+
+export {
+    serveLocalImage
+};
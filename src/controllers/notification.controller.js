@@ -0,0 +1,351 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { Notification } from "../models/notification.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { isSessionActive } from "../utils/session.js";
+import { notificationDetails } from "../utils/notifications/index.js";
+import { addStream, countStreams } from "../utils/notifications/stream.js";
+import { NOTIFICATION_TYPES } from "../constants.js";
+
+
+const MAX_STREAMS_PER_USER = 5;
+const HEARTBEAT_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 5000;
+const REPLAY_LIMIT = 100;
+const MAX_MUTED_CHANNELS = 1000;
+
+// setTimeout can't wait longer than this
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const countUnread = (userId) =>
+    Notification.countDocuments({ recipient: userId, readAt: null });
+
+// Stored preferences with unset types filled in as on
+const resolvePreferences = (preferences = {}) =>
+    Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, preferences[type] !== false]));
+
+
+// -------------------------------
+// List Notifications (newest first, paginated)
+// -------------------------------
+const getNotifications = asyncHandler(async (req, res) => {
+    const { unreadOnly } = req.query;
+
+    const match = { recipient: new mongoose.Types.ObjectId(req.user._id) };
+    if (unreadOnly === "true") match.readAt = null;
+
+    const pipeline = [
+        { $match: match },
+        { $sort: { createdAt: -1, _id: -1 } },
+        ...notificationDetails
+    ];
+
+    const [notifications, unreadCount] = await Promise.all([
+        Notification.aggregatePaginate(
+            Notification.aggregate(pipeline),
+            getPaginationOptions(req.query)
+        ),
+        countUnread(req.user._id)
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { ...notifications, unreadCount },
+            "Notifications fetched successfully."
+        ));
+});
+
+
+// -------------------------------
+// Unread Count
+// -------------------------------
+const getUnreadCount = asyncHandler(async (req, res) => {
+    const unreadCount = await countUnread(req.user._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { unreadCount }, "Unread count fetched successfully."));
+});
+
+
+// -------------------------------
+// Mark One / All As Read
+// -------------------------------
+const markNotificationRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params;
+
+    if (!isValidObjectId(notificationId)) {
+        throw new ApiError(400, "Invalid notification id.");
+    }
+
+    const filter = { _id: notificationId, recipient: req.user._id };
+
+    // Already-read notifications keep their first readAt
+    const notification =
+        (await Notification.findOneAndUpdate(
+            { ...filter, readAt: null },
+            { $set: { readAt: new Date() } },
+            { new: true }
+        )) || (await Notification.findOne(filter));
+
+    if (!notification) {
+        throw new ApiError(404, "Notification not found.");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { readAt: notification.readAt, unreadCount: await countUnread(req.user._id) },
+            "Notification marked as read."
+        ));
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const { modifiedCount } = await Notification.updateMany(
+        { recipient: req.user._id, readAt: null },
+        { $set: { readAt: new Date() } }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { marked: modifiedCount, unreadCount: 0 },
+            "All notifications marked as read."
+        ));
+});
+
+
+// -------------------------------
+// Live Stream (Server-Sent Events)
+// -------------------------------
+// Authenticated like any other route (the accessToken cookie works with
+// EventSource). Events:
+//   notification    a new notification, `id` is its id
+//   unread-count    { count }, sent on connect
+//   reauthenticate  { reason }, right before the server closes the stream
+//                   because the access token expired or the session ended;
+//                   refresh the token and reconnect
+// A reconnect with Last-Event-ID first replays what was missed meanwhile
+// (one arriving during the replay may come twice; drop repeats by id).
+const streamNotifications = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    if (countStreams(userId) >= MAX_STREAMS_PER_USER) {
+        throw new ApiError(429, "Too many open notification streams.");
+    }
+
+    res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // Keep nginx from buffering the stream
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+
+    const send = (event, data, id) => {
+        if (id) res.write(`id: ${id}\n`);
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    // Register before replaying, so nothing created in between is lost
+    const removeStream = addStream(userId, (notification) =>
+        send("notification", notification, notification._id)
+    );
+
+    let closed = false;
+    let heartbeat;
+    let expiry;
+
+    const cleanUp = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        removeStream();
+    };
+
+    const close = (reason) => {
+        if (closed) return;
+        send("reauthenticate", { reason });
+        cleanUp();
+        res.end();
+    };
+
+    req.on("close", cleanUp);
+
+    // Revoked sessions are noticed at the next heartbeat
+    heartbeat = setInterval(() => {
+        res.write(": ping\n\n");
+
+        isSessionActive(req.session.family)
+            .then((active) => {
+                if (!active) close("session_revoked");
+            })
+            .catch(() => {});
+    }, HEARTBEAT_MS);
+
+    expiry = setTimeout(
+        () => close("token_expired"),
+        Math.min(Math.max(req.session.expiresAt - Date.now(), 0), MAX_TIMEOUT_MS)
+    );
+
+    const lastEventId = req.get("Last-Event-ID");
+
+    // The headers are out, so an error can't become a JSON response any more:
+    // end the stream and let the client reconnect (with Last-Event-ID)
+    try {
+        if (/^[a-f\d]{24}$/i.test(lastEventId || "")) {
+            const missed = await Notification.aggregate([
+                {
+                    $match: {
+                        recipient: new mongoose.Types.ObjectId(userId),
+                        _id: { $gt: new mongoose.Types.ObjectId(lastEventId) }
+                    }
+                },
+                { $sort: { _id: 1 } },
+                { $limit: REPLAY_LIMIT },
+                ...notificationDetails
+            ]);
+
+            for (const notification of missed) {
+                if (!closed) send("notification", notification, notification._id);
+            }
+        }
+
+        if (!closed) {
+            send("unread-count", { count: await countUnread(userId) });
+        }
+    } catch (error) {
+        console.log("NOTIFICATION STREAM FAILED !!", error);
+        cleanUp();
+        res.end();
+    }
+});
+
+
+// -------------------------------
+// Preferences (one switch per type)
+// -------------------------------
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            resolvePreferences(req.user.notificationPreferences),
+            "Notification preferences fetched successfully."
+        ));
+});
+
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+    const updates = Object.fromEntries(
+        Object.entries(req.body).map(([type, enabled]) => [`notificationPreferences.${type}`, enabled])
+    );
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: updates },
+        { new: true }
+    ).select("notificationPreferences");
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            resolvePreferences(user.notificationPreferences),
+            "Notification preferences updated."
+        ));
+});
+
+
+// -------------------------------
+// Muted Channels
+// -------------------------------
+const getMutedChannels = asyncHandler(async (req, res) => {
+    const [user] = await User.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(req.user._id) } },
+        {
+            $lookup: {
+                from: "users",
+                localField: "mutedChannels",
+                foreignField: "_id",
+                as: "mutedChannels",
+                pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }]
+            }
+        },
+        { $project: { mutedChannels: 1 } }
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user?.mutedChannels || [], "Muted channels fetched successfully."));
+});
+
+const muteChannel = asyncHandler(async (req, res) => {
+    const { channelId } = req.params;
+
+    if (channelId === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot mute your own channel.");
+    }
+
+    const channelExists = await User.exists({ _id: channelId });
+    if (!channelExists) {
+        throw new ApiError(404, "Channel not found.");
+    }
+
+    const { matchedCount } = await User.updateOne(
+        {
+            _id: req.user._id,
+            // Room left, or muted already (then $addToSet changes nothing)
+            $or: [
+                { [`mutedChannels.${MAX_MUTED_CHANNELS - 1}`]: { $exists: false } },
+                { mutedChannels: channelId }
+            ]
+        },
+        { $addToSet: { mutedChannels: channelId } }
+    );
+
+    if (!matchedCount) {
+        throw new ApiError(400, `You can mute at most ${MAX_MUTED_CHANNELS} channels.`);
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { muted: true }, "Channel muted."));
+});
+
+const unmuteChannel = asyncHandler(async (req, res) => {
+    const { channelId } = req.params;
+
+    await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { mutedChannels: new mongoose.Types.ObjectId(channelId) } }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { muted: false }, "Channel unmuted."));
+});
+
+
+export {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    streamNotifications,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    getMutedChannels,
+    muteChannel,
+    unmuteChannel
+};
@@ -0,0 +1,367 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import sharp from "sharp";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { uploadImage } from "../utils/storage/index.js";
+import {
+    inspectFile,
+    createImageVariants,
+    variantPaths,
+    removeTempFiles
+} from "../utils/uploadPolicies.js";
+import {
+    cookieOptions,
+    assertAccountActive,
+    generateAccessAndRefreshTokens,
+    revokeSessions
+} from "../utils/session.js";
+import { sendVerificationEmail, sendInBackground } from "../utils/accountEmails.js";
+import {
+    CHALLENGE_COOKIE,
+    challengeCookieOptions,
+    createLoginChallenge
+} from "../utils/twoFactor.js";
+import {
+    getProviders,
+    getProvider,
+    createAuthorizationRequest,
+    completeAuthorization
+} from "../utils/oidc.js";
+
+
+// The state, nonce and PKCE verifier travel in a short-lived signed cookie
+// scoped to the OAuth routes, so no server-side state is needed between the
+// redirect and the callback.
+const STATE_COOKIE = "oauthState";
+const STATE_TTL_SECONDS = 10 * 60;
+const stateCookieOptions = { ...cookieOptions, path: "/oauth", maxAge: STATE_TTL_SECONDS * 1000 };
+
+const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+const AVATAR_EXTENSIONS = {
+    "image/jpeg": ".jpg",
+    "image/png": ".png",
+    "image/gif": ".gif",
+    "image/webp": ".webp"
+};
+
+const successRedirect = () =>
+    process.env.OAUTH_SUCCESS_REDIRECT || process.env.APP_URL || "/";
+
+// Frontend page that finishes a 2FA login with POST /users/login/2fa
+const twoFactorRedirect = () =>
+    process.env.OAUTH_2FA_REDIRECT || `${(process.env.APP_URL || "").replace(/\/+$/, "")}/login/2fa`;
+
+
+// -------------------------------
+// Begin the flow: remember the secrets and send the browser to the IdP
+// -------------------------------
+const redirectToProvider = async (req, res, linkUserId) => {
+    const provider = getProvider(req.params.provider);
+    const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(provider);
+
+    const stateToken = jwt.sign(
+        { provider: provider.name, state, nonce, codeVerifier, linkUserId },
+        process.env.ACCESS_TOKEN_SECRET,
+        { expiresIn: STATE_TTL_SECONDS, audience: STATE_COOKIE }
+    );
+
+    return res
+        .cookie(STATE_COOKIE, stateToken, stateCookieOptions)
+        .redirect(302, url);
+};
+
+
+// -------------------------------
+// Provider avatar → our storage (falls back to generated initials)
+// -------------------------------
+const downloadAvatar = async (pictureUrl) => {
+    try {
+        const response = await fetch(pictureUrl, { signal: AbortSignal.timeout(10_000) });
+        const contentType = response.headers.get("content-type")?.split(";")[0];
+        const extension = AVATAR_EXTENSIONS[contentType];
+
+        if (!response.ok || !extension) return null;
+
+        const body = Buffer.from(await response.arrayBuffer());
+        if (body.length > AVATAR_MAX_BYTES) return null;
+
+        const localPath = path.join("./public/temp", `${crypto.randomUUID()}${extension}`);
+        await fs.promises.writeFile(localPath, body);
+        return localPath;
+    } catch (error) {
+        return null;
+    }
+};
+
+const initialsAvatar = async (name) => {
+    const initials = name
+        .split(/\s+/)
+        .map((word) => word[0])
+        .filter((char) => /[\p{L}\p{N}]/u.test(char || ""))
+        .slice(0, 2)
+        .join("")
+        .toUpperCase() || "?";
+    const hue = crypto.createHash("md5").update(name).digest()[0] * 360 / 256;
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256">` +
+        `<rect width="256" height="256" fill="hsl(${Math.round(hue)},55%,45%)"/>` +
+        `<text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="sans-serif" font-size="110" fill="#fff">${initials}</text>` +
+        `</svg>`;
+
+    const localPath = path.join("./public/temp", `${crypto.randomUUID()}.png`);
+    await sharp(Buffer.from(svg)).png().toFile(localPath);
+    return localPath;
+};
+
+// Same checks and variants as an uploaded avatar → the asset, or null if the
+// image doesn't pass; the temp files are always removed
+const uploadAvatarImage = async (localPath) => {
+    try {
+        await inspectFile(localPath, "avatar");
+        const variants = await createImageVariants(localPath, "avatar");
+        return await uploadImage({ variants }, { folder: "avatars" });
+    } catch (error) {
+        return null;
+    } finally {
+        await removeTempFiles([localPath, ...variantPaths(localPath, "avatar")]);
+    }
+};
+
+const uploadProviderAvatar = async (identity, fullName) => {
+    const picturePath = identity.picture && await downloadAvatar(identity.picture);
+    const avatar = picturePath && await uploadAvatarImage(picturePath);
+
+    return avatar || uploadAvatarImage(await initialsAvatar(fullName));
+};
+
+
+// -------------------------------
+// Unique username from the IdP's preferred username / email
+// -------------------------------
+const generateUsername = async (identity) => {
+    const source = identity.preferredUsername || identity.email?.split("@")[0] || "user";
+    let base = source.toLowerCase().replace(/[^a-z0-9._]/g, "").slice(0, 24);
+    if (base.length < 3) base = `user${base}`;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const candidate = attempt ? `${base}${crypto.randomInt(1000, 10000)}` : base;
+        if (!(await User.exists({ username: candidate }))) return candidate;
+    }
+    return `${base}${crypto.randomBytes(3).toString("hex")}`;
+};
+
+
+// -------------------------------
+// Find the user for an identity: linked account → verified email → new user
+// -------------------------------
+const findOrCreateUser = async (provider, identity) => {
+    const account = { provider: provider.name, subject: identity.subject, email: identity.email };
+
+    const linked = await User.findOne({
+        oauthAccounts: { $elemMatch: { provider: provider.name, subject: identity.subject } }
+    });
+    if (linked) return linked;
+
+    if (!identity.email) {
+        throw new ApiError(400, "Login provider did not share an email address");
+    }
+
+    const existing = await User.findOne({ email: identity.email });
+
+    if (existing) {
+        // Linking on an unverified email would let anyone claim the account
+        if (!identity.emailVerified) {
+            throw new ApiError(409, "An account with this email already exists. Log in and link the provider from your account.");
+        }
+
+        // Nobody ever proved they own the local account's email, so it may
+        // have been registered by someone else first. Their password, 2FA
+        // and sessions go before the provider's user gets the account.
+        if (!existing.isEmailVerified) {
+            await User.updateOne({ _id: existing._id }, { $unset: { password: 1, twoFactor: 1 } });
+            await revokeSessions({ user: existing._id }, "email_claimed_by_provider");
+            existing.twoFactor = undefined;
+        }
+
+        existing.oauthAccounts.push(account);
+        existing.isEmailVerified = true;
+        await existing.save({ validateBeforeSave: false });
+        return existing;
+    }
+
+    const fullName = identity.name || identity.preferredUsername || identity.email.split("@")[0];
+    const avatar = await uploadProviderAvatar(identity, fullName);
+
+    if (!avatar) {
+        throw new ApiError(500, "Avatar upload failed");
+    }
+
+    const user = await User.create({
+        fullName,
+        email: identity.email,
+        username: await generateUsername(identity),
+        avatar,
+        isEmailVerified: identity.emailVerified === true,
+        oauthAccounts: [account]
+    });
+
+    // Same as a password sign-up: no session until the emailed link is opened
+    if (!user.isEmailVerified) {
+        sendInBackground(sendVerificationEmail(user));
+    }
+
+    return user;
+};
+
+
+// -------------------------------
+// Available providers (for login buttons)
+// -------------------------------
+const getOAuthProviders = asyncHandler(async (req, res) => {
+    const providers = getProviders().map(({ name, label }) => ({ name, label }));
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, providers, "Login providers fetched successfully."));
+});
+
+
+// -------------------------------
+// Start Login / Start Linking
+// -------------------------------
+const startOAuthLogin = asyncHandler(async (req, res) => redirectToProvider(req, res));
+
+const startOAuthLink = asyncHandler(async (req, res) =>
+    redirectToProvider(req, res, req.user._id.toString())
+);
+
+
+// -------------------------------
+// Provider Callback
+// -------------------------------
+const oauthCallback = asyncHandler(async (req, res) => {
+    const provider = getProvider(req.params.provider);
+    const { code, state, error, error_description } = req.query;
+
+    let pending;
+    try {
+        pending = jwt.verify(req.cookies?.[STATE_COOKIE], process.env.ACCESS_TOKEN_SECRET, {
+            audience: STATE_COOKIE
+        });
+    } catch (err) {
+        throw new ApiError(400, "Login session expired. Please try again.");
+    }
+
+    // The state cookie is single-use
+    res.clearCookie(STATE_COOKIE, { ...cookieOptions, path: "/oauth" });
+
+    if (pending.provider !== provider.name || pending.state !== state) {
+        throw new ApiError(400, "Invalid login state. Please try again.");
+    }
+
+    if (error) {
+        throw new ApiError(401, `Login was not completed: ${error_description || error}`);
+    }
+
+    if (!code) {
+        throw new ApiError(400, "Authorization code is missing.");
+    }
+
+    const identity = await completeAuthorization(provider, {
+        code,
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+    });
+
+    // ----- Linking to the signed-in account
+    if (pending.linkUserId) {
+        const owner = await User.findOne({
+            oauthAccounts: { $elemMatch: { provider: provider.name, subject: identity.subject } }
+        }).select("_id");
+
+        if (owner && !owner._id.equals(pending.linkUserId)) {
+            throw new ApiError(409, "This login is already linked to another account.");
+        }
+
+        if (!owner) {
+            await User.updateOne(
+                { _id: pending.linkUserId, "oauthAccounts.provider": { $ne: provider.name } },
+                {
+                    $push: {
+                        oauthAccounts: {
+                            provider: provider.name,
+                            subject: identity.subject,
+                            email: identity.email,
+                            linkedAt: new Date()
+                        }
+                    }
+                }
+            );
+        }
+
+        return res.redirect(302, successRedirect());
+    }
+
+    // ----- Login / sign-up
+    const user = await findOrCreateUser(provider, identity);
+    assertAccountActive(user);
+
+    if (user.isEmailVerified === false) {
+        throw new ApiError(403, "Email is not verified. Check your inbox for the verification link.");
+    }
+
+    // The provider replaces the password step only; 2FA still applies
+    if (user.twoFactor?.enabled) {
+        return res
+            .cookie(CHALLENGE_COOKIE, createLoginChallenge(user), challengeCookieOptions)
+            .redirect(302, twoFactorRedirect());
+    }
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id, req);
+
+    return res
+        .cookie("accessToken", accessToken, cookieOptions)
+        .cookie("refreshToken", refreshToken, cookieOptions)
+        .redirect(302, successRedirect());
+});
+
+
+// -------------------------------
+// Unlink Provider
+// -------------------------------
+const unlinkOAuthProvider = asyncHandler(async (req, res) => {
+    const { provider } = req.params;
+    const user = await User.findById(req.user._id);
+
+    const remaining = user.oauthAccounts.filter((account) => account.provider !== provider);
+
+    if (remaining.length === user.oauthAccounts.length) {
+        throw new ApiError(404, "This provider is not linked to your account.");
+    }
+
+    // Never remove the last way to sign in
+    if (!user.password && !remaining.length) {
+        throw new ApiError(400, "Set a password (use forgot password) before unlinking your only login provider.");
+    }
+
+    user.oauthAccounts = remaining;
+    await user.save({ validateBeforeSave: false });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { oauthAccounts: remaining }, "Login provider unlinked successfully."));
+});
+
+
+export {
+    getOAuthProviders,
+    startOAuthLogin,
+    startOAuthLink,
+    oauthCallback,
+    unlinkOAuthProvider
+};
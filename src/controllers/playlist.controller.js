@@ -0,0 +1,415 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Video } from "../models/video.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserProfile } from "../utils/pipelines.js";
+
+
+const VISIBILITIES = ["public", "private"];
+
+
+// -------------------------------
+// Find a playlist the current user is allowed to see
+// -------------------------------
+// Private playlists answer 404 (not 403) so their existence isn't leaked
+const findVisiblePlaylist = async (playlistId, userId) => {
+    if (!isValidObjectId(playlistId)) {
+        throw new ApiError(400, "Invalid playlist id.");
+    }
+
+    const playlist = await Playlist.findById(playlistId);
+    const isOwner = playlist?.owner?.equals(userId);
+
+    if (!playlist || (playlist.visibility === "private" && !isOwner)) {
+        throw new ApiError(404, "Playlist not found.");
+    }
+
+    return { playlist, isOwner };
+};
+
+const findOwnedPlaylist = async (playlistId, userId) => {
+    const { playlist, isOwner } = await findVisiblePlaylist(playlistId, userId);
+
+    if (!isOwner) {
+        throw new ApiError(403, "You are not allowed to modify this playlist.");
+    }
+
+    return playlist;
+};
+
+
+// -------------------------------
+// Create Playlist
+// -------------------------------
+const createPlaylist = asyncHandler(async (req, res) => {
+    const { name, description, visibility = "public" } = req.body;
+
+    if (!name?.trim()) {
+        throw new ApiError(400, "Playlist name is required.");
+    }
+
+    if (!VISIBILITIES.includes(visibility)) {
+        throw new ApiError(400, `visibility must be one of: ${VISIBILITIES.join(", ")}`);
+    }
+
+    const playlist = await Playlist.create({
+        name: name.trim(),
+        description: description?.trim() || "",
+        visibility,
+        owner: req.user._id
+    });
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, playlist, "Playlist created successfully."));
+});
+
+
+// -------------------------------
+// Get Playlists of a User
+// -------------------------------
+const getUserPlaylists = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user id.");
+    }
+
+    const match = { owner: new mongoose.Types.ObjectId(userId) };
+
+    // Others only see public playlists
+    if (!req.user._id.equals(userId)) {
+        match.visibility = "public";
+    }
+
+    const pipeline = [
+        { $match: match },
+        { $sort: { updatedAt: -1, _id: -1 } },
+        {
+            // Videos the viewer may see: drafts and hidden videos only count
+            // for their own uploader
+            $lookup: {
+                from: "videos",
+                localField: "videos",
+                foreignField: "_id",
+                as: "visibleVideos",
+                pipeline: [
+                    {
+                        $match: {
+                            $or: [{ isPublished: true, hiddenAt: null }, { owner: req.user._id }]
+                        }
+                    },
+                    { $project: { thumbnail: 1 } }
+                ]
+            }
+        },
+        {
+            // Cover = thumbnail of the first visible video in playlist order
+            $addFields: {
+                coverId: {
+                    $first: {
+                        $filter: {
+                            input: "$videos",
+                            as: "id",
+                            cond: { $in: ["$$id", "$visibleVideos._id"] }
+                        }
+                    }
+                }
+            }
+        },
+        {
+            $addFields: {
+                totalVideos: { $size: "$visibleVideos" },
+                thumbnail: {
+                    $first: {
+                        $map: {
+                            input: {
+                                $filter: {
+                                    input: "$visibleVideos",
+                                    as: "video",
+                                    cond: { $eq: ["$$video._id", "$coverId"] }
+                                }
+                            },
+                            as: "video",
+                            in: "$$video.thumbnail"
+                        }
+                    }
+                }
+            }
+        },
+        {
+            $project: {
+                videos: 0,
+                visibleVideos: 0,
+                coverId: 0
+            }
+        }
+    ];
+
+    const playlists = await Playlist.aggregatePaginate(
+        Playlist.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlists, "Playlists fetched successfully."));
+});
+
+
+// -------------------------------
+// Get Playlist By Id (with videos in playlist order)
+// -------------------------------
+const getPlaylistById = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params;
+
+    const { playlist } = await findVisiblePlaylist(playlistId, req.user._id);
+
+    const result = await Playlist.aggregate([
+        { $match: { _id: playlist._id } },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "videos",
+                foreignField: "_id",
+                as: "videoDocs",
+                pipeline: [
+                    // Unpublished and hidden videos are skipped (except the viewer's own)
+                    {
+                        $match: {
+                            $or: [{ isPublished: true, hiddenAt: null }, { owner: req.user._id }]
+                        }
+                    },
+                    ...lookupUserProfile("owner"),
+                    {
+                        $project: {
+                            title: 1,
+                            description: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            views: 1,
+                            owner: 1,
+                            createdAt: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            // $lookup doesn't keep array order; map ids back onto their documents
+            $addFields: {
+                videos: {
+                    $filter: {
+                        input: {
+                            $map: {
+                                input: "$videos",
+                                as: "videoId",
+                                in: {
+                                    $first: {
+                                        $filter: {
+                                            input: "$videoDocs",
+                                            cond: { $eq: ["$$this._id", "$$videoId"] }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        cond: { $ne: ["$$this", null] }
+                    }
+                }
+            }
+        },
+        {
+            $addFields: {
+                totalVideos: { $size: "$videos" },
+                totalViews: { $sum: "$videos.views" }
+            }
+        },
+        ...lookupUserProfile("owner"),
+        {
+            $project: {
+                videoDocs: 0
+            }
+        }
+    ]);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, result[0], "Playlist fetched successfully."));
+});
+
+
+// -------------------------------
+// Update Playlist Details
+// -------------------------------
+const updatePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params;
+    const { name, description, visibility } = req.body;
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    if (name === undefined && description === undefined && visibility === undefined) {
+        throw new ApiError(400, "Nothing to update.");
+    }
+
+    if (name !== undefined) {
+        if (!name?.trim()) {
+            throw new ApiError(400, "Playlist name cannot be empty.");
+        }
+        playlist.name = name.trim();
+    }
+
+    if (description !== undefined) {
+        playlist.description = description?.trim() || "";
+    }
+
+    if (visibility !== undefined) {
+        if (!VISIBILITIES.includes(visibility)) {
+            throw new ApiError(400, `visibility must be one of: ${VISIBILITIES.join(", ")}`);
+        }
+        playlist.visibility = visibility;
+    }
+
+    await playlist.save();
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlist, "Playlist updated successfully."));
+});
+
+
+// -------------------------------
+// Delete Playlist
+// -------------------------------
+const deletePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params;
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    await Playlist.findByIdAndDelete(playlist._id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Playlist deleted successfully."));
+});
+
+
+// -------------------------------
+// Add Video To Playlist (appended at the end)
+// -------------------------------
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id.");
+    }
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    const video = await Video.findById(videoId).select("owner isPublished hiddenAt");
+    if (!video || ((!video.isPublished || video.hiddenAt) && !video.owner?.equals(req.user._id))) {
+        throw new ApiError(404, "Video not found.");
+    }
+
+    const updatedPlaylist = await Playlist.findByIdAndUpdate(
+        playlist._id,
+        { $addToSet: { videos: video._id } },
+        { new: true }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedPlaylist, "Video added to playlist."));
+});
+
+
+// -------------------------------
+// Remove Video From Playlist
+// -------------------------------
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id.");
+    }
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    const updatedPlaylist = await Playlist.findByIdAndUpdate(
+        playlist._id,
+        { $pull: { videos: new mongoose.Types.ObjectId(videoId) } },
+        { new: true }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedPlaylist, "Video removed from playlist."));
+});
+
+
+// -------------------------------
+// Move Video To a New Position (0-based)
+// -------------------------------
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params;
+    const position = Number(req.body.position);
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+    // `position` counts in the list the owner sees (see getPlaylistById);
+    // entries hidden from it keep their slots in the stored array
+    const visibleIds = new Set(
+        (await Video.find({
+            _id: { $in: playlist.videos },
+            $or: [{ isPublished: true, hiddenAt: null }, { owner: req.user._id }]
+        }).distinct("_id")).map((id) => id.toString())
+    );
+    const isVisible = (id) => visibleIds.has(id.toString());
+    const visible = playlist.videos.filter(isVisible);
+
+    const from = visible.findIndex((id) => id.toString() === videoId);
+    if (from === -1) {
+        throw new ApiError(404, "Video is not in this playlist.");
+    }
+
+    if (!Number.isInteger(position) || position < 0 || position >= visible.length) {
+        throw new ApiError(400, `position must be between 0 and ${visible.length - 1}.`);
+    }
+
+    const [moved] = visible.splice(from, 1);
+    visible.splice(position, 0, moved);
+
+    const original = [...playlist.videos];
+    let next = 0;
+    playlist.videos = original.map((id) => (isVisible(id) ? visible[next++] : id));
+
+    // Rewrites the whole array, so only if nobody added, removed or moved a
+    // video since it was read ($set on an array doesn't bump the version key)
+    const { matchedCount } = await Playlist.updateOne(
+        { _id: playlist._id, videos: original },
+        { $set: { videos: playlist.videos } }
+    );
+
+    if (!matchedCount) {
+        throw new ApiError(409, "The playlist changed in the meantime. Reload it and try again.");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlist, "Video moved successfully."));
+});
+
+
+export {
+    createPlaylist,
+    getUserPlaylists,
+    getPlaylistById,
+    updatePlaylist,
+    deletePlaylist,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    moveVideoInPlaylist
+};
@@ -0,0 +1,219 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Post } from "../models/post.model.js";
+import { User, usableAccountFilter } from "../models/user.model.js";
+import { uploadImage, deleteAsset } from "../utils/storage/index.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserProfile, lookupLikes, excludeUnusableOwners } from "../utils/pipelines.js";
+import { removePost } from "../utils/postRemoval.js";
+
+
+// Author profile, likes and comment count of each post
+const postDetails = (userId) => [
+    ...lookupUserProfile("owner"),
+    ...lookupLikes("Post", userId),
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "post",
+            as: "comments",
+            // Comments hidden by reports aren't counted
+            pipeline: [
+                { $match: { hiddenAt: null } },
+                { $project: { _id: 1 } }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            commentsCount: { $size: "$comments" }
+        }
+    },
+    {
+        $project: {
+            comments: 0
+        }
+    }
+];
+
+
+// -------------------------------
+// Find a post and make sure the current user wrote it
+// -------------------------------
+const findOwnedPost = async (postId, userId) => {
+    if (!isValidObjectId(postId)) {
+        throw new ApiError(400, "Invalid post id.");
+    }
+
+    const post = await Post.findById(postId);
+
+    if (!post) {
+        throw new ApiError(404, "Post not found.");
+    }
+
+    if (!post.owner.equals(userId)) {
+        throw new ApiError(403, "You are not allowed to modify this post.");
+    }
+
+    return post;
+};
+
+
+// -------------------------------
+// Create a Post (text, optional image)
+// -------------------------------
+const createPost = asyncHandler(async (req, res) => {
+    const { content } = req.body;
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "Post content is required.");
+    }
+
+    // Route uses upload.single("image"); the middleware already resized it
+    const image = await uploadImage(req.file, { folder: "posts" });
+
+    if (req.file && !image) {
+        throw new ApiError(500, "Error while uploading image.");
+    }
+
+    const post = await Post.create({
+        owner: req.user._id,
+        content: content.trim(),
+        image: image || undefined
+    });
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, post, "Post created successfully."));
+});
+
+
+// -------------------------------
+// Get a Channel's Posts (newest first, paginated)
+// -------------------------------
+const getUserPosts = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    // Suspended and banned channels' posts are unlisted, like their videos
+    const channelExists = await User.exists({ _id: userId, ...usableAccountFilter() });
+    if (!channelExists) {
+        throw new ApiError(404, "Channel not found.");
+    }
+
+    const match = { owner: new mongoose.Types.ObjectId(userId) };
+
+    // Posts hidden by reports stay visible to their author only
+    if (userId !== req.user._id.toString()) {
+        match.hiddenAt = null;
+    }
+
+    const pipeline = [
+        { $match: match },
+        { $sort: { createdAt: -1, _id: -1 } },
+        ...postDetails(req.user._id)
+    ];
+
+    const posts = await Post.aggregatePaginate(
+        Post.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, posts, "Posts fetched successfully."));
+});
+
+
+// -------------------------------
+// Get Post By Id
+// -------------------------------
+const getPostById = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+
+    if (!isValidObjectId(postId)) {
+        throw new ApiError(400, "Invalid post id.");
+    }
+
+    const [post] = await Post.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(postId) } },
+        ...excludeUnusableOwners("owner"),
+        ...postDetails(req.user._id)
+    ]);
+
+    if (!post || (post.hiddenAt && !post.owner?._id.equals(req.user._id))) {
+        throw new ApiError(404, "Post not found.");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, post, "Post fetched successfully."));
+});
+
+
+// -------------------------------
+// Edit Own Post (content / image)
+// -------------------------------
+// A new image replaces the old one; removeImage drops it. The old image is
+// deleted only once the post is saved.
+const updatePost = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+    const { content, removeImage } = req.body;
+
+    const post = await findOwnedPost(postId, req.user._id);
+
+    if (!content?.trim() && !req.file && !removeImage) {
+        throw new ApiError(400, "Nothing to update.");
+    }
+
+    if (content?.trim() && content.trim() !== post.content) {
+        post.content = content.trim();
+        post.isEdited = true;
+    }
+
+    let oldImage = null;
+    if (req.file || removeImage) {
+        const image = await uploadImage(req.file, { folder: "posts" });
+
+        if (req.file && !image) {
+            throw new ApiError(500, "Error while uploading image.");
+        }
+
+        oldImage = post.image?.toObject();
+        post.image = image || undefined;
+    }
+
+    await post.save();
+    await deleteAsset(oldImage);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, post, "Post updated successfully."));
+});
+
+
+// -------------------------------
+// Delete Own Post
+// -------------------------------
+const deletePost = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+
+    const post = await findOwnedPost(postId, req.user._id);
+
+    await removePost(post);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Post deleted successfully."));
+});
+
+
+export {
+    createPost,
+    getUserPosts,
+    getPostById,
+    updatePost,
+    deletePost
+};
@@ -0,0 +1,69 @@
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Report } from "../models/report.model.js";
+import { findReportTarget, hideIfOverThreshold, REPORT_TARGETS } from "../utils/reports.js";
+import { assertSubjectVisible } from "../utils/commentSubject.js";
+
+
+// -------------------------------
+// Report a Video / Comment / Post / Channel
+// -------------------------------
+// One open report per user and target: reporting again returns the existing
+// report instead of adding to the count. Enough open reports hide the
+// target until a moderator reviews them (see utils/reports.js).
+const createReport = asyncHandler(async (req, res) => {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const { doc, owner } = await findReportTarget(targetType, targetId);
+
+    // Drafts and already hidden content can't be seen, so can't be reported
+    if ((targetType === "Video" && !doc.isPublished) || doc.hiddenAt) {
+        throw new ApiError(404, `${REPORT_TARGETS[targetType].label} not found.`);
+    }
+
+    // Nor can comments on a video / post the reporter can't see
+    if (targetType === "Comment") {
+        await assertSubjectVisible(doc, req.user);
+    }
+
+    if (owner?.equals(req.user._id)) {
+        throw new ApiError(400, "You can't report your own content.");
+    }
+
+    const filter = { reporter: req.user._id, targetType, target: doc._id, status: "open" };
+
+    let report = await Report.findOne(filter);
+    if (report) {
+        return res
+            .status(200)
+            .json(new ApiResponse(200, report, "You have already reported this."));
+    }
+
+    try {
+        report = await Report.create({
+            ...filter,
+            targetOwner: owner,
+            reason,
+            details
+        });
+    } catch (error) {
+        // A parallel request already created it; the unique index keeps it single
+        if (error?.code !== 11000) throw error;
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, await Report.findOne(filter), "You have already reported this."));
+    }
+
+    await hideIfOverThreshold(targetType, doc._id);
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, report, "Report submitted. Thanks for letting us know."));
+});
+
+
+export {
+    createReport
+};
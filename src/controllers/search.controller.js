@@ -0,0 +1,250 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { User, usableAccountFilter } from "../models/user.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserProfile, excludeUnusableOwners } from "../utils/pipelines.js";
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Duration buckets in seconds: short < 4 min ≤ medium ≤ 20 min < long
+const SHORT_MAX = 4 * 60;
+const LONG_MIN = 20 * 60;
+
+const DURATION_BUCKETS = {
+    short: { $lt: SHORT_MAX },
+    medium: { $gte: SHORT_MAX, $lte: LONG_MIN },
+    long: { $gt: LONG_MIN }
+};
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Upload date buckets, relative to now
+const UPLOAD_DATE_BUCKETS = {
+    today: DAY_MS,
+    week: 7 * DAY_MS,
+    month: 30 * DAY_MS,
+    year: 365 * DAY_MS
+};
+
+const SORTS = {
+    relevance: { score: -1, _id: -1 },
+    views: { views: -1, _id: -1 },
+    date: { createdAt: -1, _id: -1 }
+};
+
+const TYPES = ["all", "videos", "channels"];
+
+
+const oneOf = (name, value, allowed) => {
+    if (value !== undefined && !allowed.includes(value)) {
+        throw new ApiError(400, `${name} must be one of: ${allowed.join(", ")}`);
+    }
+    return value;
+};
+
+const parseDate = (name, value) => {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be a valid date.`);
+    }
+    return date;
+};
+
+
+// -------------------------------
+// Build the video filters from the query string
+// -------------------------------
+// Kept apart so each facet can be counted without its own filter applied.
+const buildVideoFilters = (query) => {
+    const { duration, uploadDate, from, to, owner } = query;
+
+    oneOf("duration", duration, Object.keys(DURATION_BUCKETS));
+    oneOf("uploadDate", uploadDate, Object.keys(UPLOAD_DATE_BUCKETS));
+
+    if (owner !== undefined && !isValidObjectId(owner)) {
+        throw new ApiError(400, "Invalid owner id.");
+    }
+
+    // Unpublished, not-yet-playable or hidden videos never show up in search
+    const base = {
+        isPublished: true,
+        processingStatus: { $in: ["ready", null] },
+        hiddenAt: null
+    };
+    if (owner) base.owner = new mongoose.Types.ObjectId(owner);
+
+    const durationFilter = duration ? { duration: DURATION_BUCKETS[duration] } : {};
+
+    const createdAt = {};
+    if (uploadDate) createdAt.$gte = new Date(Date.now() - UPLOAD_DATE_BUCKETS[uploadDate]);
+    const fromDate = parseDate("from", from);
+    const toDate = parseDate("to", to);
+    if (fromDate && (!createdAt.$gte || fromDate > createdAt.$gte)) createdAt.$gte = fromDate;
+    if (toDate) createdAt.$lte = toDate;
+    const dateFilter = Object.keys(createdAt).length ? { createdAt } : {};
+
+    return { base, durationFilter, dateFilter };
+};
+
+
+// -------------------------------
+// Ranked, filtered, paginated videos + facet counts
+// -------------------------------
+const searchVideos = async (text, query, sortBy) => {
+    const { base, durationFilter, dateFilter } = buildVideoFilters(query);
+    const textMatch = { $text: { $search: text } };
+
+    const pipeline = [
+        { $match: { ...textMatch, ...base, ...durationFilter, ...dateFilter } },
+        // Suspended and banned channels' videos don't show up (like channel search and trending)
+        ...excludeUnusableOwners("owner"),
+        { $addFields: { score: { $meta: "textScore" } } },
+        { $sort: SORTS[sortBy] },
+        ...lookupUserProfile("owner"),
+        {
+            $project: {
+                title: 1,
+                description: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                owner: 1,
+                createdAt: 1,
+                score: 1
+            }
+        }
+    ];
+
+    const now = Date.now();
+
+    // Each facet ignores its own filter so clients can show "what if" counts
+    const [facets] = await Video.aggregate([
+        { $match: { ...textMatch, ...base } },
+        ...excludeUnusableOwners("owner"),
+        {
+            $facet: {
+                duration: [
+                    { $match: dateFilter },
+                    {
+                        $group: {
+                            _id: null,
+                            short: countIf({ $lt: ["$duration", SHORT_MAX] }),
+                            medium: countIf({
+                                $and: [
+                                    { $gte: ["$duration", SHORT_MAX] },
+                                    { $lte: ["$duration", LONG_MIN] }
+                                ]
+                            }),
+                            long: countIf({ $gt: ["$duration", LONG_MIN] })
+                        }
+                    },
+                    { $project: { _id: 0 } }
+                ],
+                uploadDate: [
+                    { $match: durationFilter },
+                    {
+                        $group: {
+                            _id: null,
+                            ...Object.fromEntries(
+                                Object.entries(UPLOAD_DATE_BUCKETS).map(([name, age]) => [
+                                    name,
+                                    countIf({ $gte: ["$createdAt", new Date(now - age)] })
+                                ])
+                            )
+                        }
+                    },
+                    { $project: { _id: 0 } }
+                ]
+            }
+        }
+    ]);
+
+    const emptyCounts = (buckets) =>
+        Object.fromEntries(Object.keys(buckets).map((name) => [name, 0]));
+
+    const results = await Video.aggregatePaginate(
+        Video.aggregate(pipeline),
+        getPaginationOptions(query)
+    );
+
+    return {
+        ...results,
+        facets: {
+            duration: facets.duration[0] || emptyCounts(DURATION_BUCKETS),
+            uploadDate: facets.uploadDate[0] || emptyCounts(UPLOAD_DATE_BUCKETS)
+        }
+    };
+};
+
+
+// -------------------------------
+// Ranked, paginated channels
+// -------------------------------
+const searchChannels = (text, query) => {
+    const pipeline = [
+        // Suspended and banned channels don't show up (same rule as sign-in)
+        { $match: { $text: { $search: text }, ...usableAccountFilter() } },
+        { $addFields: { score: { $meta: "textScore" } } },
+        { $sort: { score: -1, _id: -1 } },
+        {
+            $lookup: {
+                from: "subscriptions",
+                localField: "_id",
+                foreignField: "channel",
+                as: "subscribers",
+                pipeline: [{ $project: { _id: 1 } }]
+            }
+        },
+        {
+            $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+                score: 1,
+                subscribersCount: { $size: "$subscribers" }
+            }
+        }
+    ];
+
+    return User.aggregatePaginate(User.aggregate(pipeline), getPaginationOptions(query));
+};
+
+
+// -------------------------------
+// Search Videos & Channels
+// -------------------------------
+const search = asyncHandler(async (req, res) => {
+    const text = req.query.q?.trim();
+    const type = oneOf("type", req.query.type, TYPES) || "all";
+    const sortBy = oneOf("sortBy", req.query.sortBy, Object.keys(SORTS)) || "relevance";
+
+    if (!text) {
+        throw new ApiError(400, "Search query (q) is required.");
+    }
+
+    if (text.length > 200) {
+        throw new ApiError(400, "Search query is too long.");
+    }
+
+    const data = {};
+
+    if (type !== "channels") {
+        data.videos = await searchVideos(text, req.query, sortBy);
+    }
+
+    if (type !== "videos") {
+        data.channels = await searchChannels(text, req.query);
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, data, "Search results fetched successfully."));
+});
+
+
+export { search };
@@ -0,0 +1,137 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserProfile } from "../utils/pipelines.js";
+import { recordSubscriptionEvent } from "../utils/analytics.js";
+import { emitDomainEvent } from "../utils/domainEvents.js";
+
+
+// -------------------------------
+// Toggle Subscription
+// -------------------------------
+const toggleSubscription = asyncHandler(async (req, res) => {
+    const { channelId } = req.params;
+
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "Invalid channel id.");
+    }
+
+    // Can't subscribe to yourself
+    if (channelId === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot subscribe to your own channel.");
+    }
+
+    const channelExists = await User.exists({ _id: channelId });
+    if (!channelExists) {
+        throw new ApiError(404, "Channel not found.");
+    }
+
+    const filter = { subscriber: req.user._id, channel: channelId };
+
+    // Already subscribed → unsubscribe
+    const removed = await Subscription.findOneAndDelete(filter);
+    if (removed) {
+        await recordSubscriptionEvent(channelId, req.user._id, "unsubscribe");
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { isSubscribed: false }, "Unsubscribed successfully."));
+    }
+
+    try {
+        await Subscription.create(filter);
+        await recordSubscriptionEvent(channelId, req.user._id, "subscribe");
+        emitDomainEvent("subscription.created", { channel: channelId, subscriber: req.user._id });
+    } catch (error) {
+        // A parallel request already created it; the unique index keeps it single
+        if (error?.code !== 11000) throw error;
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully."));
+});
+
+
+// -------------------------------
+// Get Subscribers of a Channel
+// -------------------------------
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+    const { channelId } = req.params;
+
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "Invalid channel id.");
+    }
+
+    const pipeline = [
+        {
+            $match: {
+                channel: new mongoose.Types.ObjectId(channelId)
+            }
+        },
+        { $sort: { createdAt: -1, _id: -1 } },
+        ...lookupUserProfile("subscriber"),
+        {
+            $project: {
+                subscriber: 1,
+                subscribedAt: "$createdAt"
+            }
+        }
+    ];
+
+    const subscribers = await Subscription.aggregatePaginate(
+        Subscription.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, subscribers, "Subscribers fetched successfully."));
+});
+
+
+// -------------------------------
+// Get Channels a User is Subscribed To
+// -------------------------------
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+    const { subscriberId } = req.params;
+
+    if (!isValidObjectId(subscriberId)) {
+        throw new ApiError(400, "Invalid subscriber id.");
+    }
+
+    const pipeline = [
+        {
+            $match: {
+                subscriber: new mongoose.Types.ObjectId(subscriberId)
+            }
+        },
+        { $sort: { createdAt: -1, _id: -1 } },
+        ...lookupUserProfile("channel"),
+        {
+            $project: {
+                channel: 1,
+                subscribedAt: "$createdAt"
+            }
+        }
+    ];
+
+    const channels = await Subscription.aggregatePaginate(
+        Subscription.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, channels, "Subscribed channels fetched successfully."));
+});
+
+
+export {
+    toggleSubscription,
+    getUserChannelSubscribers,
+    getSubscribedChannels
+};
@@ -0,0 +1,181 @@
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { generateSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
+import { generateRecoveryCodes, assertFreshTwoFactor } from "../utils/twoFactor.js";
+import { revokeSessions } from "../utils/session.js";
+
+
+const ISSUER = () => process.env.TOTP_ISSUER || "StreamCore";
+
+
+// -------------------------------
+// 2FA Status
+// -------------------------------
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("+twoFactor.recoveryCodes");
+
+    const data = {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.enabled
+            ? user.twoFactor.recoveryCodes.filter((code) => !code.usedAt).length
+            : 0
+    };
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, data, "Two-factor status fetched successfully."));
+});
+
+
+// -------------------------------
+// Step 1: new secret + otpauth URI (not active yet)
+// -------------------------------
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    if (req.user.twoFactor?.enabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled.");
+    }
+
+    const secret = generateSecret();
+
+    await User.updateOne(
+        { _id: req.user._id },
+        { $set: { "twoFactor.pendingSecret": secret } }
+    );
+
+    const otpauthUri = buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: ISSUER()
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { secret, otpauthUri },
+            "Scan the code with your authenticator app, then confirm with a code."
+        ));
+});
+
+
+// -------------------------------
+// Step 2: confirm with the first code → enabled + recovery codes
+// -------------------------------
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select("+twoFactor.pendingSecret");
+
+    if (user.twoFactor?.enabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled.");
+    }
+
+    const secret = user.twoFactor?.pendingSecret;
+    if (!secret) {
+        throw new ApiError(400, "Start two-factor setup first.");
+    }
+
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+        throw new ApiError(400, "Invalid code. Check your authenticator app's clock and try again.");
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                "twoFactor.enabled": true,
+                "twoFactor.enabledAt": new Date(),
+                "twoFactor.secret": secret,
+                "twoFactor.lastUsedStep": step,
+                "twoFactor.recoveryCodes": hashed
+            },
+            $unset: { "twoFactor.pendingSecret": "" }
+        }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { recoveryCodes: codes },
+            "Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once."
+        ));
+});
+
+
+// -------------------------------
+// Disable 2FA (needs a fresh code)
+// -------------------------------
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    if (!req.user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled.");
+    }
+
+    await assertFreshTwoFactor(req.user, req.body.code);
+
+    await User.updateOne(
+        { _id: req.user._id },
+        {
+            $set: { "twoFactor.enabled": false },
+            $unset: {
+                "twoFactor.enabledAt": "",
+                "twoFactor.secret": "",
+                "twoFactor.pendingSecret": "",
+                "twoFactor.lastUsedStep": "",
+                "twoFactor.recoveryCodes": ""
+            }
+        }
+    );
+
+    // Like a password change: every other device signs in again
+    await revokeSessions(
+        { user: req.user._id, family: { $ne: req.session.family } },
+        "two_factor_disabled"
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Two-factor authentication disabled."));
+});
+
+
+// -------------------------------
+// Replace all recovery codes (needs a fresh code)
+// -------------------------------
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    if (!req.user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled.");
+    }
+
+    await assertFreshTwoFactor(req.user, req.body.code);
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    await User.updateOne(
+        { _id: req.user._id },
+        { $set: { "twoFactor.recoveryCodes": hashed } }
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { recoveryCodes: codes },
+            "New recovery codes generated; the old ones no longer work."
+        ));
+});
+
+
+export {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
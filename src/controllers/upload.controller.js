@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { Upload } from "../models/upload.model.js";
+import { TUS_VERSION } from "../middlewares/tus.middleware.js";
+import {
+    uploadConfig,
+    parseMetadata,
+    serializeMetadata,
+    assertUploadAllowed,
+    createUpload,
+    lockUpload,
+    appendChunk,
+    removeUpload
+} from "../utils/resumableUpload.js";
+
+
+const TUS_EXTENSIONS = ["creation", "termination", "expiration"];
+
+// Headers are plain decimal byte counts
+const readByteCount = (req, header) => {
+    const value = req.get(header);
+
+    if (!/^\d{1,16}$/.test(value || "")) {
+        throw new ApiError(400, `${header} header must be a non-negative integer.`);
+    }
+    return Number(value);
+};
+
+const setProgressHeaders = (res, upload) => {
+    res.set({
+        "Upload-Offset": String(upload.offset),
+        "Upload-Length": String(upload.length),
+        "Upload-Expires": upload.expiresAt.toUTCString(),
+        "Cache-Control": "no-store"
+    });
+};
+
+const findOwnUpload = async (req) => {
+    const upload = await Upload.findOne({ _id: req.params.uploadId, owner: req.user._id });
+
+    if (!upload) {
+        throw new ApiError(404, "Upload not found.");
+    }
+    return upload;
+};
+
+
+// -------------------------------
+// Server capabilities (OPTIONS)
+// -------------------------------
+const getTusCapabilities = (req, res) => {
+    res.set({
+        "Tus-Version": TUS_VERSION,
+        "Tus-Extension": TUS_EXTENSIONS.join(","),
+        "Tus-Max-Size": String(uploadConfig().maxSize)
+    });
+
+    return res.status(204).end();
+};
+
+
+// -------------------------------
+// Creation (POST) → 201 + Location of the new upload
+// -------------------------------
+// Upload-Metadata may carry filename / filetype; the extension of filename
+// is kept for the temp file.
+const createResumableUpload = asyncHandler(async (req, res) => {
+    if (req.get("Upload-Defer-Length")) {
+        throw new ApiError(400, "Upload-Defer-Length is not supported; send Upload-Length.");
+    }
+
+    const length = readByteCount(req, "Upload-Length");
+    const metadata = parseMetadata(req.get("Upload-Metadata"));
+
+    await assertUploadAllowed(req.user._id, length);
+
+    const upload = await createUpload({
+        id: crypto.randomUUID(),
+        owner: req.user._id,
+        length,
+        metadata
+    });
+
+    res.set({
+        Location: `${req.baseUrl}/${upload._id}`,
+        "Upload-Expires": upload.expiresAt.toUTCString()
+    });
+
+    return res.status(201).end();
+});
+
+
+// -------------------------------
+// Resume point (HEAD)
+// -------------------------------
+const getUploadStatus = asyncHandler(async (req, res) => {
+    const upload = await findOwnUpload(req);
+
+    setProgressHeaders(res, upload);
+    if (upload.metadata?.size) {
+        res.set("Upload-Metadata", serializeMetadata(upload.metadata));
+    }
+
+    return res.status(200).end();
+});
+
+
+// -------------------------------
+// Append bytes (PATCH) → 204 + new Upload-Offset
+// -------------------------------
+// Upload-Offset must equal the current offset (409 otherwise, so a client
+// that lost track asks with HEAD first). Once the offset reaches the length
+// the upload is complete; publish it with POST /videos { uploadId }.
+const appendToUpload = asyncHandler(async (req, res) => {
+    if (!req.is("application/offset+octet-stream")) {
+        throw new ApiError(415, "Content-Type must be application/offset+octet-stream.");
+    }
+
+    const offset = readByteCount(req, "Upload-Offset");
+    const locked = await lockUpload(req.params.uploadId, req.user._id, offset);
+
+    const { upload, error } = await appendChunk(locked, req);
+
+    if (error) {
+        // The client went away; it resumes from the offset HEAD reports
+        if (req.destroyed && !(error instanceof ApiError)) return;
+        throw error;
+    }
+
+    setProgressHeaders(res, upload);
+    return res.status(204).end();
+});
+
+
+// -------------------------------
+// Termination (DELETE)
+// -------------------------------
+const terminateUpload = asyncHandler(async (req, res) => {
+    const upload = await findOwnUpload(req);
+
+    if (upload.status === "publishing") {
+        throw new ApiError(409, "Upload is being published.");
+    }
+
+    await removeUpload(upload);
+
+    return res.status(204).end();
+});
+
+
+export {
+    getTusCapabilities,
+    createResumableUpload,
+    getUploadStatus,
+    appendToUpload,
+    terminateUpload
+};
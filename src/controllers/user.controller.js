@@ -7,40 +7,47 @@ import { ApiError } from "../utils/ApiError.js";
 // User model for DB operations
 import { User } from "../models/user.model.js";
 
-// Cloudinary upload helper
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+// Session (refresh token) helpers
+import {
+    cookieOptions,
+    assertAccountActive,
+    generateAccessAndRefreshTokens,
+    rotateRefreshToken,
+    revokeSessions,
+    listActiveSessions
+} from "../utils/session.js";
+
+// Verification / password-reset emails
+import {
+    consumeEmailToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendInBackground
+} from "../utils/accountEmails.js";
+
+// Two-factor auth helpers
+import {
+    CHALLENGE_COOKIE,
+    challengeCookieOptions,
+    assertFreshTwoFactor,
+    createLoginChallenge,
+    verifyLoginChallenge,
+    verifySecondFactor
+} from "../utils/twoFactor.js";
+
+// Brute-force protection for the password step
+import { assertNotLocked, recordFailedLogin, clearFailedLogins } from "../utils/loginLockout.js";
+
+// Media storage helpers (local / S3 / Cloudinary)
+import { uploadImage, deleteAsset } from "../utils/storage/index.js";
 
 // Custom API response format
 import { ApiResponse } from "../utils/ApiResponse.js";
 
-import jwt from "jsonwebtoken";
 
-// Cloudinary main package
-import { v2 as cloudinary } from "cloudinary";
-import mongoose from "mongoose";
-
-
-// -------------------------------
-// Generate Access & Refresh Tokens
-// -------------------------------
-const generateAccessAndRefreshTokens = async (userId) => {
-    try {
-        // Find user by ID
-        const user = await User.findById(userId);
-
-        // Generate access & refresh tokens using schema methods
-        const accessToken = user.generateAccessToken();
-        const refreshToken = user.generateRefreshToken();
-
-        // Save refresh token in DB
-        user.refreshToken = refreshToken;
-        await user.save({ validateBeforeSave: false });
-
-        return { accessToken, refreshToken };
-    } catch (error) {
-        throw new ApiError(500, "Something went wrong while generating tokens");
-    }
-};
+// Fields anyone sees on a channel profile; the admin view is ADMIN_USER_FIELDS
+// in admin.controller.js. Role, status and secrets never leave through here.
+const PUBLIC_PROFILE_FIELDS = "_id username fullName avatar coverImage createdAt";
 
 
 // -------------------------------
@@ -51,8 +58,8 @@ const registerUser = asyncHandler(async (req, res) => {
     // Get data from request body
     const { fullName, email, username, password } = req.body;
 
-    // Check if any field is empty
-    if ([fullName, email, username, password].some((f) => f?.trim() === "")) {
+    // Check if any field is missing or empty (validator already enforces this)
+    if ([fullName, email, username, password].some((f) => !f?.trim())) {
         throw new ApiError(400, "All fields are required");
     }
 
@@ -65,40 +72,43 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(409, "User with email/username already exists");
     }
 
-    // Avatar required
-    const avatarLocalPath = req.files?.avatar?.[0]?.path;
-    if (!avatarLocalPath) {
+    // Avatar required (already checked and resized by the upload middleware)
+    const avatarFile = req.files?.avatar?.[0];
+    if (!avatarFile) {
         throw new ApiError(400, "Avatar file is required");
     }
 
     // Cover image is optional
-    const coverImageLocalPath = req.files?.coverImage?.[0]?.path;
+    const coverImageFile = req.files?.coverImage?.[0];
 
     // Upload avatar
-    const avatar = await uploadOnCloudinary(avatarLocalPath);
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+    const avatar = await uploadImage(avatarFile, { folder: "avatars" });
+    const coverImage = await uploadImage(coverImageFile, { folder: "covers" });
 
     if (!avatar) {
+        await deleteAsset(coverImage);
         throw new ApiError(400, "Avatar upload failed");
     }
 
     // Create new user in DB
     const user = await User.create({
         fullName,
-        avatar: avatar.url,
-        coverImage: coverImage?.url || "",
+        avatar,
+        coverImage: coverImage || undefined,
         email,
         password,
         username: username.toLowerCase(),
+        isEmailVerified: false
     });
 
-    // Return user without password & refreshToken
-    const createdUser = await User.findById(user._id).select(
-        "-password -refreshToken"
-    );
+    // Account stays inactive until the emailed link is opened
+    sendInBackground(sendVerificationEmail(user));
+
+    // Return user without password
+    const createdUser = await User.findById(user._id).select("-password");
 
     return res.status(201).json(
-        new ApiResponse(200, createdUser, "User registered successfully")
+        new ApiResponse(200, createdUser, "User registered successfully. Check your email to verify your account.")
     );
 });
 
@@ -115,48 +125,98 @@ const loginUser = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Email/Username and password required");
     }
 
-    // Find user
+    // Find user by whichever identifier was given; an undefined field would
+    // collapse to {} and match any user
     const user = await User.findOne({
-        $or: [{ email }, { username }]
-    });
+        $or: [email && { email }, username && { username }].filter(Boolean)
+    }).select("+failedLoginAttempts +lastFailedLoginAt +loginLockedUntil");
 
     if (!user) {
         throw new ApiError(404, "User does not exist");
     }
 
+    // Locked accounts don't even get a password check
+    assertNotLocked(user, res);
+
     // Check password
     const isPasswordValid = await user.isPasswordCorrect(password);
     if (!isPasswordValid) {
+        await recordFailedLogin(user);
         throw new ApiError(401, "Invalid credentials");
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } =
-        await generateAccessAndRefreshTokens(user._id);
+    await clearFailedLogins(user);
 
-    // Remove sensitive fields
-    const loggedInUser = await User.findById(user._id).select(
-        "-password -refreshToken"
-    );
+    assertAccountActive(user);
 
-    // Cookie options
-    const options = {
-        httpOnly: true,
-        secure: false,
-        sameSite: "lax"
-    };
+    if (user.isEmailVerified === false) {
+        throw new ApiError(403, "Email is not verified. Check your inbox for the verification link.");
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge
+    if (user.twoFactor?.enabled) {
+        const challengeToken = createLoginChallenge(user, { device: req.body.deviceName });
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                { twoFactorRequired: true, challengeToken },
+                "Two-factor code required"
+            )
+        );
+    }
+
+    return sendLoginResponse(req, res, user._id);
+});
+
+
+// -------------------------------
+// Login Step 2: Two-Factor Code
+// -------------------------------
+// The challenge comes in the body after a password login, or in the
+// challenge cookie after an OAuth login
+const loginWithTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+    const challengeToken = req.body.challengeToken || req.cookies?.[CHALLENGE_COOKIE];
+
+    if (!challengeToken) {
+        throw new ApiError(401, "Login challenge expired. Please log in again.");
+    }
+
+    const challenge = verifyLoginChallenge(challengeToken);
+
+    // Accepts an authenticator code or an unused recovery code
+    const method = await verifySecondFactor(challenge._id, code);
+    if (!method) {
+        throw new ApiError(401, "Invalid two-factor code");
+    }
+
+    res.clearCookie(CHALLENGE_COOKIE, challengeCookieOptions);
+
+    return sendLoginResponse(req, res, challenge._id, { device: challenge.device });
+});
+
+
+// Issue tokens (a new session for this device) and set the auth cookies
+const sendLoginResponse = async (req, res, userId, options) => {
+    // The account may have been suspended since the password step
+    const user = await User.findById(userId).select("-password");
+    assertAccountActive(user);
+
+    const { accessToken, refreshToken, sessionFamily } =
+        await generateAccessAndRefreshTokens(userId, req, options);
 
     return res.status(200)
-        .cookie("accessToken", accessToken, options)
-        .cookie("refreshToken", refreshToken, options)
+        .cookie("accessToken", accessToken, cookieOptions)
+        .cookie("refreshToken", refreshToken, cookieOptions)
         .json(
             new ApiResponse(
                 200,
-                { user: loggedInUser, accessToken, refreshToken },
+                { user, accessToken, refreshToken, sessionId: sessionFamily },
                 "User logged in successfully"
             )
         );
-});
+};
 
 
 // -------------------------------
@@ -164,29 +224,32 @@ const loginUser = asyncHandler(async (req, res) => {
 // -------------------------------
 const logoutUser = asyncHandler(async (req, res) => {
 
-    // Remove refresh token from DB
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $set: { refreshToken: undefined },
-        },
-        { new: true }
-    );
-
-    const options = {
-        httpOnly: true,
-        secure: false,
-        sameSite: "lax"
-    };
+    // Revoke only this device's session
+    await revokeSessions({ user: req.user._id, family: req.session.family }, "logout");
 
     return res
         .status(200)
-        .clearCookie("accessToken", options)
-        .clearCookie("refreshToken", options)
+        .clearCookie("accessToken", cookieOptions)
+        .clearCookie("refreshToken", cookieOptions)
         .json(new ApiResponse(200, {}, "User logged out successfully"));
 });
 
 
+// -------------------------------
+// Logout From All Devices
+// -------------------------------
+const logoutAllDevices = asyncHandler(async (req, res) => {
+
+    await revokeSessions({ user: req.user._id }, "logout_all");
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", cookieOptions)
+        .clearCookie("refreshToken", cookieOptions)
+        .json(new ApiResponse(200, {}, "Logged out from all devices successfully"));
+});
+
+
 // -------------------------------
 // Refresh Access Token
 // -------------------------------
@@ -200,48 +263,20 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
         throw new ApiError(401, "No refresh token found");
     }
 
-    try {
-        // Verify token
-        const decodedToken = jwt.verify(
-            incomingRefreshToken,
-            process.env.REFRESH_TOKEN_SECRET
-        );
-
-        // Find user
-        const user = await User.findById(decodedToken?._id);
-
-        if (!user) {
-            throw new ApiError(401, "Invalid refresh token");
-        }
-
-        // Check if provided refresh token matches stored one
-        if (incomingRefreshToken !== user.refreshToken) {
-            throw new ApiError(401, "Expired or invalid refresh token");
-        }
+    // Exchange it for a new pair; replaying an old token revokes the session
+    const { accessToken, refreshToken } =
+        await rotateRefreshToken(incomingRefreshToken, req);
 
-        // Generate new tokens
-        const { accessToken, refreshToken } =
-            await generateAccessAndRefreshTokens(user._id);
-
-        const options = {
-            httpOnly: true,
-            secure: false,
-            sameSite: "lax"
-        };
-
-        return res.status(200)
-            .cookie("accessToken", accessToken, options)
-            .cookie("refreshToken", refreshToken, options)
-            .json(
-                new ApiResponse(
-                    200,
-                    { accessToken, refreshToken },
-                    "Access token refreshed"
-                )
-            );
-    } catch (error) {
-        throw new ApiError(401, error?.message || "Invalid refresh token");
-    }
+    return res.status(200)
+        .cookie("accessToken", accessToken, cookieOptions)
+        .cookie("refreshToken", refreshToken, cookieOptions)
+        .json(
+            new ApiResponse(
+                200,
+                { accessToken, refreshToken },
+                "Access token refreshed"
+            )
+        );
 });
 
 
@@ -249,7 +284,11 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 // Change Current Password
 // -------------------------------
 const changeCurrentPassword = asyncHandler(async (req, res) => {
-    const { oldpassword, newPassword } = req.body;
+    const { oldpassword, newPassword, twoFactorCode } = req.body;
+
+    if (!oldpassword || !newPassword) {
+        throw new ApiError(400, "Old and new password are required.");
+    }
 
     // Find user
     const user = await User.findById(req.user?._id);
@@ -260,10 +299,18 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid old password.");
     };
 
+    await assertFreshTwoFactor(req.user, twoFactorCode);
+
     // Set new password
     user.password = newPassword;
     await user.save({ validateBeforeSave: false });
 
+    // Sign out every other device; the one that changed the password stays in
+    await revokeSessions(
+        { user: user._id, family: { $ne: req.session.family } },
+        "password_changed"
+    );
+
     return res.status(200).json(new ApiResponse(200, {}, "Password changed successfully."));
 });
 
@@ -282,19 +329,29 @@ const getCurrentuser = asyncHandler(async (req, res) => {
 // Update Account Details
 // -------------------------------
 const updateAccountDetails = asyncHandler(async (req, res) => {
-    const { fullName, email } = req.body;
+    const { fullName, email, twoFactorCode } = req.body;
 
     if (!fullName || !email) {
         throw new ApiError(400, "All fields are required");
     };
 
+    // A new email only replaces the current one once it is verified
+    const emailChanged = email !== req.user.email;
+
+    if (emailChanged) {
+        await assertFreshTwoFactor(req.user, twoFactorCode);
+    }
+
+    if (emailChanged && await User.exists({ email })) {
+        throw new ApiError(409, "Email is already in use.");
+    }
+
     // Update DB
     const user = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
-                fullName,
-                email
+                fullName
             }
         },
         {
@@ -302,9 +359,19 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
         }
     ).select("-password");
 
+    if (emailChanged) {
+        sendInBackground(sendVerificationEmail(user, email));
+    }
+
     return res
         .status(200)
-        .json(new ApiResponse(200, user, "Account details updated successfully."));
+        .json(new ApiResponse(
+            200,
+            user,
+            emailChanged
+                ? "Account details updated. Check your new email to confirm the change."
+                : "Account details updated successfully."
+        ));
 });
 
 
@@ -313,34 +380,28 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
 // -------------------------------
 const updateUserAvater = asyncHandler(async (req, res) => {
 
-    const avatarLocalPath = req.files?.avatar?.[0]?.path;
-
-    if (!avatarLocalPath) {
+    // Route uses upload.single("avatar")
+    if (!req.file) {
         throw new ApiError(400, "Avatar file is missing.");
     }
 
-    // Get user
-    const user = await User.findById(req.user._id);
-
-    // Delete old avatar from Cloudinary
-    if (user.avatar) {
-        const oldPublicId = user.avatar.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(oldPublicId);
-    }
-
     // Upload new avatar
-    const avatar = await uploadOnCloudinary(avatarLocalPath);
+    const avatar = await uploadImage(req.file, { folder: "avatars" });
 
     if (!avatar?.url) {
         throw new ApiError(400, "Error while uploading avatar.");
     }
 
-    // Update in DB
-    const updateAvatar = await User.findByIdAndUpdate(
+    // Update in DB (returns the previous document)
+    const previousUser = await User.findByIdAndUpdate(
         req.user._id,
-        { $set: { avatar: avatar.url } },
-        { new: true }
-    ).select("-password");
+        { $set: { avatar } }
+    );
+
+    // Delete old avatar only once the new one is saved
+    await deleteAsset(previousUser?.avatar);
+
+    const updateAvatar = await User.findById(req.user._id).select("-password");
 
     return res
         .status(200)
@@ -353,38 +414,183 @@ const updateUserAvater = asyncHandler(async (req, res) => {
 // -------------------------------
 const updateUserCoverImage = asyncHandler(async (req, res) => {
 
-    const coverImageLocalPath = req.files?.coverImage?.[0]?.path;
-
-    if (!coverImageLocalPath) {
+    // Route uses upload.single("coverImage")
+    if (!req.file) {
         throw new ApiError(400, "Cover image is missing.");
     }
 
-    // Get user
-    const user = await User.findById(req.user._id);
-
-    // Delete old cover image
-    if (user.coverImage) {
-        const oldPublicId = user.coverImage.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(oldPublicId);
-    }
-
     // Upload new image
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+    const coverImage = await uploadImage(req.file, { folder: "covers" });
 
     if (!coverImage?.url) {
         throw new ApiError(500, "Error while uploading cover image.");
     }
 
-    // Update DB
-    const updatedUser = await User.findByIdAndUpdate(
+    // Update DB (returns the previous document)
+    const previousUser = await User.findByIdAndUpdate(
         req.user._id,
-        { $set: { coverImage: coverImage.url } },
+        { $set: { coverImage } }
+    );
+
+    // Delete old cover image only once the new one is saved
+    await deleteAsset(previousUser?.coverImage);
+
+    const updatedUser = await User.findById(req.user._id).select("-password");
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedUser, "Cover image updated successfully."));
+});
+
+
+// -------------------------------
+// Verify Email (registration or email change)
+// -------------------------------
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    const emailToken = await consumeEmailToken(token, "email_verification");
+    if (!emailToken) {
+        throw new ApiError(400, "Invalid or expired verification link.");
+    }
+
+    // The address may have been claimed since the link was sent
+    const takenBy = await User.exists({ email: emailToken.email, _id: { $ne: emailToken.user } });
+    if (takenBy) {
+        throw new ApiError(409, "Email is already in use.");
+    }
+
+    const user = await User.findByIdAndUpdate(
+        emailToken.user,
+        { $set: { email: emailToken.email, isEmailVerified: true } },
         { new: true }
     ).select("-password");
 
+    if (!user) {
+        throw new ApiError(400, "Invalid or expired verification link.");
+    }
+
     return res
         .status(200)
-        .json(new ApiResponse(200, updatedUser, "Cover image updated successfully."));
+        .json(new ApiResponse(200, user, "Email verified successfully."));
+});
+
+
+// -------------------------------
+// Resend Verification Email
+// -------------------------------
+// Same response whether or not the account exists
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email, isEmailVerified: false });
+    if (user) {
+        sendInBackground(sendVerificationEmail(user));
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "If that account needs verification, a new link has been sent."));
+});
+
+
+// -------------------------------
+// Forgot Password
+// -------------------------------
+// Same response whether or not the account exists
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user) {
+        sendInBackground(sendPasswordResetEmail(user));
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "If an account exists for that email, a reset link has been sent."));
+});
+
+
+// -------------------------------
+// Reset Password
+// -------------------------------
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    const emailToken = await consumeEmailToken(token, "password_reset");
+    const user = emailToken && await User.findById(emailToken.user);
+
+    if (!user) {
+        throw new ApiError(400, "Invalid or expired reset link.");
+    }
+
+    user.password = newPassword;
+
+    // Opening the link proves the user owns the address
+    if (emailToken.email === user.email) {
+        user.isEmailVerified = true;
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeSessions({ user: user._id }, "password_reset");
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Password reset successfully. Please log in."));
+});
+
+
+// -------------------------------
+// List Active Sessions (one per device)
+// -------------------------------
+const getSessions = asyncHandler(async (req, res) => {
+
+    const sessions = await listActiveSessions(req.user._id);
+
+    // The family id is the session id: it stays the same across rotations
+    const data = sessions.map((session) => ({
+        id: session.family,
+        device: session.device,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        isCurrent: session.family === req.session.family
+    }));
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, data, "Sessions fetched successfully."));
+});
+
+
+// -------------------------------
+// Revoke A Session
+// -------------------------------
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    const { modifiedCount } = await revokeSessions(
+        { user: req.user._id, family: sessionId },
+        "revoked_by_user"
+    );
+
+    if (!modifiedCount) {
+        throw new ApiError(404, "Session not found.");
+    }
+
+    // Revoking the current session is a logout
+    if (sessionId === req.session.family) {
+        res.clearCookie("accessToken", cookieOptions)
+            .clearCookie("refreshToken", cookieOptions);
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Session revoked successfully."));
 });
 
 
@@ -432,6 +638,20 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
             }
         },
 
+        // -------------------- STAGE 3b: COUNT COMMUNITY POSTS --------------------
+        {
+            $lookup: {
+                from: "posts",               // community posts collection
+                localField: "_id",
+                foreignField: "owner",       // is channel ke likhe hue posts
+                as: "posts",
+                pipeline: [
+                    { $match: { hiddenAt: null } },     // reports se hide hue posts count nahi honge
+                    { $project: { _id: 1 } }            // sirf count chahiye
+                ]
+            }
+        },
+
         // -------------------- STAGE 4: ADD EXTRA FIELDS --------------------
         {
             $addFields: {
@@ -441,6 +661,9 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                 // User kitne channels ko subscribe karta hai
                 channelsSubscribedToCount: { $size: "$subscribedTo" },
 
+                // Channel ke total community posts
+                postsCount: { $size: "$posts" },
+
                 // Logged-in user already subscribed hai ya nahi
                 isSubscribed: {
                     $cond: {
@@ -453,10 +676,16 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
             }
         },
 
-        // -------------------- STAGE 5: REMOVE SENSITIVE FIELDS --------------------
+        // -------------------- STAGE 5: ONLY PUBLIC FIELDS --------------------
+        // Allowlist: aggregation select:false nahi maanta, isliye jo yahan
+        // nahi likha (2FA secrets, lockout, oauthAccounts, role/status...) wo bahar nahi jaata
         {
             $project: {
-                password: 0,     // password hide
+                ...Object.fromEntries(PUBLIC_PROFILE_FIELDS.split(" ").map((field) => [field, 1])),
+                subscribersCount: 1,
+                channelsSubscribedToCount: 1,
+                postsCount: 1,
+                isSubscribed: 1
             }
         }
     ]);
@@ -476,73 +705,24 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
         ));
 });
 
-const getWatchHistory = asyncHandler(async (req, res) => {
-
-    // Aggregate pipeline on User collection
-    const user = await User.aggregate([
-
-        // -------------------- STAGE 1: MATCH CURRENT USER --------------------
-        {
-            $match: {
-                _id: new mongoose.Types.ObjectId(req.user._id)
-            }
-        },
-
-        // -------------------- STAGE 2: LOOKUP WATCHED VIDEOS --------------------
-        {
-            $lookup: {
-                from: "videos",                 // collection containing videos
-                localField: "watchHistory",     // user's array of video IDs
-                foreignField: "_id",            // match video _id
-                as: "watchHistory",             // output array field
-
-                // Add nested pipeline to populate video owner
-                pipeline: [
-                    {
-                        $lookup: {
-                            from: "users",         // collection containing owners
-                            localField: "owner",   // video's owner field
-                            foreignField: "_id",  // match owner _id
-                            as: "owner",           // output owner field
-                            pipeline: [
-                                {
-                                    $project: {
-                                        password: 0 // hide password
-                                    }
-                                },
-                                {
-                                    $addFields: {
-                                        // After lookup, owner is an array (because $lookup always returns array)
-                                        // $first will take the first element from that array, so 'owner' becomes an object
-                                        owner: { $first: "$owner" }
-                                    }
-                                }
-                            ]
-                        }
-                    }
-                ]
-            }
-        }
-    ]);
-
-    // Return the watch history
-    return res.status(200).json({
-        success: true,
-        data: user[0]?.watchHistory || [],
-        message: "Watch history fetched successfully"
-    });
-});
 // Exporting all controllers
 export {
     registerUser,
     loginUser,
+    loginWithTwoFactor,
     logoutUser,
+    logoutAllDevices,
     refreshAccessToken,
     changeCurrentPassword,
     getCurrentuser,
     updateAccountDetails,
     updateUserAvater,
     updateUserCoverImage,
-    getUserChannelProfile,
-    getWatchHistory
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    getSessions,
+    revokeSession,
+    getUserChannelProfile
 };
@@ -0,0 +1,479 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import {
+    uploadFile,
+    uploadImage,
+    deleteAsset,
+    getAssetSource,
+    keyFromPath
+} from "../utils/storage/index.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserProfile, lookupLikes, lookupCaptions } from "../utils/pipelines.js";
+import { sendRange } from "../utils/httpRange.js";
+import { enqueueJob } from "../utils/jobQueue.js";
+import { TRANSCODE_JOB } from "../workers/transcode.job.js";
+import { removeVideo } from "../utils/videoRemoval.js";
+import { countView, recordWatchTime } from "../utils/viewCounter.js";
+import { emitDomainEvent } from "../utils/domainEvents.js";
+import { claimCompletedUpload, removeUpload } from "../utils/resumableUpload.js";
+import { inspectFile, renameToExtension } from "../utils/uploadPolicies.js";
+import { Upload } from "../models/upload.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+
+
+// Fields a client is allowed to sort the listing by
+const SORTABLE_FIELDS = ["createdAt", "views", "duration", "title"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const TRANSCODE_MAX_ATTEMPTS = Number(process.env.TRANSCODE_MAX_ATTEMPTS) || 5;
+
+// Playable sources stay hidden until the transcode job has finished
+const isReady = { $eq: [{ $ifNull: ["$processingStatus", "ready"] }, "ready"] };
+const hidePendingSources = {
+    $addFields: {
+        videoFile: { $cond: [isReady, "$videoFile", "$$REMOVE"] },
+        hls: { $cond: [isReady, "$hls", "$$REMOVE"] },
+        renditions: { $cond: [isReady, "$renditions", "$$REMOVE"] }
+    }
+};
+
+
+// -------------------------------
+// Find a video and make sure the current user owns it
+// -------------------------------
+const findOwnedVideo = async (videoId, userId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id.");
+    }
+
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+        throw new ApiError(404, "Video not found.");
+    }
+
+    if (video.owner?.toString() !== userId.toString()) {
+        throw new ApiError(403, "You are not allowed to modify this video.");
+    }
+
+    return video;
+};
+
+
+// -------------------------------
+// Get All Videos (paginated)
+// -------------------------------
+const getAllVideos = asyncHandler(async (req, res) => {
+    const {
+        query,
+        sortBy = "createdAt",
+        sortType = "desc",
+        userId
+    } = req.query;
+
+    const match = {};
+
+    // Filter by channel
+    if (userId) {
+        if (!isValidObjectId(userId)) {
+            throw new ApiError(400, "Invalid user id.");
+        }
+        match.owner = new mongoose.Types.ObjectId(userId);
+    }
+
+    // Owners can see their own drafts, everyone else only published, playable
+    // videos that reports haven't hidden
+    if (!userId || userId !== req.user?._id.toString()) {
+        match.isPublished = true;
+        match.processingStatus = { $in: ["ready", null] };
+        match.hiddenAt = null;
+    }
+
+    // Search in title & description
+    if (query?.trim()) {
+        const pattern = new RegExp(escapeRegex(query.trim()), "i");
+        match.$or = [{ title: pattern }, { description: pattern }];
+    }
+
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+        throw new ApiError(400, `sortBy must be one of: ${SORTABLE_FIELDS.join(", ")}`);
+    }
+
+    const pipeline = [
+        { $match: match },
+
+        // Attach owner's public profile
+        ...lookupUserProfile("owner"),
+        hidePendingSources,
+        {
+            $sort: {
+                [sortBy]: sortType === "asc" ? 1 : -1,
+                _id: -1
+            }
+        }
+    ];
+
+    const videos = await Video.aggregatePaginate(
+        Video.aggregate(pipeline),
+        getPaginationOptions(req.query)
+    );
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Videos fetched successfully."));
+});
+
+
+// -------------------------------
+// Publish (Upload) a Video
+// -------------------------------
+const publishAVideo = asyncHandler(async (req, res) => {
+    const { title, description } = req.body;
+
+    if ([title, description].some((f) => !f?.trim())) {
+        throw new ApiError(400, "Title and description are required.");
+    }
+
+    const thumbnailFile = req.files?.thumbnail?.[0];
+    let videoLocalPath = req.files?.videoFile?.[0]?.path;
+
+    if (!videoLocalPath && !req.body.uploadId) {
+        throw new ApiError(400, "Video file is required.");
+    }
+
+    if (!thumbnailFile) {
+        throw new ApiError(400, "Thumbnail is required.");
+    }
+
+    // A finished resumable upload stands in for the multipart video file,
+    // held to the same policy; one that fails it is discarded
+    let resumableUpload = null;
+    if (!videoLocalPath) {
+        resumableUpload = await claimCompletedUpload(req.body.uploadId, req.user._id);
+
+        try {
+            const { extension } = await inspectFile(resumableUpload.filePath, "videoFile");
+            videoLocalPath = await renameToExtension(resumableUpload.filePath, extension);
+        } catch (error) {
+            await removeUpload(resumableUpload);
+            throw error;
+        }
+    }
+
+    // Upload both files
+    const videoFile = await uploadFile(videoLocalPath, { folder: "videos" });
+    const thumbnail = await uploadImage(thumbnailFile, { folder: "thumbnails" });
+
+    // uploadFile removed the temp file either way
+    if (resumableUpload) {
+        await Upload.deleteOne({ _id: resumableUpload._id });
+    }
+
+    if (!videoFile?.url || !thumbnail?.url) {
+        // Don't leave half an upload behind
+        await deleteAsset(videoFile);
+        await deleteAsset(thumbnail);
+        throw new ApiError(500, "Error while uploading video.");
+    }
+
+    // Only Cloudinary probes the duration on upload; otherwise it stays 0 until
+    // the transcode job has probed the file (the client's word isn't taken)
+    const { duration, ...videoAsset } = videoFile;
+
+    const video = await Video.create({
+        title: title.trim(),
+        description: description.trim(),
+        videoFile: videoAsset,
+        thumbnail,
+        duration: duration || 0,
+        owner: req.user._id,
+        processingStatus: "queued"
+    });
+
+    // Worker transcodes to HLS and replaces the duration with the probed one
+    await enqueueJob(
+        TRANSCODE_JOB,
+        { videoId: video._id },
+        { maxAttempts: TRANSCODE_MAX_ATTEMPTS }
+    );
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, video, "Video published successfully."));
+});
+
+
+// -------------------------------
+// Get Video By Id
+// -------------------------------
+const getVideoById = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id.");
+    }
+
+    const video = await Video.aggregate([
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(videoId)
+            }
+        },
+        ...lookupUserProfile("owner"),
+        ...lookupLikes("Video", req.user?._id),
+        ...lookupCaptions(),
+        hidePendingSources
+    ]);
+
+    // Unpublished or hidden videos are only visible to their owner
+    const isOwner = video[0]?.owner?._id.toString() === req.user?._id.toString();
+
+    if (!video?.length || ((!video[0].isPublished || video[0].hiddenAt) && !isOwner)) {
+        throw new ApiError(404, "Video not found.");
+    }
+
+    // Where the signed-in viewer left off
+    const progress = await WatchHistory.findOne({ user: req.user._id, video: video[0]._id });
+    video[0].watchProgress = progress
+        ? {
+            position: progress.position,
+            resumePosition: progress.completed ? 0 : progress.position,
+            completed: progress.completed,
+            lastWatchedAt: progress.lastWatchedAt
+        }
+        : null;
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video[0], "Video fetched successfully."));
+});
+
+
+// -------------------------------
+// Update Video Details / Thumbnail
+// -------------------------------
+const updateVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const { title, description } = req.body;
+
+    const video = await findOwnedVideo(videoId, req.user._id);
+
+    if (!title?.trim() && !description?.trim() && !req.file) {
+        throw new ApiError(400, "Nothing to update.");
+    }
+
+    if (title?.trim()) video.title = title.trim();
+    if (description?.trim()) video.description = description.trim();
+
+    // Replace thumbnail, removing the old one only after the new one is saved
+    let oldThumbnail = null;
+    if (req.file) {
+        const thumbnail = await uploadImage(req.file, { folder: "thumbnails" });
+
+        if (!thumbnail?.url) {
+            throw new ApiError(500, "Error while uploading thumbnail.");
+        }
+
+        oldThumbnail = video.thumbnail?.toObject();
+        video.thumbnail = thumbnail;
+    }
+
+    await video.save();
+    await deleteAsset(oldThumbnail);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video updated successfully."));
+});
+
+
+// -------------------------------
+// Delete Video
+// -------------------------------
+const deleteVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await findOwnedVideo(videoId, req.user._id);
+
+    await removeVideo(video);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Video deleted successfully."));
+});
+
+
+// -------------------------------
+// Toggle Publish Status
+// -------------------------------
+const togglePublishStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await findOwnedVideo(videoId, req.user._id);
+
+    if (!video.isPublished && video.moderationLock?.at) {
+        throw new ApiError(403, "This video was unpublished by a moderator and can't be republished.");
+    }
+
+    video.isPublished = !video.isPublished;
+    await video.save({ validateBeforeSave: false });
+
+    if (video.isPublished) {
+        emitDomainEvent("video.published", { videoId: video._id });
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { isPublished: video.isPublished },
+            "Publish status toggled successfully."
+        ));
+});
+
+
+// Unpublished or hidden videos only play for their owner, and only once ready
+const findPlayableVideo = async (videoId, user, fields) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id.");
+    }
+
+    const video = await Video.findById(videoId).select(`${fields} isPublished hiddenAt owner processingStatus`);
+    const isOwner = video?.owner?.toString() === user?._id.toString();
+
+    if (!video || ((!video.isPublished || video.hiddenAt) && !isOwner)) {
+        throw new ApiError(404, "Video not found.");
+    }
+
+    if (video.processingStatus !== "ready") {
+        throw new ApiError(409, "Video is still processing.");
+    }
+
+    return video;
+};
+
+// Drafts must never end up in a shared cache
+const setPlaybackCacheControl = (res, video) =>
+    res.setHeader(
+        "Cache-Control",
+        video.isPublished && !video.hiddenAt ? "private, max-age=0, must-revalidate" : "private, no-store"
+    );
+
+
+// -------------------------------
+// Stream Video (supports Range / If-Range / conditional GET)
+// -------------------------------
+const streamVideo = asyncHandler(async (req, res) => {
+    const video = await findPlayableVideo(req.params.videoId, req.user, "videoFile");
+
+    const source = await getAssetSource(video.videoFile);
+
+    setPlaybackCacheControl(res, video);
+
+    await sendRange(req, res, source);
+});
+
+
+// -------------------------------
+// Serve a locally stored HLS file (GET /media/hls/:videoId/<file>)
+// -------------------------------
+// Playlists and segments get the same checks as the stream; the master
+// playlist's relative links keep every request on this route.
+const streamHlsFile = asyncHandler(async (req, res) => {
+    const video = await findPlayableVideo(req.params.videoId, req.user, "hls");
+
+    if (video.hls?.provider !== "local") {
+        throw new ApiError(404, "Media not found.");
+    }
+
+    const source = await getAssetSource({
+        provider: video.hls.provider,
+        key: `${video.hls.prefix}/${keyFromPath(req.params.file)}`
+    });
+
+    setPlaybackCacheControl(res, video);
+
+    await sendRange(req, res, source);
+});
+
+
+// -------------------------------
+// Retry Processing (after the worker gave up)
+// -------------------------------
+const retryVideoProcessing = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await findOwnedVideo(videoId, req.user._id);
+
+    if (video.processingStatus !== "failed") {
+        throw new ApiError(409, "Only failed videos can be reprocessed.");
+    }
+
+    video.processingStatus = "queued";
+    await video.save({ validateBeforeSave: false });
+
+    await enqueueJob(
+        TRANSCODE_JOB,
+        { videoId: video._id },
+        { maxAttempts: TRANSCODE_MAX_ATTEMPTS }
+    );
+
+    return res
+        .status(202)
+        .json(new ApiResponse(
+            202,
+            { processingStatus: video.processingStatus },
+            "Video queued for processing."
+        ));
+});
+
+
+// -------------------------------
+// Record A View (signed-in or anonymous)
+// -------------------------------
+// Called by the player once playback starts. Repeat calls from the same
+// viewer inside the dedup window are accepted but not counted.
+const recordView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id.");
+    }
+
+    const video = await Video.findById(videoId).select("owner isPublished hiddenAt processingStatus duration");
+
+    const isOwner = video?.owner?.toString() === req.user?._id.toString();
+
+    if (!video || ((!video.isPublished || video.hiddenAt) && !isOwner)) {
+        throw new ApiError(404, "Video not found.");
+    }
+
+    const counted = await countView(video, req);
+
+    // Players post again while playing to report watch time
+    if (req.body.watchedSeconds !== undefined) {
+        await recordWatchTime(video, req, req.body.watchedSeconds);
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { counted }, counted ? "View recorded." : "View already counted."));
+});
+
+
+export {
+    getAllVideos,
+    publishAVideo,
+    getVideoById,
+    updateVideo,
+    deleteVideo,
+    togglePublishStatus,
+    streamVideo,
+    streamHlsFile,
+    retryVideoProcessing,
+    recordView
+};
@@ -0,0 +1,65 @@
+// -------------------------------
+// One-off migration: bare Cloudinary URL strings → asset refs
+// -------------------------------
+// Run once after upgrading: npm run migrate:assets
+import mongoose from "mongoose";
+import connectDB from "./index.js";
+
+
+// Public id from a Cloudinary delivery URL, keeping any folder prefix
+// e.g. .../video/upload/c_fill,w_100/v1712/videos/abc.mp4 → "videos/abc"
+const getPublicIdFromUrl = (url) => {
+    const [, assetPath] = url.split("?")[0].split("/upload/");
+    if (!assetPath) return null;
+
+    // Everything up to the version segment is transformations
+    const segments = assetPath.split("/");
+    const versionIndex = segments.findIndex((s) => /^v\d+$/.test(s));
+
+    return segments.slice(versionIndex + 1).join("/").replace(/\.[^./]+$/, "");
+};
+
+const toAssetRef = (url, kind) => ({
+    provider: "cloudinary",
+    key: getPublicIdFromUrl(url) || url,
+    url,
+    contentType: kind
+});
+
+const FIELDS = {
+    users: { avatar: "image/*", coverImage: "image/*" },
+    videos: { videoFile: "video/*", thumbnail: "image/*" }
+};
+
+const migrate = async () => {
+    await connectDB();
+
+    for (const [collectionName, fields] of Object.entries(FIELDS)) {
+        const collection = mongoose.connection.db.collection(collectionName);
+
+        for (const [field, kind] of Object.entries(fields)) {
+            // Legacy empty coverImage strings simply go away
+            await collection.updateMany({ [field]: "" }, { $unset: { [field]: "" } });
+
+            const cursor = collection.find({ [field]: { $type: "string" } });
+            let migrated = 0;
+
+            for await (const doc of cursor) {
+                await collection.updateOne(
+                    { _id: doc._id },
+                    { $set: { [field]: toAssetRef(doc[field], kind) } }
+                );
+                migrated++;
+            }
+
+            console.log(`${collectionName}.${field}: ${migrated} migrated`);
+        }
+    }
+};
+
+migrate()
+    .catch((error) => {
+        console.log("ASSET MIGRATION FAILED:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
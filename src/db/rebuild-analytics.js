@@ -0,0 +1,37 @@
+// -------------------------------
+// Recompute the analytics rollups from the raw events
+// -------------------------------
+// The API keeps the daily rollups current as events arrive; run this to
+// repair them (or to backfill after restoring raw events):
+//   npm run rebuild:analytics                          every day on record
+//   npm run rebuild:analytics -- 2025-01-01 2025-02-01 from (inclusive) / to (exclusive)
+import mongoose from "mongoose";
+import connectDB from "./index.js";
+import { rebuildDailyStats } from "../utils/analytics.js";
+
+
+const parseDate = (value) => {
+    if (!value) return undefined;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return date;
+};
+
+const rebuild = async () => {
+    const [from, to] = process.argv.slice(2).map(parseDate);
+
+    await connectDB();
+    await rebuildDailyStats({ from, to });
+
+    console.log("Analytics rollups rebuilt");
+};
+
+rebuild()
+    .catch((error) => {
+        console.log("REBUILD ANALYTICS FAILED:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+// -------------------------------
+// Grant a role from the command line
+// -------------------------------
+// The admin API can't create admins, so the first one is made here:
+//   npm run set-role -- <username> <user|moderator|admin>
+import mongoose from "mongoose";
+import connectDB from "./index.js";
+import { User } from "../models/user.model.js";
+import { ROLES } from "../constants.js";
+
+
+const setRole = async () => {
+    const [username, role] = process.argv.slice(2);
+
+    if (!username || !ROLES.includes(role)) {
+        console.log(`Usage: npm run set-role -- <username> <${ROLES.join("|")}>`);
+        process.exitCode = 1;
+        return;
+    }
+
+    await connectDB();
+
+    const user = await User.findOneAndUpdate(
+        { username: username.toLowerCase() },
+        { $set: { role } },
+        { new: true }
+    );
+
+    if (!user) {
+        console.log(`No user named "${username}"`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`${user.username} is now ${user.role}`);
+};
+
+setRole()
+    .catch((error) => {
+        console.log("SET ROLE FAILED:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
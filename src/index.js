@@ -1,14 +1,27 @@
 import dotenv from 'dotenv';
 import connectDB from "./db/index.js";
 import app from "./app.js";
+import { startUploadSweeper } from "./utils/resumableUpload.js";
+import { getTransport } from "./utils/mailer/index.js";
 
 
 dotenv.config({
     path: './.env'
 })
 
+// Account emails must go out for real, not into the logs
+try {
+    getTransport();
+} catch (error) {
+    console.log("SERVER STARTUP FAILED !!", error.message);
+    process.exit(1);
+}
+
 connectDB()
     .then(() => {
+        // Partial resumable uploads live on this server's disk
+        startUploadSweeper();
+
         app.listen(process.env.PORT || 8000, () => {
             console.log(`Server is running at port : ${process.env.PORT}`);
             app.on("error", (error) => {
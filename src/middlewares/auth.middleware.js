@@ -2,6 +2,7 @@ import { asyncHandler } from "../utils/asyncaHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import jwt from "jsonwebtoken";   // <-- FIXED
 import { User } from "../models/user.model.js";
+import { assertAccountActive, isSessionActive } from "../utils/session.js";
 
 export const verifyJWT = asyncHandler(async (req, res, next) => {
     try {
@@ -16,19 +17,35 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
         // FIX: JWT.verify → jwt.verify
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
+        // Access tokens die with their session (logout, revoke, reuse detection)
+        if (!decodedToken?.sid || !(await isSessionActive(decodedToken.sid))) {
+            throw new ApiError(401, "Session has been revoked");
+        }
+
         // FIX: findByID → findById
-        // FIX: "-passwrod -refreshTokem" → correct spelling
-        const user = await User.findById(decodedToken?._id).select(
-            "-password -refreshToken"
-        );
+        const user = await User.findById(decodedToken?._id).select("-password");
 
         if (!user) {
             throw new ApiError(401, "Invalid Access Token");
         }
 
+        // Suspended / banned users are turned away with the reason
+        assertAccountActive(user);
+
         req.user = user;
+        req.session = { family: decodedToken.sid, expiresAt: decodedToken.exp * 1000 };
         next();
     } catch (error) {
+        if (error instanceof ApiError && error.statusCode === 403) throw error;
         throw new ApiError(401, error?.message || "Invalid access token");
     }
 });
+
+// Like verifyJWT, but anonymous requests pass through without req.user.
+// A token that is present must still be valid.
+export const optionalJWT = (req, res, next) => {
+    const hasToken = req.cookies?.accessToken || req.header("Authorization");
+    if (!hasToken) return next();
+
+    return verifyJWT(req, res, next);
+};
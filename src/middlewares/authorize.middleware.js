@@ -0,0 +1,21 @@
+import { ApiError } from "../utils/ApiError.js";
+
+
+// -------------------------------
+// Require every listed permission (use after verifyJWT)
+// -------------------------------
+// Usage: router.get("/x", verifyJWT, authorize("users:read"), handler)
+// Permissions per role live in constants.js (ROLE_PERMISSIONS).
+export const authorize = (...permissions) => (req, res, next) => {
+    if (!req.user) {
+        throw new ApiError(401, "Unauthorized request");
+    }
+
+    const missing = permissions.filter((permission) => !req.user.hasPermission(permission));
+
+    if (missing.length) {
+        throw new ApiError(403, "You do not have permission to perform this action.");
+    }
+
+    next();
+};
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+
+
+// Turn anything thrown in a route into an ApiError
+const toApiError = (err) => {
+    if (err instanceof ApiError) return err;
+
+    // Malformed JSON / urlencoded body
+    if (err?.type === "entity.parse.failed") {
+        return new ApiError(400, "Malformed request body.");
+    }
+
+    if (err?.type === "entity.too.large") {
+        return new ApiError(413, "Request body is too large.");
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new ApiError(400, `Invalid value for ${err.path}.`);
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        return new ApiError(
+            400,
+            "Validation failed",
+            Object.values(err.errors).map((e) => ({
+                location: "body",
+                field: e.path,
+                message: e.message
+            }))
+        );
+    }
+
+    // Unique index violation
+    if (err?.code === 11000) {
+        return new ApiError(409, "Resource already exists.");
+    }
+
+    const status = err?.statusCode || err?.status;
+    if (status >= 400 && status < 500) {
+        return new ApiError(status, err.message);
+    }
+
+    return new ApiError(500, "Something went wrong", [], err?.stack);
+};
+
+
+// -------------------------------
+// Central error handler (must be registered after all routes)
+// -------------------------------
+// Express recognises error handlers by their four arguments, so `next` stays
+export const errorHandler = (err, req, res, next) => {
+    // Mid-stream failures can't be turned into JSON anymore
+    if (res.headersSent) {
+        return req.socket.destroy();
+    }
+
+    const error = toApiError(err);
+
+    if (error.statusCode >= 500) {
+        console.log("UNHANDLED ERROR:", err);
+    }
+
+    return res.status(error.statusCode).json({
+        statusCode: error.statusCode,
+        data: null,
+        success: false,
+        message: error.message,
+        errors: error.errors,
+        ...(process.env.NODE_ENV === "development" ? { stack: error.stack } : {})
+    });
+};
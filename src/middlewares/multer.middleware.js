@@ -1,15 +1,131 @@
 import multer from "multer";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { ApiError } from "../utils/ApiError.js";
+import {
+    getUploadPolicy,
+    inspectFile,
+    createImageVariants,
+    variantPaths,
+    renameToExtension,
+    removeTempFiles
+} from "../utils/uploadPolicies.js";
 
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, "./public/temp");
+const TEMP_DIR = "./public/temp";
+
+// Disk storage that holds each file to its field's size limit while it
+// streams in: an oversized file is cut off at the limit and removed, rather
+// than written out in full and rejected afterwards.
+const storage = {
+    _handleFile(req, file, cb) {
+        const maxBytes = getUploadPolicy(file.fieldname).maxBytes();
+        // Unique names, so two users uploading "video.mp4" at once don't clash;
+        // the real extension is set once the content has been sniffed
+        const filename = `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
+        const filePath = path.join(TEMP_DIR, filename);
+        const out = fs.createWriteStream(filePath);
+
+        let size = 0;
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+
+            // Let the rest of the file drain so the request can finish
+            file.stream.unpipe(out);
+            file.stream.resume();
+            out.destroy();
+            fs.promises.rm(filePath, { force: true }).finally(() => cb(error));
+        };
+
+        file.stream.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                fail(new multer.MulterError("LIMIT_FILE_SIZE", file.fieldname));
+            }
+        });
+        out.on("error", fail);
+        out.on("finish", () => {
+            if (!failed) cb(null, { destination: TEMP_DIR, filename, path: filePath, size });
+        });
+
+        file.stream.pipe(out);
     },
-    filename: function (req, file, cb) {
-        cb(null, file.originalname);
+
+    _removeFile(req, file, cb) {
+        fs.promises.rm(file.path, { force: true }).then(() => cb(null), cb);
+    }
+};
+
+// Multer's own errors, worded for the client
+const toUploadError = (error, fields) => {
+    if (error instanceof ApiError) return error;
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+        const policy = getUploadPolicy(error.field);
+        return new ApiError(413, `${policy.label} can be at most ${Math.floor(policy.maxBytes() / (1024 * 1024))} MB.`);
     }
-})
+    if (error.code === "LIMIT_UNEXPECTED_FILE") {
+        return new ApiError(400, `Unexpected file field: ${error.field}. Expected: ${fields.join(", ")}.`);
+    }
+    if (error instanceof multer.MulterError) {
+        return new ApiError(400, error.message);
+    }
+    return error;
+};
+
+const uploadedFiles = (req) =>
+    [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean);
+
+
+// -------------------------------
+// Receive files, then hold each to its field's policy (utils/uploadPolicies.js)
+// -------------------------------
+// Images are replaced by their re-encoded variants (`file.variants`, largest
+// last, `file.path` pointing at it); other files get the extension of their
+// sniffed type. Every temp file is removed once the response is over, however
+// it ended, so controllers only need to clean up what they upload.
+const receive = (fields, parser) => (req, res, next) => {
+    // Each field's size limit is enforced by the storage engine
+    const limits = { files: fields.length };
+
+    parser(multer({ storage, limits }))(req, res, async (error) => {
+        const files = uploadedFiles(req);
+        const tempPaths = files.flatMap((file) => [file.path, ...variantPaths(file.path, file.fieldname)]);
+
+        res.once("close", () => {
+            removeTempFiles(tempPaths).catch((cleanupError) =>
+                console.log("TEMP FILE CLEANUP FAILED:", cleanupError)
+            );
+        });
+
+        if (error) return next(toUploadError(error, fields));
+
+        try {
+            for (const file of files) {
+                const details = await inspectFile(file.path, file.fieldname);
+
+                if (getUploadPolicy(file.fieldname).variants) {
+                    file.variants = await createImageVariants(file.path, file.fieldname);
+                    file.path = file.variants.at(-1).path;
+                    file.mimetype = "image/webp";
+                } else {
+                    file.path = await renameToExtension(file.path, details.extension);
+                    file.mimetype = details.mime;
+                    tempPaths.push(file.path);
+                }
+            }
+            next();
+        } catch (checkError) {
+            next(checkError);
+        }
+    });
+};
 
 
-export const upload = multer({
-    storage,
-});
\ No newline at end of file
+export const upload = {
+    single: (field) => receive([field], (instance) => instance.single(field)),
+    fields: (fields) => receive(fields.map(({ name }) => name), (instance) => instance.fields(fields))
+};
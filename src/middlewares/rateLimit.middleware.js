@@ -0,0 +1,115 @@
+import { asyncHandler } from "../utils/asyncaHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { getRateLimitStore, STRATEGIES } from "../utils/rateLimit/index.js";
+
+
+// What a limit is counted per. "user" falls back to the IP for anonymous
+// requests, so put it after verifyJWT.
+const KEY_RESOLVERS = {
+    ip: (req) => `ip=${req.ip}`,
+    user: (req) => (req.user ? `user=${req.user._id}` : `ip=${req.ip}`),
+    route: (req) => `route=${req.method} ${req.baseUrl}${req.route?.path || req.path}`
+};
+
+const resolveKeyPart = (part, req) =>
+    typeof part === "function" ? part(req) : KEY_RESOLVERS[part](req);
+
+
+// -------------------------------
+// Rate limit a route
+// -------------------------------
+// Usage:
+//   rateLimit({ name: "login", limit: 10, windowMs: 15 * 60 * 1000 })
+//   rateLimit({ name: "upload", strategy: "token-bucket", limit: 20, windowMs: HOUR, keyBy: "user" })
+// keyBy: "ip" | "user" | "route" | (req) => string, or an array to combine them.
+// skip: (req) => boolean, to leave some requests uncounted.
+// Sets RateLimit-* headers on every response and Retry-After on 429.
+export const rateLimit = ({
+    name,
+    strategy = "fixed-window",
+    limit,
+    windowMs,
+    keyBy = "ip",
+    store,
+    skip,
+    message = "Too many requests. Please try again later."
+}) => {
+    const method = STRATEGIES[strategy];
+
+    if (!method) {
+        throw new Error(`Unknown rate limit strategy: ${strategy}`);
+    }
+
+    for (const part of [].concat(keyBy)) {
+        if (typeof part !== "function" && !KEY_RESOLVERS[part]) {
+            throw new Error(`Unknown rate limit key: ${part}`);
+        }
+    }
+
+    return asyncHandler(async (req, res, next) => {
+        if (process.env.RATE_LIMIT_DISABLED === "true" || skip?.(req)) {
+            return next();
+        }
+
+        const key = [name, ...[].concat(keyBy).map((part) => resolveKeyPart(part, req))].join(":");
+
+        let result;
+        try {
+            result = await getRateLimitStore(store)[method](key, { limit, windowMs });
+        } catch (error) {
+            // A broken counter store shouldn't take the API down with it
+            console.log("RATE LIMIT STORE FAILED !!", error);
+            return next();
+        }
+
+        const resetSeconds = Math.max(Math.ceil(result.resetMs / 1000), 0);
+
+        res.set({
+            "RateLimit-Policy": `${limit};w=${Math.ceil(windowMs / 1000)}`,
+            "RateLimit-Limit": String(limit),
+            "RateLimit-Remaining": String(result.remaining),
+            "RateLimit-Reset": String(resetSeconds)
+        });
+
+        if (!result.allowed) {
+            res.set("Retry-After", String(Math.max(resetSeconds, 1)));
+            throw new ApiError(429, message);
+        }
+
+        next();
+    });
+};
+
+
+// Shared by every route that accepts files (user images, videos, resumable
+// uploads), so the budget covers all of them. Goes before multer so
+// rejected requests never reach public/temp.
+const UPLOAD_BUDGET = {
+    name: "upload",
+    strategy: "token-bucket",
+    limit: 20,
+    windowMs: 60 * 60 * 1000,
+    keyBy: "user",
+    message: "Upload limit reached. Please try again later."
+};
+
+export const uploadRateLimit = rateLimit({
+    ...UPLOAD_BUDGET,
+    // e.g. a video PATCH without a new thumbnail isn't an upload
+    skip: (req) => !req.is("multipart/form-data")
+});
+
+// Creating a resumable upload has no body, but starts an upload all the same
+export const resumableUploadRateLimit = rateLimit(UPLOAD_BUDGET);
+
+
+// Shared by the view and watch-progress routes. Players report every few
+// seconds while playing; anything well beyond that is someone inflating
+// views or watch time. Anonymous viewers are counted per IP.
+export const playbackRateLimit = rateLimit({
+    name: "playback",
+    limit: 240,
+    windowMs: 15 * 60 * 1000,
+    keyBy: "user",
+    message: "Too many playback reports. Please try again later."
+});
@@ -0,0 +1,21 @@
+import { ApiError } from "../utils/ApiError.js";
+
+
+export const TUS_VERSION = "1.0.0";
+
+
+// -------------------------------
+// tus protocol version check
+// -------------------------------
+// Every response carries Tus-Resumable; every request except OPTIONS must
+// speak the same version (412 Precondition Failed otherwise).
+export const requireTus = (req, res, next) => {
+    res.set("Tus-Resumable", TUS_VERSION);
+
+    if (req.method !== "OPTIONS" && req.get("Tus-Resumable") !== TUS_VERSION) {
+        res.set("Tus-Version", TUS_VERSION);
+        return next(new ApiError(412, `Tus-Resumable ${TUS_VERSION} is required.`));
+    }
+
+    next();
+};
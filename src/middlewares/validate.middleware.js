@@ -0,0 +1,75 @@
+import { ApiError } from "../utils/ApiError.js";
+
+
+const LOCATIONS = ["params", "query", "body"];
+
+
+// Recursively drop keys that MongoDB would read as operators ($gt, $ne, $where, ...)
+const stripOperators = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(stripOperators);
+    }
+
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([key]) => !key.startsWith("$"))
+                .map(([key, nested]) => [key, stripOperators(nested)])
+        );
+    }
+
+    return value;
+};
+
+// Express 5 exposes req.query through a getter, so it can't simply be assigned
+const setRequestPart = (req, location, value) => {
+    Object.defineProperty(req, location, {
+        value,
+        writable: true,
+        configurable: true,
+        enumerable: true
+    });
+};
+
+
+// -------------------------------
+// Validate & sanitize a request against zod schemas
+// -------------------------------
+// Usage: router.post("/x", validate({ body, params, query }), handler)
+// Each part is stripped of $-operators, then parsed: unknown keys are dropped
+// and the parsed (trimmed / coerced) values replace the originals. Every
+// failing field is reported in ApiError.errors as { location, field, message }.
+export const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+        const sanitized = stripOperators(req[location] ?? {});
+        const schema = schemas[location];
+
+        if (!schema) {
+            setRequestPart(req, location, sanitized);
+            continue;
+        }
+
+        const result = schema.safeParse(sanitized);
+
+        if (result.success) {
+            setRequestPart(req, location, result.data);
+            continue;
+        }
+
+        for (const issue of result.error.issues) {
+            errors.push({
+                location,
+                field: issue.path.join(".") || location,
+                message: issue.message
+            });
+        }
+    }
+
+    if (errors.length) {
+        return next(new ApiError(400, "Validation failed", errors));
+    }
+
+    next();
+};
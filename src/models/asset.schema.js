@@ -0,0 +1,46 @@
+import { Schema } from "mongoose";
+
+
+// One re-encoded size of an uploaded image (see utils/uploadPolicies.js)
+const variantSchema = new Schema({
+    name: String,
+    width: Number,
+    height: Number,
+    key: String,
+    url: String,
+    size: Number
+}, {
+    _id: false
+});
+
+// Provider-agnostic pointer to a stored file.
+// `key` is what the provider needs to find the file again (path, object key
+// or Cloudinary public id), so deletes never depend on parsing `url`.
+export const assetSchema = new Schema({
+    provider: {
+        type: String,
+        enum: ["local", "s3", "cloudinary"],
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    contentType: {
+        type: String
+    },
+    size: {
+        type: Number
+    },
+    // Images only: every size, smallest first; the asset itself is the largest
+    variants: {
+        type: [variantSchema],
+        default: undefined
+    }
+}, {
+    _id: false
+});
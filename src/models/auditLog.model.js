@@ -0,0 +1,75 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+
+// Append-only record of privileged actions. Entries are only ever created;
+// every update / delete path is blocked below.
+const auditLogSchema = new Schema(
+    {
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        // e.g. "user.suspend", "video.delete"
+        action: {
+            type: String,
+            required: true
+        },
+        targetType: {
+            type: String,
+            enum: ["User", "Video", "Comment", "Post", "Session"],
+            required: true
+        },
+        target: {
+            type: Schema.Types.ObjectId,
+            required: true
+        },
+        // Action details: reason, previous / new values, ...
+        metadata: {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        ip: {
+            type: String
+        },
+        userAgent: {
+            type: String
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+auditLogSchema.plugin(mongooseAggregatePaginate);
+
+const rejectChange = function () {
+    throw new Error("Audit log entries cannot be modified or deleted");
+};
+
+auditLogSchema.pre(
+    [
+        "updateOne",
+        "updateMany",
+        "findOneAndUpdate",
+        "replaceOne",
+        "findOneAndReplace",
+        "deleteOne",
+        "deleteMany",
+        "findOneAndDelete"
+    ],
+    rejectChange
+);
+
+auditLogSchema.pre("deleteOne", { document: true, query: false }, rejectChange);
+
+auditLogSchema.pre("save", function () {
+    if (!this.isNew) rejectChange();
+});
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
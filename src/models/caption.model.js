@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose";
+import { assetSchema } from "./asset.schema.js";
+
+
+// One caption / subtitle track of a video, stored as normalized WebVTT
+// (see utils/captions.js)
+const captionSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        // Canonical BCP 47 tag, e.g. "en", "pt-BR"
+        language: {
+            type: String,
+            required: true
+        },
+        label: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100
+        },
+        // subtitles: translation of the dialogue; captions: also describe
+        // sounds, for viewers who can't hear them
+        kind: {
+            type: String,
+            enum: ["subtitles", "captions"],
+            default: "subtitles"
+        },
+        // The track players turn on by themselves; at most one per video
+        isDefault: {
+            type: Boolean,
+            default: false
+        },
+        file: {
+            type: assetSchema,
+            required: true
+        },
+        cueCount: {
+            type: Number
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// One track per language and kind
+captionSchema.index({ video: 1, language: 1, kind: 1 }, { unique: true });
+
+captionSchema.index(
+    { video: 1 },
+    { unique: true, partialFilterExpression: { isDefault: true }, name: "one_default_caption_per_video" }
+);
+
+export const Caption = mongoose.model("Caption", captionSchema);
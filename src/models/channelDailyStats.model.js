@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+
+
+// Subscriber gains / losses of a channel for one UTC day, rolled up from
+// SubscriptionEvent the same way VideoDailyStats is from VideoView
+const channelDailyStatsSchema = new Schema(
+    {
+        channel: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        // Midnight UTC
+        day: {
+            type: Date,
+            required: true
+        },
+        subscribersGained: {
+            type: Number,
+            default: 0
+        },
+        subscribersLost: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        versionKey: false
+    }
+);
+
+channelDailyStatsSchema.index({ channel: 1, day: 1 }, { unique: true });
+
+export const ChannelDailyStats = mongoose.model("ChannelDailyStats", channelDailyStatsSchema);
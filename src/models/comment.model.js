@@ -0,0 +1,67 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+
+const commentSchema = new Schema(
+    {
+        content: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 5000
+        },
+        // What the comment is on: a video or a community post, never both
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video"
+        },
+        post: {
+            type: Schema.Types.ObjectId,
+            ref: "Post"
+        },
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        // null for top-level comments, otherwise the comment being replied to
+        parent: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null
+        },
+        isPinned: {
+            type: Boolean,
+            default: false
+        },
+        isEdited: {
+            type: Boolean,
+            default: false
+        },
+        // Auto-hidden by reports until reviewed (same as Video.hiddenAt)
+        hiddenAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+commentSchema.pre("validate", function () {
+    if (!this.video === !this.post) {
+        this.invalidate("video", "A comment must belong to either a video or a post.");
+    }
+});
+
+// Top-level listing per video / post and reply listing per thread
+commentSchema.index({ video: 1, parent: 1, isPinned: -1, createdAt: -1 });
+commentSchema.index(
+    { post: 1, parent: 1, isPinned: -1, createdAt: -1 },
+    { partialFilterExpression: { post: { $exists: true } } }
+);
+commentSchema.index({ parent: 1, createdAt: 1 });
+
+commentSchema.plugin(mongooseAggregatePaginate);
+
+export const Comment = mongoose.model("Comment", commentSchema);
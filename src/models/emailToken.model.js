@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+
+export const EMAIL_TOKEN_PURPOSES = ["email_verification", "password_reset"];
+
+// Single-use tokens mailed to the user. Only the sha256 of the token is
+// stored, so a database leak can't be turned into working links.
+const emailTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        purpose: {
+            type: String,
+            enum: EMAIL_TOKEN_PURPOSES,
+            required: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        // Address the token was sent to (the new address on an email change)
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true
+        },
+        usedAt: {
+            type: Date,
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+emailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const EmailToken = mongoose.model("EmailToken", emailTokenSchema);
@@ -0,0 +1,61 @@
+import mongoose, { Schema } from "mongoose";
+
+
+// Background job stored in Mongo; workers claim them atomically
+const jobSchema = new Schema({
+    type: {
+        type: String,
+        required: true,
+        index: true
+    },
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ["queued", "processing", "completed", "failed"],
+        default: "queued"
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    // Earliest time the job may run (pushed back on retry)
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedBy: {
+        type: String
+    },
+    lockedAt: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    completedAt: {
+        type: Date
+    },
+    // Set by ensureJobQueued; at most one run of a recurring type waits at a time
+    recurring: {
+        type: Boolean
+    }
+}, {
+    timestamps: true
+});
+
+// Workers look for the oldest runnable job of their types
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+
+jobSchema.index(
+    { type: 1 },
+    { unique: true, partialFilterExpression: { status: "queued", recurring: true }, name: "one_queued_run_per_recurring_job" }
+);
+
+export const Job = mongoose.model("Job", jobSchema);
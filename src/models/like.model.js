@@ -0,0 +1,39 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+
+// Things that can be liked; `target` points into the matching collection
+export const LIKE_TARGET_TYPES = ["Video", "Comment", "Post"];
+
+const likeSchema = new Schema(
+    {
+        likedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        targetType: {
+            type: String,
+            enum: LIKE_TARGET_TYPES,
+            required: true
+        },
+        target: {
+            type: Schema.Types.ObjectId,
+            refPath: "targetType",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// One like per (user, target), enforced by the database
+likeSchema.index({ likedBy: 1, targetType: 1, target: 1 }, { unique: true });
+
+// Counting likes of a target
+likeSchema.index({ target: 1, targetType: 1 });
+
+likeSchema.plugin(mongooseAggregatePaginate);
+
+export const Like = mongoose.model("Like", likeSchema);
@@ -0,0 +1,64 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { NOTIFICATION_TYPES } from "../constants.js";
+
+
+// Notifications older than this are dropped by the TTL index
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const notificationSchema = new Schema(
+    {
+        recipient: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        type: {
+            type: String,
+            enum: NOTIFICATION_TYPES,
+            required: true
+        },
+        // Who caused it: the uploader, commenter or new subscriber
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video"
+        },
+        // Set for comments on a community post
+        post: {
+            type: Schema.Types.ObjectId,
+            ref: "Post"
+        },
+        comment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment"
+        },
+        readAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+// Listing newest first and counting unread ones
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+// A retried upload fan-out must not notify anyone twice
+notificationSchema.index(
+    { recipient: 1, video: 1 },
+    { unique: true, partialFilterExpression: { type: "video_published" } }
+);
+
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+notificationSchema.plugin(mongooseAggregatePaginate);
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,46 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+
+const playlistSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 150
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: "",
+            maxlength: 5000
+        },
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        // Order of this array is the playlist order
+        videos: [
+            {
+                type: Schema.Types.ObjectId,
+                ref: "Video"
+            }
+        ],
+        // Private playlists are only visible to their owner
+        visibility: {
+            type: String,
+            enum: ["public", "private"],
+            default: "public"
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+playlistSchema.plugin(mongooseAggregatePaginate);
+
+export const Playlist = mongoose.model("Playlist", playlistSchema);
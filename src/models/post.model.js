@@ -0,0 +1,42 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { assetSchema } from "./asset.schema.js";
+
+
+// Community post: a channel's text update between uploads, optionally with an image
+const postSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        content: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 5000
+        },
+        image: {
+            type: assetSchema
+        },
+        isEdited: {
+            type: Boolean,
+            default: false
+        },
+        // Auto-hidden by reports until reviewed (same as Video.hiddenAt)
+        hiddenAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// A channel's posts, newest first
+postSchema.index({ owner: 1, createdAt: -1 });
+
+postSchema.plugin(mongooseAggregatePaginate);
+
+export const Post = mongoose.model("Post", postSchema);
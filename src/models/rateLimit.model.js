@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+
+
+// Counter for the Mongo rate-limit store (shared by every app instance).
+// Fixed windows keep one document per key and window; token buckets keep
+// one per key with windowStart 0.
+const rateLimitSchema = new Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    windowStart: {
+        type: Number,
+        default: 0
+    },
+    count: {
+        type: Number
+    },
+    tokens: {
+        type: Number
+    },
+    refilledAt: {
+        type: Number
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+rateLimitSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,76 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { REPORT_TARGET_TYPES, REPORT_REASONS } from "../constants.js";
+
+
+// One user's flag on a video, comment, post or channel. Reports on the same
+// target form one case in the moderation queue and are resolved together.
+const reportSchema = new Schema(
+    {
+        targetType: {
+            type: String,
+            enum: REPORT_TARGET_TYPES,
+            required: true
+        },
+        target: {
+            type: Schema.Types.ObjectId,
+            refPath: "targetType",
+            required: true
+        },
+        // Who the content belongs to when it was reported (the channel itself
+        // for "User" reports); kept so the owner can be acted on later
+        targetOwner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        reporter: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        reason: {
+            type: String,
+            enum: REPORT_REASONS,
+            required: true
+        },
+        details: {
+            type: String,
+            trim: true,
+            maxlength: 1000
+        },
+        status: {
+            type: String,
+            enum: ["open", "resolved"],
+            default: "open"
+        },
+        // dismissed / removed / owner_suspended: a moderator's decision;
+        // deleted: the content was deleted before anyone reviewed it
+        resolution: {
+            action: {
+                type: String,
+                enum: ["dismissed", "removed", "owner_suspended", "deleted"]
+            },
+            note: String,
+            by: { type: Schema.Types.ObjectId, ref: "User" },
+            at: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// A user has at most one open report per target; once it's resolved they
+// can report again
+reportSchema.index(
+    { reporter: 1, targetType: 1, target: 1 },
+    { unique: true, partialFilterExpression: { status: "open" }, name: "one_open_report_per_reporter" }
+);
+
+// Queue grouping and per-target counts
+reportSchema.index({ status: 1, targetType: 1, target: 1, createdAt: 1 });
+
+reportSchema.plugin(mongooseAggregatePaginate);
+
+export const Report = mongoose.model("Report", reportSchema);
@@ -0,0 +1,63 @@
+import mongoose, { Schema } from "mongoose";
+
+
+// One document per issued refresh token. Rotating a token marks the old
+// document `rotatedAt` and creates a new one in the same `family`, so a
+// family is one login on one device and its latest document is the live one.
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        family: {
+            type: String,
+            required: true,
+            index: true
+        },
+        // sha256 of the refresh token; the token itself is never stored
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        device: {
+            type: String
+        },
+        ip: {
+            type: String
+        },
+        userAgent: {
+            type: String
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        rotatedAt: {
+            type: Date,
+            default: null
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        revokedReason: {
+            type: String
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Expired refresh tokens are useless; let MongoDB clean them up
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
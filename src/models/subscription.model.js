@@ -1,20 +1,26 @@
-import mongoose, { Schema, Screen } from "mongoose";
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 
 const subscriptionSchema = new Schema({
     subscriber: {
-        type: Schema.Types.ObjectId,
-        ref: "User"
+        type: Schema.Types.ObjectId,  // one who is subscribing
+        ref: "User",
+        required: true
     },
     channel: {
-        type: Schema.Types.ObjectId,
-        ref: "User"
+        type: Schema.Types.ObjectId,  // one to whom 'subscriber' is subscribing
+        ref: "User",
+        required: true
     }
 },{
     timestamps:true
 })
 
+// One document per (subscriber, channel) so subscriber counts can't be inflated
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+subscriptionSchema.index({ channel: 1, createdAt: -1 });
 
-const subscription = mongoose.model("Subscription", subscriptionSchema);
-
+subscriptionSchema.plugin(mongooseAggregatePaginate);
 
+export const Subscription = mongoose.model("Subscription", subscriptionSchema);
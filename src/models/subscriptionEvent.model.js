@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+
+// Append-only record of every subscribe / unsubscribe. Subscription only
+// holds the current state; these raw events are what analytics aggregate.
+const subscriptionEventSchema = new Schema(
+    {
+        channel: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        subscriber: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        type: {
+            type: String,
+            enum: ["subscribe", "unsubscribe"],
+            required: true
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+subscriptionEventSchema.index({ channel: 1, createdAt: 1 });
+
+export const SubscriptionEvent = mongoose.model("SubscriptionEvent", subscriptionEventSchema);
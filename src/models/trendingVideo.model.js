@@ -0,0 +1,35 @@
+import mongoose, { Schema } from "mongoose";
+
+
+// Cached trending ranking, replaced as a whole by the trending job (see
+// utils/trending.js); _id is the video's id
+const trendingVideoSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        // 1 = top
+        rank: {
+            type: Number,
+            required: true
+        },
+        score: {
+            type: Number,
+            required: true
+        },
+        // Inputs of the score, for debugging the ranking
+        views: Number,
+        likes: Number,
+        comments: Number,
+        publishedAt: Date,
+        computedAt: Date
+    },
+    {
+        versionKey: false
+    }
+);
+
+trendingVideoSchema.index({ rank: 1 });
+
+export const TrendingVideo = mongoose.model("TrendingVideo", trendingVideoSchema);
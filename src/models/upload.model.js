@@ -0,0 +1,66 @@
+import mongoose, { Schema } from "mongoose";
+
+
+// A resumable (tus) upload in progress. The bytes live in a temp file on the
+// API server's disk; this document tracks how many have arrived. Expired
+// documents are dropped by the TTL index, and their files by the sweeper
+// (see utils/resumableUpload.js).
+const uploadSchema = new Schema(
+    {
+        // Random UUID; doubles as the upload URL
+        _id: {
+            type: String,
+            required: true
+        },
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        // Total size announced by the client (Upload-Length)
+        length: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        // Bytes received so far (Upload-Offset)
+        offset: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Decoded Upload-Metadata (filename, filetype, ...)
+        metadata: {
+            type: Map,
+            of: String,
+            default: {}
+        },
+        filePath: {
+            type: String,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ["uploading", "completed", "publishing"],
+            default: "uploading"
+        },
+        // Set while a PATCH is writing, so two can't write at once
+        lockedAt: {
+            type: Date,
+            default: null
+        },
+        // Pushed back on every PATCH
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+uploadSchema.index({ owner: 1, status: 1 });
+uploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Upload = mongoose.model("Upload", uploadSchema);
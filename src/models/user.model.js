@@ -1,6 +1,10 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { assetSchema } from "./asset.schema.js";
+import { ROLES, ACCOUNT_STATUSES, ROLE_PERMISSIONS, NOTIFICATION_TYPES } from "../constants.js";
 
 const userSchema = new Schema({
     username: {
@@ -18,6 +22,12 @@ const userSchema = new Schema({
         lowercase: true,
         trim: true,
     },
+    // Set to false on registration until the emailed link is opened.
+    // Accounts created before verification existed have no value and count
+    // as verified.
+    isEmailVerified: {
+        type: Boolean
+    },
     fullName: {
         type: String,
         required: true,
@@ -25,29 +35,114 @@ const userSchema = new Schema({
         index: true
     },
     avatar: {
-        type: String,
+        type: assetSchema,
         required: true,
     },
     coverImage: {
-        type: String,
+        type: assetSchema,
+    },
+    // Watch history lives in its own collection (see watchHistory.model.js);
+    // while paused, playback progress isn't recorded
+    historyPaused: {
+        type: Boolean,
+        default: false
     },
-    watchHistory: [
+    // One switch per notification type, all on by default
+    notificationPreferences: Object.fromEntries(
+        NOTIFICATION_TYPES.map((type) => [type, { type: Boolean, default: true }])
+    ),
+    // Channels whose uploads, comments and subscriptions never notify this user
+    mutedChannels: [
         {
             type: Schema.Types.ObjectId,
-            ref: "Video"
+            ref: "User"
         }
     ],
+    // Accounts created through a login provider may have no password
     password: {
         type: String,
-        required: [true, 'Password is required']
+        required: [
+            function () { return !this.oauthAccounts?.length; },
+            'Password is required'
+        ]
+    },
+    // Linked OpenID Connect identities (provider + its stable subject id)
+    oauthAccounts: [
+        {
+            _id: false,
+            provider: { type: String, required: true },
+            subject: { type: String, required: true },
+            email: { type: String },
+            linkedAt: { type: Date, default: Date.now }
+        }
+    ],
+    role: {
+        type: String,
+        enum: ROLES,
+        default: "user",
+        index: true
+    },
+    // Set by moderators / admins; see getAccessBlock()
+    status: {
+        type: String,
+        enum: ACCOUNT_STATUSES,
+        default: "active",
+        index: true
     },
-    refreshToken: {
+    statusReason: {
         type: String
+    },
+    // Suspensions without an end date last until reinstated
+    suspendedUntil: {
+        type: Date
+    },
+    // Login lockout bookkeeping (see utils/loginLockout.js)
+    failedLoginAttempts: {
+        type: Number,
+        select: false
+    },
+    lastFailedLoginAt: {
+        type: Date,
+        select: false
+    },
+    loginLockedUntil: {
+        type: Date,
+        select: false
+    },
+    // TOTP two-factor auth. Secrets and recovery codes are never selected
+    // unless asked for explicitly.
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date },
+        secret: { type: String, select: false },
+        // Secret from /2fa/setup, waiting for the first code
+        pendingSecret: { type: String, select: false },
+        // Last accepted time step; a code can't be used twice
+        lastUsedStep: { type: Number, select: false },
+        // sha256 of each one-time recovery code
+        recoveryCodes: {
+            type: [{ _id: false, hash: String, usedAt: { type: Date, default: null } }],
+            select: false
+        }
     }
 }, {
     timestamps: true
 });
 
+// Full-text search over channels
+userSchema.index(
+    { username: "text", fullName: "text" },
+    { weights: { username: 5, fullName: 3 }, name: "user_text_search" }
+);
+
+// One account per provider identity
+userSchema.index(
+    { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+    { unique: true, partialFilterExpression: { "oauthAccounts.subject": { $exists: true } } }
+);
+
+userSchema.plugin(mongooseAggregatePaginate);
+
 // Pre-save hook: hash password only if modified
 userSchema.pre("save", async function () {
     if (this.isModified("password")) {
@@ -57,14 +152,45 @@ userSchema.pre("save", async function () {
 
 // Method to compare password
 userSchema.methods.isPasswordCorrect = async function (password) {
+    if (!this.password) return false;
     return bcrypt.compare(password, this.password);
 }
 
-// Method to generate access token
-userSchema.methods.generateAccessToken = function () {
+// Permission check for authorize() and the admin API
+userSchema.methods.hasPermission = function (permission) {
+    return ROLE_PERMISSIONS[this.role || "user"]?.includes(permission) || false;
+}
+
+// Reason the account can't be used right now, or null. Timed suspensions
+// lapse on their own.
+userSchema.methods.getAccessBlock = function () {
+    if (this.status === "banned") {
+        return `This account has been banned${this.statusReason ? `: ${this.statusReason}` : "."}`;
+    }
+
+    if (this.status === "suspended" && (!this.suspendedUntil || this.suspendedUntil > new Date())) {
+        const until = this.suspendedUntil ? ` until ${this.suspendedUntil.toISOString()}` : "";
+        return `This account is suspended${until}${this.statusReason ? `: ${this.statusReason}` : "."}`;
+    }
+
+    return null;
+}
+
+// Query filter for accounts getAccessBlock() lets through: not banned, and
+// not suspended unless the suspension has lapsed
+export const usableAccountFilter = () => ({
+    $or: [
+        { status: { $nin: ["suspended", "banned"] } },
+        { status: "suspended", suspendedUntil: { $lte: new Date() } }
+    ]
+});
+
+// Method to generate access token, bound to a session family (sid)
+userSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
             email: this.email,
             username: this.username,
             fullName: this.fullName
@@ -74,10 +200,10 @@ userSchema.methods.generateAccessToken = function () {
     );
 }
 
-// Method to generate refresh token
-userSchema.methods.generateRefreshToken = function () {
+// Method to generate refresh token; jti keeps every rotated token unique
+userSchema.methods.generateRefreshToken = function (sessionId) {
     return jwt.sign(
-        { _id: this._id },
+        { _id: this._id, sid: sessionId, jti: crypto.randomUUID() },
         process.env.REFRESH_TOKEN_SECRET,
         { expiresIn: process.env.REFRESH_TOKEN_EXPIRY }
     );
@@ -1,15 +1,28 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { assetSchema } from "./asset.schema.js";
+
+
+// One HLS rendition produced by the transcode worker
+const renditionSchema = new Schema({
+    name: String,       // e.g. "720p"
+    width: Number,
+    height: Number,
+    bandwidth: Number,  // bits per second, as advertised in the master playlist
+    playlist: assetSchema
+}, {
+    _id: false
+});
 
 
 const videoSchema = new Schema(
     {
         videoFile: {
-            type: String,
+            type: assetSchema,
             required: true,
         },
         thumbnail: {
-            type: String,
+            type: assetSchema,
             required: true,
         },
         title: {
@@ -35,6 +48,42 @@ const videoSchema = new Schema(
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        // Transcoding pipeline state; only "ready" videos expose playable sources.
+        // Defaults to "ready" so videos from before transcoding stay playable.
+        processingStatus: {
+            type: String,
+            enum: ["queued", "processing", "ready", "failed"],
+            default: "ready",
+            index: true
+        },
+        processingError: {
+            message: String,
+            attempts: Number,
+            failedAt: Date
+        },
+        hls: {
+            provider: String,
+            prefix: String,       // storage folder holding every rendition
+            master: assetSchema   // master.m3u8
+        },
+        renditions: [renditionSchema],
+        // Set when a moderator force-unpublishes; the owner can't republish
+        // until it is lifted
+        moderationLock: {
+            reason: String,
+            by: { type: Schema.Types.ObjectId, ref: "User" },
+            at: Date
+        },
+        // Set once reports pass the auto-hide threshold: only the owner sees
+        // it until a moderator reviews the reports (utils/reports.js)
+        hiddenAt: {
+            type: Date
+        },
+        // When subscribers were told about the video; set once, so
+        // unpublishing and publishing again doesn't notify a second time
+        announcedAt: {
+            type: Date
         }
 
     },
@@ -43,6 +92,18 @@ const videoSchema = new Schema(
     }
 );
 
+// Channel listings and the subscription feed (newest first per channel)
+videoSchema.index({ owner: 1, createdAt: -1 });
+
+// Recent uploads, the candidates for trending
+videoSchema.index({ createdAt: -1 });
+
+// Full-text search: title matches count more than description matches
+videoSchema.index(
+    { title: "text", description: "text" },
+    { weights: { title: 10, description: 2 }, name: "video_text_search" }
+);
+
 videoSchema.plugin(mongooseAggregatePaginate);
 
 export const Video = mongoose.model("Video", videoSchema);
\ No newline at end of file
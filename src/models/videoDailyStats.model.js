@@ -0,0 +1,44 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+
+// Per-video totals for one UTC day. Bumped as views and watch time come in,
+// and rebuildable from the raw VideoView events (npm run rebuild:analytics),
+// so dashboards read a handful of small documents instead of every event.
+const videoDailyStatsSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        // Midnight UTC
+        day: {
+            type: Date,
+            required: true
+        },
+        views: {
+            type: Number,
+            default: 0
+        },
+        watchedSeconds: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        versionKey: false
+    }
+);
+
+videoDailyStatsSchema.index({ video: 1, day: 1 }, { unique: true });
+videoDailyStatsSchema.index({ owner: 1, day: 1 });
+
+videoDailyStatsSchema.plugin(mongooseAggregatePaginate);
+
+export const VideoDailyStats = mongoose.model("VideoDailyStats", videoDailyStatsSchema);
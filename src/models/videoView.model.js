@@ -0,0 +1,56 @@
+import mongoose, { Schema } from "mongoose";
+
+
+// One counted view. A viewer (signed-in user or anonymous browser) counts
+// once per video per dedup window, enforced by the unique index. Kept as raw
+// events; VideoDailyStats is rolled up from them.
+const videoViewSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        // Video owner at view time, so channel analytics need no join
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        viewer: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        // "user:<id>" or "anon:<id>"
+        viewerKey: {
+            type: String,
+            required: true
+        },
+        windowStart: {
+            type: Date,
+            required: true
+        },
+        // Seconds of playback credited to this view (see recordWatchTime)
+        watchedSeconds: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Position and time of the player's latest report
+        lastPosition: {
+            type: Number,
+            min: 0
+        },
+        lastReportedAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+videoViewSchema.index({ video: 1, viewerKey: 1, windowStart: 1 }, { unique: true });
+videoViewSchema.index({ video: 1, createdAt: -1 });
+videoViewSchema.index({ owner: 1, createdAt: 1 });
+
+export const VideoView = mongoose.model("VideoView", videoViewSchema);
@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+
+// One entry per (user, video): where playback stopped and when
+const watchHistorySchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        // Playback position in seconds
+        position: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        completed: {
+            type: Boolean,
+            default: false
+        },
+        lastWatchedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, lastWatchedAt: -1 });
+
+watchHistorySchema.plugin(mongooseAggregatePaginate);
+
+export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema);
@@ -0,0 +1,76 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { authorize } from "../middlewares/authorize.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+import {
+    banUser,
+    deleteAnyVideo,
+    dismissReports,
+    getAuditLogs,
+    getReportCase,
+    getReportQueue,
+    getUser,
+    listUsers,
+    reinstateUser,
+    removeReportedContent,
+    restoreVideo,
+    revokeUserSessions,
+    suspendReportedOwner,
+    suspendUser,
+    unpublishVideo,
+    updateUserRole
+} from "../controllers/admin.controller.js";
+
+import {
+    auditLogsSchema,
+    banUserSchema,
+    dismissReportsSchema,
+    listUsersSchema,
+    removeReportedContentSchema,
+    reportCaseSchema,
+    reportQueueSchema,
+    suspendReportedOwnerSchema,
+    suspendUserSchema,
+    updateRoleSchema,
+    userIdSchema,
+    videoIdSchema,
+    videoModerationSchema
+} from "../validators/admin.validator.js";
+
+const router = Router();
+
+// All admin routes require JWT; each route then checks its permission
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Users
+router.route("/users").get(authorize("users:read"), validate(listUsersSchema), listUsers);
+router.route("/users/:userId").get(authorize("users:read"), validate(userIdSchema), getUser);
+
+router.route("/users/:userId/suspend").post(authorize("users:suspend"), validate(suspendUserSchema), suspendUser);
+router.route("/users/:userId/ban").post(authorize("users:ban"), validate(banUserSchema), banUser);
+router.route("/users/:userId/reinstate").post(authorize("users:suspend"), validate(userIdSchema), reinstateUser);
+router.route("/users/:userId/role").patch(authorize("users:manage_roles"), validate(updateRoleSchema), updateUserRole);
+router.route("/users/:userId/sessions").delete(authorize("sessions:revoke"), validate(userIdSchema), revokeUserSessions);
+
+// ----- Videos
+router.route("/videos/:videoId/unpublish").post(authorize("videos:unpublish"), validate(videoModerationSchema), unpublishVideo);
+router.route("/videos/:videoId/restore").post(authorize("videos:unpublish"), validate(videoIdSchema), restoreVideo);
+router.route("/videos/:videoId").delete(authorize("videos:delete"), validate(videoModerationSchema), deleteAnyVideo);
+
+// ----- Reports (a case = every open report on one target)
+router.route("/reports").get(authorize("reports:review"), validate(reportQueueSchema), getReportQueue);
+router.route("/reports/:targetType/:targetId").get(authorize("reports:review"), validate(reportCaseSchema), getReportCase);
+
+router.route("/reports/:targetType/:targetId/dismiss").post(authorize("reports:review"), validate(dismissReportsSchema), dismissReports);
+router.route("/reports/:targetType/:targetId/remove").post(authorize("reports:review"), validate(removeReportedContentSchema), removeReportedContent);
+router.route("/reports/:targetType/:targetId/suspend-owner").post(authorize("reports:review", "users:suspend"), validate(suspendReportedOwnerSchema), suspendReportedOwner);
+
+// ----- Audit log
+router.route("/audit-logs").get(authorize("audit:read"), validate(auditLogsSchema), getAuditLogs);
+
+export default router;
@@ -0,0 +1,59 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+import {
+    addComment,
+    addPostComment,
+    deleteComment,
+    getCommentReplies,
+    getPostComments,
+    getVideoComments,
+    togglePinComment,
+    updateComment
+} from "../controllers/comment.controller.js";
+
+import {
+    addCommentSchema,
+    addPostCommentSchema,
+    commentIdSchema,
+    commentRepliesSchema,
+    postCommentsSchema,
+    updateCommentSchema,
+    videoCommentsSchema
+} from "../validators/comment.validator.js";
+
+const router = Router();
+
+// All comment routes require JWT
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Top-level comments of a video / post a comment or reply
+router
+    .route("/:videoId")
+    .get(validate(videoCommentsSchema), getVideoComments)
+    .post(validate(addCommentSchema), addComment);
+
+// ----- Top-level comments of a community post / comment on it
+router
+    .route("/p/:postId")
+    .get(validate(postCommentsSchema), getPostComments)
+    .post(validate(addPostCommentSchema), addPostComment);
+
+// ----- Edit / delete a single comment
+router
+    .route("/c/:commentId")
+    .patch(validate(updateCommentSchema), updateComment)
+    .delete(validate(commentIdSchema), deleteComment);
+
+// ----- Replies in a thread
+router.route("/c/:commentId/replies").get(validate(commentRepliesSchema), getCommentReplies);
+
+// ----- Video / post owner moderation
+router.route("/c/:commentId/pin").patch(validate(commentIdSchema), togglePinComment);
+
+export default router;
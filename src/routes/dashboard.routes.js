@@ -0,0 +1,37 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+import {
+    getChannelOverview,
+    getSubscribersTimeSeries,
+    getVideoStats,
+    getViewsTimeSeries
+} from "../controllers/dashboard.controller.js";
+
+import {
+    timeSeriesSchema,
+    videoStatsSchema
+} from "../validators/dashboard.validator.js";
+import { noInputSchema } from "../validators/common.validator.js";
+
+const router = Router();
+
+// Analytics of the signed-in user's own channel
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- All-time totals (videos, views, likes, subscribers, watch time)
+router.route("/overview").get(validate(noInputSchema), getChannelOverview);
+
+// ----- Time series over ?from&to, grouped by ?interval=day|week|month
+router.route("/views").get(validate(timeSeriesSchema), getViewsTimeSeries);
+router.route("/subscribers").get(validate(timeSeriesSchema), getSubscribersTimeSeries);
+
+// ----- Per-video views, watch time and average view duration (top videos via ?sortBy)
+router.route("/videos").get(validate(videoStatsSchema), getVideoStats);
+
+export default router;
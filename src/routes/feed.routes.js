@@ -0,0 +1,31 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+import {
+    getHomeFeed,
+    getSubscriptionFeed,
+    getTrendingFeed
+} from "../controllers/feed.controller.js";
+
+import { feedSchema } from "../validators/feed.validator.js";
+
+const router = Router();
+
+// ----- Trending is the same for everyone, signed in or not
+router.route("/trending").get(validate(feedSchema), getTrendingFeed);
+
+// All other feeds are personal and require JWT
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Newest videos of followed channels
+router.route("/subscriptions").get(validate(feedSchema), getSubscriptionFeed);
+
+// ----- Subscriptions mixed with trending, minus what was already watched
+router.route("/home").get(validate(feedSchema), getHomeFeed);
+
+export default router;
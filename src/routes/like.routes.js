@@ -0,0 +1,36 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+import {
+    getLikedVideos,
+    toggleCommentLike,
+    togglePostLike,
+    toggleVideoLike
+} from "../controllers/like.controller.js";
+
+import {
+    likedVideosSchema,
+    toggleCommentLikeSchema,
+    togglePostLikeSchema,
+    toggleVideoLikeSchema
+} from "../validators/like.validator.js";
+
+const router = Router();
+
+// All like routes require JWT
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Like / unlike
+router.route("/toggle/v/:videoId").post(validate(toggleVideoLikeSchema), toggleVideoLike);
+router.route("/toggle/c/:commentId").post(validate(toggleCommentLikeSchema), toggleCommentLike);
+router.route("/toggle/p/:postId").post(validate(togglePostLikeSchema), togglePostLike);
+
+// ----- Current user's liked videos
+router.route("/videos").get(validate(likedVideosSchema), getLikedVideos);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+import { serveLocalImage } from "../controllers/media.controller.js";
+import { streamHlsFile } from "../controllers/video.controller.js";
+
+const router = Router();
+
+// -------------------------------
+// ROUTES (STORAGE_PROVIDER=local)
+// -------------------------------
+
+// ----- A video's HLS playlists and segments; same checks as /videos/:videoId/stream
+router.route("/hls/:videoId/*file").get(verifyJWT, streamHlsFile);
+
+// ----- Avatars, cover images, thumbnails and post images
+router.route("/:folder/*file").get(serveLocalImage);
+
+export default router;
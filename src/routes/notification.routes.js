@@ -0,0 +1,57 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+import {
+    getMutedChannels,
+    getNotificationPreferences,
+    getNotifications,
+    getUnreadCount,
+    markAllNotificationsRead,
+    markNotificationRead,
+    muteChannel,
+    streamNotifications,
+    unmuteChannel,
+    updateNotificationPreferences
+} from "../controllers/notification.controller.js";
+
+import {
+    channelIdSchema,
+    listNotificationsSchema,
+    notificationIdSchema,
+    updatePreferencesSchema
+} from "../validators/notification.validator.js";
+import { noInputSchema } from "../validators/common.validator.js";
+
+const router = Router();
+
+// All notification routes require JWT
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- List / unread count / live stream (Server-Sent Events)
+router.route("/").get(validate(listNotificationsSchema), getNotifications);
+router.route("/unread-count").get(validate(noInputSchema), getUnreadCount);
+router.route("/stream").get(validate(noInputSchema), streamNotifications);
+
+// ----- Mark as read
+router.route("/read-all").patch(validate(noInputSchema), markAllNotificationsRead);
+router.route("/:notificationId/read").patch(validate(notificationIdSchema), markNotificationRead);
+
+// ----- Per-type preferences
+router
+    .route("/preferences")
+    .get(validate(noInputSchema), getNotificationPreferences)
+    .patch(validate(updatePreferencesSchema), updateNotificationPreferences);
+
+// ----- Muted channels
+router.route("/mutes").get(validate(noInputSchema), getMutedChannels);
+router
+    .route("/mutes/:channelId")
+    .put(validate(channelIdSchema), muteChannel)
+    .delete(validate(channelIdSchema), unmuteChannel);
+
+export default router;
@@ -0,0 +1,37 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+import {
+    getOAuthProviders,
+    oauthCallback,
+    startOAuthLink,
+    startOAuthLogin,
+    unlinkOAuthProvider
+} from "../controllers/oauth.controller.js";
+
+import {
+    oauthCallbackSchema,
+    providersSchema,
+    startOAuthSchema,
+    unlinkProviderSchema
+} from "../validators/oauth.validator.js";
+
+const router = Router();
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Configured providers
+router.route("/providers").get(validate(providersSchema), getOAuthProviders);
+
+// ----- Browser redirects: login, link to the signed-in account, callback
+router.route("/:provider/login").get(validate(startOAuthSchema), startOAuthLogin);
+router.route("/:provider/link").get(verifyJWT, validate(startOAuthSchema), startOAuthLink);
+router.route("/:provider/callback").get(validate(oauthCallbackSchema), oauthCallback);
+
+// ----- Unlink from the signed-in account
+router.route("/:provider").delete(verifyJWT, validate(unlinkProviderSchema), unlinkOAuthProvider);
+
+export default router;
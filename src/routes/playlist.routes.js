@@ -0,0 +1,55 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+import {
+    addVideoToPlaylist,
+    createPlaylist,
+    deletePlaylist,
+    getPlaylistById,
+    getUserPlaylists,
+    moveVideoInPlaylist,
+    removeVideoFromPlaylist,
+    updatePlaylist
+} from "../controllers/playlist.controller.js";
+
+import {
+    createPlaylistSchema,
+    moveVideoSchema,
+    playlistIdSchema,
+    playlistVideoSchema,
+    updatePlaylistSchema,
+    userPlaylistsSchema
+} from "../validators/playlist.validator.js";
+
+const router = Router();
+
+// All playlist routes require JWT
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Create a playlist
+router.route("/").post(validate(createPlaylistSchema), createPlaylist);
+
+// ----- Playlists of a user
+router.route("/user/:userId").get(validate(userPlaylistsSchema), getUserPlaylists);
+
+// ----- Single playlist
+router
+    .route("/:playlistId")
+    .get(validate(playlistIdSchema), getPlaylistById)
+    .patch(validate(updatePlaylistSchema), updatePlaylist)
+    .delete(validate(playlistIdSchema), deletePlaylist);
+
+// ----- Manage videos in a playlist
+router
+    .route("/:playlistId/videos/:videoId")
+    .post(validate(playlistVideoSchema), addVideoToPlaylist)
+    .delete(validate(playlistVideoSchema), removeVideoFromPlaylist);
+
+router.route("/:playlistId/videos/:videoId/move").patch(validate(moveVideoSchema), moveVideoInPlaylist);
+
+export default router;
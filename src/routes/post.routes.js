@@ -0,0 +1,44 @@
+import { Router } from "express";
+import { upload } from "../middlewares/multer.middleware.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { uploadRateLimit } from "../middlewares/rateLimit.middleware.js";
+
+import {
+    createPost,
+    deletePost,
+    getPostById,
+    getUserPosts,
+    updatePost
+} from "../controllers/post.controller.js";
+
+import {
+    createPostSchema,
+    postIdSchema,
+    updatePostSchema,
+    userPostsSchema
+} from "../validators/post.validator.js";
+
+const router = Router();
+
+// All post routes require JWT
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Create a post (content + optional image)
+router.route("/").post(uploadRateLimit, upload.single("image"), validate(createPostSchema), createPost);
+
+// ----- A channel's posts
+router.route("/user/:userId").get(validate(userPostsSchema), getUserPosts);
+
+// ----- Single post (likes: /likes/toggle/p/:postId, comments: /comments/p/:postId)
+router
+    .route("/:postId")
+    .get(validate(postIdSchema), getPostById)
+    .patch(uploadRateLimit, upload.single("image"), validate(updatePostSchema), updatePost)
+    .delete(validate(postIdSchema), deletePost);
+
+export default router;
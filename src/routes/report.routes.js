@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+
+import { createReport } from "../controllers/report.controller.js";
+
+import { createReportSchema } from "../validators/report.validator.js";
+
+const router = Router();
+
+// All report routes require JWT
+router.use(verifyJWT);
+
+// Reports can hide content, so one account can only file so many
+const reportLimit = rateLimit({ name: "report", limit: 20, windowMs: 60 * 60 * 1000, keyBy: "user" });
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Report a video, comment, post or channel (review: /admin/reports)
+router.route("/").post(reportLimit, validate(createReportSchema), createReport);
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { search } from "../controllers/search.controller.js";
+import { searchSchema } from "../validators/search.validator.js";
+
+const router = Router();
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Search videos & channels
+// ?q=&type=all|videos|channels&sortBy=relevance|views|date
+// &duration=short|medium|long&uploadDate=today|week|month|year&from=&to=&owner=
+router.route("/").get(verifyJWT, validate(searchSchema), search);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+
+import {
+    getSubscribedChannels,
+    getUserChannelSubscribers,
+    toggleSubscription
+} from "../controllers/subscription.controller.js";
+
+import {
+    channelSubscribersSchema,
+    subscribedChannelsSchema,
+    toggleSubscriptionSchema
+} from "../validators/subscription.validator.js";
+
+const router = Router();
+
+// All subscription routes require JWT
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Subscribers of a channel / subscribe-unsubscribe
+router
+    .route("/c/:channelId")
+    .get(validate(channelSubscribersSchema), getUserChannelSubscribers)
+    .post(validate(toggleSubscriptionSchema), toggleSubscription);
+
+// ----- Channels a user follows
+router.route("/u/:subscriberId").get(validate(subscribedChannelsSchema), getSubscribedChannels);
+
+export default router;
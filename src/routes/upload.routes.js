@@ -0,0 +1,45 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { requireTus } from "../middlewares/tus.middleware.js";
+import { resumableUploadRateLimit } from "../middlewares/rateLimit.middleware.js";
+
+import {
+    appendToUpload,
+    createResumableUpload,
+    getTusCapabilities,
+    getUploadStatus,
+    terminateUpload
+} from "../controllers/upload.controller.js";
+
+import {
+    createUploadSchema,
+    uploadIdSchema
+} from "../validators/upload.validator.js";
+
+const router = Router();
+
+// Resumable uploads, tus 1.0 (https://tus.io/protocols/resumable-upload)
+router.use(requireTus);
+
+// ----- Capabilities need no login
+router.options("/", getTusCapabilities);
+
+// All other upload routes require JWT
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- Start an upload
+router.route("/").post(resumableUploadRateLimit, validate(createUploadSchema), createResumableUpload);
+
+// ----- Resume point / append bytes / cancel
+router
+    .route("/:uploadId")
+    .head(validate(uploadIdSchema), getUploadStatus)
+    .patch(validate(uploadIdSchema), appendToUpload)
+    .delete(validate(uploadIdSchema), terminateUpload);
+
+export default router;
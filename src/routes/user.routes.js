@@ -6,61 +6,142 @@ import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit, uploadRateLimit } from "../middlewares/rateLimit.middleware.js";
 import { asyncHandler } from "../utils/asyncaHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import { v2 as cloudinary } from "cloudinary";
 
 import {
     changeCurrentPassword,
     getCurrentuser,
     getUserChannelProfile,
-    getWatchHistory,
     loginUser,
+    loginWithTwoFactor,
     logoutUser,
+    logoutAllDevices,
+    getSessions,
+    revokeSession,
     registerUser,
     updateAccountDetails,
     updateUserAvater,
     updateUserCoverImage,
-    refreshAccessToken
+    refreshAccessToken,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword
 } from "../controllers/user.controller.js";
 
+import {
+    disableTwoFactor,
+    enableTwoFactor,
+    getTwoFactorStatus,
+    regenerateRecoveryCodes,
+    setupTwoFactor
+} from "../controllers/twoFactor.controller.js";
+
+import {
+    clearWatchHistory,
+    getWatchHistory,
+    removeFromWatchHistory,
+    updateHistorySettings
+} from "../controllers/history.controller.js";
+
+import {
+    changePasswordSchema,
+    channelProfileSchema,
+    emailOnlySchema,
+    emailTokenSchema,
+    loginTwoFactorSchema,
+    loginUserSchema,
+    refreshAccessTokenSchema,
+    registerUserSchema,
+    resetPasswordSchema,
+    revokeSessionSchema,
+    twoFactorCodeSchema,
+    updateAccountSchema,
+    historySettingsSchema,
+    watchHistorySchema,
+    watchHistoryVideoSchema
+} from "../validators/user.validator.js";
+import { noInputSchema } from "../validators/common.validator.js";
+
 const router = Router();
 
+// -------------------------------
+// RATE LIMITS (per IP)
+// -------------------------------
+const MINUTE = 60 * 1000;
+
+const loginLimit = rateLimit({ name: "login", limit: 10, windowMs: 15 * MINUTE });
+const twoFactorLimit = rateLimit({ name: "login-2fa", limit: 10, windowMs: 15 * MINUTE });
+const registerLimit = rateLimit({ name: "register", limit: 5, windowMs: 60 * MINUTE });
+const refreshLimit = rateLimit({ name: "refresh-token", limit: 60, windowMs: 15 * MINUTE });
+// Routes that send mail
+const emailLinkLimit = rateLimit({ name: "email-link", limit: 5, windowMs: 60 * MINUTE });
+// Routes that redeem an emailed token
+const emailTokenLimit = rateLimit({ name: "email-token", limit: 20, windowMs: 15 * MINUTE });
+
 // -------------------------------
 // ROUTES
 // -------------------------------
 
 // ----- Register user (with avatar & optional cover image)
 router.route("/register").post(
+    registerLimit,
     upload.fields([
         { name: "avatar", maxCount: 1 },
         { name: "coverImage", maxCount: 1 }
     ]),
+    validate(registerUserSchema),
     registerUser
 );
 
 // ----- Login user
-router.route("/login").post(loginUser);
+router.route("/login").post(loginLimit, validate(loginUserSchema), loginUser);
+router.route("/login/2fa").post(twoFactorLimit, validate(loginTwoFactorSchema), loginWithTwoFactor);
+
+// ----- Email verification & password reset (links are emailed)
+router.route("/verify-email").post(emailTokenLimit, validate(emailTokenSchema), verifyEmail);
+router.route("/verify-email/resend").post(emailLinkLimit, validate(emailOnlySchema), resendVerificationEmail);
+router.route("/forgot-password").post(emailLinkLimit, validate(emailOnlySchema), forgotPassword);
+router.route("/reset-password").post(emailTokenLimit, validate(resetPasswordSchema), resetPassword);
 
 // ----- Secured routes (require JWT)
-router.route("/logout").post(verifyJWT, logoutUser);
-router.route("/refresh-token").post(refreshAccessToken);
-router.route("/change-password").post(verifyJWT, changeCurrentPassword);
-router.route("/current-user").get(verifyJWT, getCurrentuser);
-router.route("/update-account").patch(verifyJWT, updateAccountDetails);
-router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvater);
+router.route("/logout").post(verifyJWT, validate(noInputSchema), logoutUser);
+router.route("/logout-all").post(verifyJWT, validate(noInputSchema), logoutAllDevices);
+router.route("/refresh-token").post(refreshLimit, validate(refreshAccessTokenSchema), refreshAccessToken);
+router.route("/change-password").post(verifyJWT, validate(changePasswordSchema), changeCurrentPassword);
+router.route("/current-user").get(verifyJWT, validate(noInputSchema), getCurrentuser);
+router.route("/update-account").patch(verifyJWT, validate(updateAccountSchema), updateAccountDetails);
+router.route("/avatar").patch(verifyJWT, uploadRateLimit, upload.single("avatar"), validate(noInputSchema), updateUserAvater);
 
 // ----- Corrected cover image upload route
-router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage);
+router.route("/cover-image").patch(verifyJWT, uploadRateLimit, upload.single("coverImage"), validate(noInputSchema), updateUserCoverImage);
+
+// ----- Signed-in devices
+router.route("/sessions").get(verifyJWT, validate(noInputSchema), getSessions);
+router.route("/sessions/:sessionId").delete(verifyJWT, validate(revokeSessionSchema), revokeSession);
+
+// ----- Two-factor authentication
+router.route("/2fa").get(verifyJWT, validate(noInputSchema), getTwoFactorStatus);
+router.route("/2fa/setup").post(verifyJWT, validate(noInputSchema), setupTwoFactor);
+router.route("/2fa/enable").post(verifyJWT, validate(twoFactorCodeSchema), enableTwoFactor);
+router.route("/2fa/disable").post(verifyJWT, validate(twoFactorCodeSchema), disableTwoFactor);
+router.route("/2fa/recovery-codes").post(verifyJWT, validate(twoFactorCodeSchema), regenerateRecoveryCodes);
 
 // ----- User channel profile
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile);
+router.route("/c/:username").get(verifyJWT, validate(channelProfileSchema), getUserChannelProfile);
 
 // ----- User watch history
-router.route("/watchHistory").get(verifyJWT, getWatchHistory);
+router
+    .route("/watchHistory")
+    .get(verifyJWT, validate(watchHistorySchema), getWatchHistory)
+    .delete(verifyJWT, validate(noInputSchema), clearWatchHistory);
+router.route("/watchHistory/settings").patch(verifyJWT, validate(historySettingsSchema), updateHistorySettings);
+router.route("/watchHistory/:videoId").delete(verifyJWT, validate(watchHistoryVideoSchema), removeFromWatchHistory);
 
 export default router;
 
@@ -0,0 +1,103 @@
+import { Router } from "express";
+import { upload } from "../middlewares/multer.middleware.js";
+import { optionalJWT, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { uploadRateLimit, playbackRateLimit } from "../middlewares/rateLimit.middleware.js";
+
+import {
+    deleteVideo,
+    getAllVideos,
+    getVideoById,
+    publishAVideo,
+    recordView,
+    retryVideoProcessing,
+    streamVideo,
+    togglePublishStatus,
+    updateVideo
+} from "../controllers/video.controller.js";
+
+import { updateWatchProgress } from "../controllers/history.controller.js";
+
+import {
+    addCaption,
+    deleteCaption,
+    getCaptionFile,
+    getVideoCaptions,
+    updateCaption
+} from "../controllers/caption.controller.js";
+
+import {
+    getAllVideosSchema,
+    publishVideoSchema,
+    updateVideoSchema,
+    videoIdSchema,
+    recordViewSchema,
+    watchProgressSchema
+} from "../validators/video.validator.js";
+
+import {
+    addCaptionSchema,
+    captionIdSchema,
+    listCaptionsSchema,
+    updateCaptionSchema
+} from "../validators/caption.validator.js";
+
+const router = Router();
+
+// ----- Count a view (and report watch time); anonymous viewers count too
+router.route("/:videoId/views").post(optionalJWT, playbackRateLimit, validate(recordViewSchema), recordView);
+
+// All other video routes require JWT
+router.use(verifyJWT);
+
+// -------------------------------
+// ROUTES
+// -------------------------------
+
+// ----- List videos / upload a new one (video file + thumbnail)
+router
+    .route("/")
+    .get(validate(getAllVideosSchema), getAllVideos)
+    .post(
+        uploadRateLimit,
+        upload.fields([
+            { name: "videoFile", maxCount: 1 },
+            { name: "thumbnail", maxCount: 1 }
+        ]),
+        validate(publishVideoSchema),
+        publishAVideo
+    );
+
+// ----- Single video
+router
+    .route("/:videoId")
+    .get(validate(videoIdSchema), getVideoById)
+    .patch(uploadRateLimit, upload.single("thumbnail"), validate(updateVideoSchema), updateVideo)
+    .delete(validate(videoIdSchema), deleteVideo);
+
+// ----- Byte-range streaming (GET & HEAD)
+router.route("/:videoId/stream").get(validate(videoIdSchema), streamVideo);
+
+// ----- Caption / subtitle tracks; only the video owner can change them
+router
+    .route("/:videoId/captions")
+    .get(validate(listCaptionsSchema), getVideoCaptions)
+    .post(uploadRateLimit, upload.single("captionFile"), validate(addCaptionSchema), addCaption);
+
+// ----- One track: its WebVTT file (GET & HEAD) / update or replace / delete
+router
+    .route("/:videoId/captions/:captionId")
+    .get(validate(captionIdSchema), getCaptionFile)
+    .patch(uploadRateLimit, upload.single("captionFile"), validate(updateCaptionSchema), updateCaption)
+    .delete(validate(captionIdSchema), deleteCaption);
+
+// ----- Resume position / watch history
+router.route("/:videoId/progress").put(playbackRateLimit, validate(watchProgressSchema), updateWatchProgress);
+
+// ----- Re-queue a video whose transcoding failed
+router.route("/:videoId/retry-processing").post(validate(videoIdSchema), retryVideoProcessing);
+
+// ----- Publish / unpublish
+router.route("/toggle/publish/:videoId").patch(validate(videoIdSchema), togglePublishStatus);
+
+export default router;
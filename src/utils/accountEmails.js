@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { EmailToken } from "../models/emailToken.model.js";
+import { sendMail } from "./mailer/index.js";
+
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TOKEN_TTL = {
+    email_verification: 24 * HOUR_MS,
+    password_reset: HOUR_MS
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const appUrl = (pathname, token) => {
+    const base = (process.env.APP_URL || "http://localhost:8000").replace(/\/+$/, "");
+    return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+
+// -------------------------------
+// Issue a token (replaces any unused one for the same purpose)
+// -------------------------------
+const createEmailToken = async (user, purpose, email = user.email) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await EmailToken.deleteMany({ user: user._id, purpose, usedAt: null });
+    await EmailToken.create({
+        user: user._id,
+        purpose,
+        email,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL[purpose])
+    });
+
+    return token;
+};
+
+
+// -------------------------------
+// Redeem a token exactly once → the token document, or null
+// -------------------------------
+const consumeEmailToken = (token, purpose) =>
+    EmailToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } }
+    );
+
+
+// -------------------------------
+// Emails
+// -------------------------------
+const sendVerificationEmail = async (user, email = user.email) => {
+    const link = appUrl("/verify-email", await createEmailToken(user, "email_verification", email));
+
+    return sendMail({
+        to: email,
+        subject: "Verify your email address",
+        text: `Hi ${user.fullName},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours. If you didn't request this, ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p><a href="${link}">Confirm your email address</a></p><p>The link expires in 24 hours. If you didn't request this, ignore this email.</p>`
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const link = appUrl("/reset-password", await createEmailToken(user, "password_reset"));
+
+    return sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.fullName},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't request this, ignore this email; your password stays the same.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p><a href="${link}">Reset your password</a></p><p>The link expires in 1 hour. If you didn't request this, ignore this email; your password stays the same.</p>`
+    });
+};
+
+const escapeHtml = (value = "") =>
+    value.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+
+// Mail must never fail or slow down the request that triggered it; this
+// also keeps "account exists" and "no such account" responses identical.
+const sendInBackground = (promise) => {
+    promise.catch((error) => console.log("MAIL DELIVERY FAILED !!", error));
+};
+
+
+export {
+    consumeEmailToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendInBackground
+};
@@ -0,0 +1,113 @@
+import { VideoView } from "../models/videoView.model.js";
+import { VideoDailyStats } from "../models/videoDailyStats.model.js";
+import { SubscriptionEvent } from "../models/subscriptionEvent.model.js";
+import { ChannelDailyStats } from "../models/channelDailyStats.model.js";
+
+
+const startOfUtcDay = (date = new Date()) =>
+    new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+
+// -------------------------------
+// Live rollups (one upsert per event)
+// -------------------------------
+// `inc` is { views?, watchedSeconds? }; `at` picks the day the numbers land on.
+const bumpVideoStats = (video, inc, at = new Date()) =>
+    VideoDailyStats.updateOne(
+        { video: video._id, day: startOfUtcDay(at) },
+        { $inc: inc, $setOnInsert: { owner: video.owner } },
+        { upsert: true }
+    );
+
+const recordSubscriptionEvent = async (channel, subscriber, type) => {
+    await SubscriptionEvent.create({ channel, subscriber, type });
+
+    await ChannelDailyStats.updateOne(
+        { channel, day: startOfUtcDay() },
+        { $inc: { [type === "subscribe" ? "subscribersGained" : "subscribersLost"]: 1 } },
+        { upsert: true }
+    );
+};
+
+
+// -------------------------------
+// Rebuild the rollups from the raw events
+// -------------------------------
+// Recomputes every day in [from, to) (whole UTC days; both optional) and
+// replaces what the live counters wrote, e.g. after a crash between an
+// event and its rollup. The range's rows are cleared first, so a day whose
+// events are all gone doesn't keep its old numbers. Runs entirely inside MongoDB.
+const rebuildDailyStats = async ({ from, to } = {}) => {
+    const createdAt = {};
+    if (from) createdAt.$gte = startOfUtcDay(from);
+    if (to) createdAt.$lt = startOfUtcDay(to);
+    const hasRange = Object.keys(createdAt).length > 0;
+    const range = hasRange ? { createdAt } : {};
+    const days = hasRange ? { day: createdAt } : {};
+
+    const day = { $dateTrunc: { date: "$createdAt", unit: "day" } };
+
+    await VideoDailyStats.deleteMany(days);
+    await ChannelDailyStats.deleteMany(days);
+
+    await VideoView.aggregate([
+        { $match: { ...range, owner: { $ne: null } } },
+        {
+            $group: {
+                _id: { video: "$video", day },
+                owner: { $first: "$owner" },
+                views: { $sum: 1 },
+                watchedSeconds: { $sum: "$watchedSeconds" }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                video: "$_id.video",
+                day: "$_id.day",
+                owner: 1,
+                views: 1,
+                watchedSeconds: 1
+            }
+        },
+        {
+            $merge: {
+                into: VideoDailyStats.collection.collectionName,
+                on: ["video", "day"],
+                whenMatched: "replace",
+                whenNotMatched: "insert"
+            }
+        }
+    ]).allowDiskUse(true);
+
+    await SubscriptionEvent.aggregate([
+        { $match: range },
+        {
+            $group: {
+                _id: { channel: "$channel", day },
+                subscribersGained: { $sum: { $cond: [{ $eq: ["$type", "subscribe"] }, 1, 0] } },
+                subscribersLost: { $sum: { $cond: [{ $eq: ["$type", "unsubscribe"] }, 1, 0] } }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                channel: "$_id.channel",
+                day: "$_id.day",
+                subscribersGained: 1,
+                subscribersLost: 1
+            }
+        },
+        {
+            $merge: {
+                into: ChannelDailyStats.collection.collectionName,
+                on: ["channel", "day"],
+                whenMatched: "replace",
+                whenNotMatched: "insert"
+            }
+        }
+    ]).allowDiskUse(true);
+};
+
+
+export { startOfUtcDay, bumpVideoStats, recordSubscriptionEvent, rebuildDailyStats };
@@ -0,0 +1,18 @@
+import { AuditLog } from "../models/auditLog.model.js";
+
+
+// -------------------------------
+// Record a privileged action taken by req.user
+// -------------------------------
+const recordAudit = (req, { action, targetType, target, metadata }) =>
+    AuditLog.create({
+        actor: req.user._id,
+        action,
+        targetType,
+        target,
+        metadata,
+        ip: req.ip,
+        userAgent: req.get("user-agent")
+    });
+
+export { recordAudit };
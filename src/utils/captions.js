@@ -0,0 +1,254 @@
+import { ApiError } from "./ApiError.js";
+
+
+// Reporting stops after this many problems; the rest are usually follow-ups
+const MAX_REPORTED_ERRORS = 20;
+
+const VTT_CUE_SETTINGS = ["vertical", "line", "position", "size", "align", "region"];
+
+// SRT formatting that WebVTT understands as is
+const SRT_TAGS = /^<\/?[ibu]>$/i;
+
+
+// -------------------------------
+// Timestamps
+// -------------------------------
+
+// "01:02:03.456" / "02:03,456" → milliseconds, or null when malformed.
+// SRT writes hours always and a comma; WebVTT may drop the hours and uses a dot.
+const parseTimestamp = (value, format) => {
+    const separator = format === "srt" ? "[,.]" : "\\.";
+    const match = new RegExp(`^(?:(\\d+):)?(\\d{2}):(\\d{2})${separator}(\\d{3})$`).exec(value);
+
+    if (!match) return null;
+
+    const [, hours = "0", minutes, seconds, millis] = match;
+    if (Number(minutes) > 59 || Number(seconds) > 59) return null;
+
+    return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis);
+};
+
+const formatTimestamp = (ms) => {
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+        `${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+
+// -------------------------------
+// Text
+// -------------------------------
+
+// SRT cue text → WebVTT cue text: <i>/<b>/<u> survive, other markup
+// (<font>, {\an8}) is dropped and stray & / < are escaped
+const convertSrtText = (line) =>
+    line
+        .replace(/\{\\[^}]*\}/g, "")
+        .replace(/<[^>]*>/g, (tag) => (SRT_TAGS.test(tag) ? tag.toLowerCase() : ""))
+        .replace(/&(?![a-z]+;|#\d+;|#x[\da-f]+;)/gi, "&amp;")
+        .replace(/<(?!\/?[ibu]>)/gi, "&lt;");
+
+// Cue settings WebVTT doesn't know are dropped
+const normalizeCueSettings = (settings) =>
+    settings
+        .trim()
+        .split(/\s+/)
+        .filter((setting) => VTT_CUE_SETTINGS.includes(setting.split(":")[0]) && /^\w+:\S+$/.test(setting))
+        .join(" ");
+
+
+// -------------------------------
+// Split into blank-line separated blocks, keeping 1-based line numbers
+// -------------------------------
+const splitBlocks = (text) => {
+    const lines = text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+    const blocks = [];
+    let current = null;
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { firstLine: index + 1, lines: [] };
+            blocks.push(current);
+        }
+        current.lines.push(line.trimEnd());
+    });
+
+    return blocks;
+};
+
+
+// -------------------------------
+// Read one cue block from its timing line on
+// -------------------------------
+// Problems are added to `errors` as { line, message }; returns the cue or null.
+const readCue = (block, timingIndex, format, errors) => {
+    const timingLineNumber = block.firstLine + timingIndex;
+    const timing = block.lines[timingIndex];
+
+    if (timing === undefined) {
+        errors.push({ line: block.firstLine, message: "Cue has no timing line." });
+        return null;
+    }
+
+    const match = /^(\S+)[ \t]+-->[ \t]+(\S+)(.*)$/.exec(timing.trim());
+    if (!match) {
+        const example = format === "srt" ? "00:00:01,000 --> 00:00:04,000" : "00:00:01.000 --> 00:00:04.000";
+        errors.push({ line: timingLineNumber, message: `Expected a timing line like "${example}".` });
+        return null;
+    }
+
+    const [, startText, endText, rest] = match;
+    const start = parseTimestamp(startText, format);
+    const end = parseTimestamp(endText, format);
+    let valid = true;
+
+    if (start === null) {
+        errors.push({ line: timingLineNumber, message: `Invalid start time "${startText}".` });
+        valid = false;
+    }
+    if (end === null) {
+        errors.push({ line: timingLineNumber, message: `Invalid end time "${endText}".` });
+        valid = false;
+    }
+    if (valid && end <= start) {
+        errors.push({ line: timingLineNumber, message: "Cue must end after it starts." });
+        valid = false;
+    }
+
+    const textLines = block.lines.slice(timingIndex + 1);
+
+    // A timing line inside the text means the blank line before a cue is missing
+    const strayTiming = textLines.findIndex((line) => line.includes("-->"));
+    if (strayTiming !== -1) {
+        errors.push({
+            line: timingLineNumber + 1 + strayTiming,
+            message: "Missing blank line before this cue."
+        });
+        valid = false;
+    }
+
+    if (!textLines.length) {
+        errors.push({ line: timingLineNumber, message: "Cue has no text." });
+        valid = false;
+    }
+
+    if (!valid) return null;
+
+    return {
+        start,
+        end,
+        // SRT positions (X1:...) have no WebVTT equivalent
+        settings: format === "srt" ? "" : normalizeCueSettings(rest),
+        text: format === "srt" ? textLines.map(convertSrtText) : textLines
+    };
+};
+
+
+// -------------------------------
+// Format parsers → { cues, headerBlocks }
+// -------------------------------
+const parseSrt = (text, errors) => {
+    const cues = [];
+
+    for (const block of splitBlocks(text)) {
+        const hasNumber = /^\d+$/.test(block.lines[0].trim());
+
+        if (!hasNumber && !block.lines[0].includes("-->")) {
+            errors.push({ line: block.firstLine, message: "Expected a cue number." });
+            continue;
+        }
+
+        const cue = readCue(block, hasNumber ? 1 : 0, "srt", errors);
+        if (cue) cues.push(cue);
+    }
+
+    return { cues, headerBlocks: [] };
+};
+
+const parseVtt = (text, errors) => {
+    const [header, ...blocks] = splitBlocks(text);
+    const cues = [];
+    const headerBlocks = [];
+
+    if (!header || header.firstLine !== 1 || !/^WEBVTT(?:[ \t]|$)/.test(header.lines[0])) {
+        errors.push({ line: 1, message: "A WebVTT file must start with \"WEBVTT\"." });
+        return { cues, headerBlocks };
+    }
+
+    for (const block of blocks) {
+        const [first] = block.lines;
+
+        // Comments go; style and region definitions stay if they precede the cues
+        if (/^NOTE(?:[ \t]|$)/.test(first)) continue;
+        if (/^(?:STYLE|REGION)$/.test(first.trim())) {
+            if (!cues.length) headerBlocks.push(block.lines.join("\n"));
+            continue;
+        }
+
+        const hasIdentifier = !first.includes("-->");
+        const cue = readCue(block, hasIdentifier ? 1 : 0, "vtt", errors);
+
+        if (cue) cues.push({ ...cue, identifier: hasIdentifier ? first.trim() : undefined });
+    }
+
+    return { cues, headerBlocks };
+};
+
+
+// -------------------------------
+// Validate an SRT or WebVTT file and rewrite it as normalized WebVTT
+// → { vtt, cueCount }
+// -------------------------------
+// Normalized means UTF-8 without BOM, "\n" line endings, full hh:mm:ss.mmm
+// timestamps and cues in start order. Any syntax problem fails the whole
+// file with a 400 listing the line of each (`errors`).
+const convertToWebVtt = (buffer, format) => {
+    let text;
+    try {
+        text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    } catch (error) {
+        throw new ApiError(400, "Caption file must be UTF-8 text.");
+    }
+
+    const errors = [];
+    const { cues, headerBlocks } = format === "srt"
+        ? parseSrt(text, errors)
+        : parseVtt(text, errors);
+
+    if (errors.length) {
+        throw new ApiError(
+            400,
+            `Caption file has ${errors.length} error${errors.length === 1 ? "" : "s"}.`,
+            errors.slice(0, MAX_REPORTED_ERRORS).map(({ line, message }) => ({
+                location: "captionFile",
+                line,
+                message
+            }))
+        );
+    }
+
+    if (!cues.length) {
+        throw new ApiError(400, "Caption file has no cues.");
+    }
+
+    // Array#sort is stable, so cues starting together keep their order
+    cues.sort((a, b) => a.start - b.start);
+
+    const body = cues.map((cue) => [
+        ...(cue.identifier ? [cue.identifier] : []),
+        `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ""}`,
+        ...cue.text
+    ].join("\n"));
+
+    return {
+        vtt: ["WEBVTT", ...headerBlocks, ...body].join("\n\n") + "\n",
+        cueCount: cues.length
+    };
+};
+
+export { convertToWebVtt };
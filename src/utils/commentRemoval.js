@@ -0,0 +1,29 @@
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { resolveReports } from "./reports.js";
+
+
+// -------------------------------
+// Delete a comment with its whole thread → number of comments deleted
+// -------------------------------
+// Used by the author's / video or post owner's delete and the report queue,
+// which passes the moderator's `resolution` for open reports on the thread.
+const removeComment = async (comment, resolution = { action: "deleted" }) => {
+    // Collect every descendant, level by level
+    const idsToDelete = [comment._id];
+    let frontier = [comment._id];
+
+    while (frontier.length) {
+        const children = await Comment.find({ parent: { $in: frontier } }).distinct("_id");
+        idsToDelete.push(...children);
+        frontier = children;
+    }
+
+    await Comment.deleteMany({ _id: { $in: idsToDelete } });
+    await Like.deleteMany({ targetType: "Comment", target: { $in: idsToDelete } });
+    await resolveReports("Comment", idsToDelete, resolution);
+
+    return idsToDelete.length;
+};
+
+export { removeComment };
@@ -0,0 +1,44 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "./ApiError.js";
+import { Video } from "../models/video.model.js";
+import { Post } from "../models/post.model.js";
+
+
+// -------------------------------
+// Find a video / post the current user is allowed to see
+// -------------------------------
+// Drafts and content hidden by reports are only visible to their owner.
+const findVisibleVideo = async (videoId, user) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id.");
+    }
+
+    const video = await Video.findById(videoId).select("owner isPublished hiddenAt");
+    const isOwner = video?.owner?.toString() === user?._id.toString();
+
+    if (!video || ((!video.isPublished || video.hiddenAt) && !isOwner)) {
+        throw new ApiError(404, "Video not found.");
+    }
+
+    return video;
+};
+
+const findVisiblePost = async (postId, user) => {
+    if (!isValidObjectId(postId)) {
+        throw new ApiError(400, "Invalid post id.");
+    }
+
+    const post = await Post.findById(postId).select("owner hiddenAt");
+
+    if (!post || (post.hiddenAt && !post.owner.equals(user._id))) {
+        throw new ApiError(404, "Post not found.");
+    }
+
+    return post;
+};
+
+// Make sure the current user may see what a comment is on (its video / post)
+const assertSubjectVisible = (comment, user) =>
+    comment.post ? findVisiblePost(comment.post, user) : findVisibleVideo(comment.video, user);
+
+export { findVisibleVideo, findVisiblePost, assertSubjectVisible };
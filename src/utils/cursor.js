@@ -0,0 +1,28 @@
+import { ApiError } from "./ApiError.js";
+
+
+// -------------------------------
+// Opaque pagination cursors
+// -------------------------------
+// Clients get a base64url token and hand it back as ?cursor=; what it holds
+// (a sort key, a rank, ...) is up to the endpoint. Dates survive the trip
+// as ISO strings and are turned back into Dates by the reviver.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+const encodeCursor = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    if (!cursor) return null;
+
+    try {
+        return JSON.parse(
+            Buffer.from(cursor, "base64url").toString("utf8"),
+            (key, value) => (typeof value === "string" && ISO_DATE.test(value) ? new Date(value) : value)
+        );
+    } catch (error) {
+        throw new ApiError(400, "Invalid cursor.");
+    }
+};
+
+export { encodeCursor, decodeCursor };
@@ -0,0 +1,30 @@
+import { EventEmitter } from "events";
+
+
+// -------------------------------
+// In-process domain events
+// -------------------------------
+// Controllers and jobs announce what happened; listeners (notifications, ...)
+// react without the emitter knowing about them. Listeners run after the
+// current request work, and a failing listener never fails the emitter.
+//
+//   "video.published"      { videoId }             may fire more than once per video
+//   "comment.created"      { comment }
+//   "subscription.created" { channel, subscriber }
+const bus = new EventEmitter();
+
+const onDomainEvent = (name, listener) => {
+    bus.on(name, listener);
+};
+
+const emitDomainEvent = (name, payload) => {
+    for (const listener of bus.listeners(name)) {
+        setImmediate(() => {
+            Promise.resolve()
+                .then(() => listener(payload))
+                .catch((error) => console.log(`DOMAIN EVENT "${name}" HANDLER FAILED !!`, error));
+        });
+    }
+};
+
+export { onDomainEvent, emitDomainEvent };
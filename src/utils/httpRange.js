@@ -0,0 +1,132 @@
+import { pipeline } from "stream/promises";
+
+
+// -------------------------------
+// Parse a Range header against a resource size
+// -------------------------------
+// Returns { start, end } for a satisfiable single range, -1 when the range
+// can't be satisfied and null when the header should be ignored (missing,
+// malformed, other unit or several ranges → serve the full body instead).
+const parseRange = (header, size) => {
+    if (!header) return null;
+
+    const match = /^bytes=\s*(\d*)-(\d*)\s*$/.exec(header.trim());
+    if (!match) return null;
+
+    const [, startPart, endPart] = match;
+    if (startPart === "" && endPart === "") return null;
+
+    let start;
+    let end;
+
+    if (startPart === "") {
+        // Suffix range: last N bytes
+        const suffix = Number(endPart);
+        if (suffix === 0) return -1;
+        start = Math.max(size - suffix, 0);
+        end = size - 1;
+    } else {
+        start = Number(startPart);
+        if (start >= size) return -1;
+
+        end = endPart === "" ? size - 1 : Math.min(Number(endPart), size - 1);
+        if (end < start) return null;
+    }
+
+    return { start, end };
+};
+
+
+// -------------------------------
+// Conditional request helpers
+// -------------------------------
+const etagMatches = (header, etag) => {
+    if (!header || !etag) return false;
+    if (header.trim() === "*") return true;
+
+    // If-None-Match uses weak comparison
+    const strip = (tag) => tag.trim().replace(/^W\//, "");
+    return header.split(",").some((tag) => strip(tag) === strip(etag));
+};
+
+const notModifiedSince = (header, lastModified) => {
+    if (!header || !lastModified) return false;
+    const since = Date.parse(header);
+    if (Number.isNaN(since)) return false;
+
+    // HTTP dates have second precision
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+};
+
+// If-Range needs a strong validator match, otherwise the Range is ignored
+const ifRangeMatches = (header, { etag, lastModified }) => {
+    if (!header) return true;
+    const value = header.trim();
+
+    if (value.startsWith("\"") || value.startsWith("W/")) {
+        return Boolean(etag) && !etag.startsWith("W/") && value === etag;
+    }
+
+    const date = Date.parse(value);
+    return Boolean(lastModified)
+        && !Number.isNaN(date)
+        && Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+};
+
+
+// -------------------------------
+// Send a (partial) resource
+// -------------------------------
+// `source` describes the bytes: { size, etag, lastModified, contentType,
+// createReadStream({ start, end }) }.
+const sendRange = async (req, res, source) => {
+    const { size, etag, lastModified, contentType } = source;
+
+    res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader("Content-Type", contentType || "application/octet-stream");
+    if (etag) res.setHeader("ETag", etag);
+    if (lastModified) res.setHeader("Last-Modified", lastModified.toUTCString());
+
+    // Cache validation (If-None-Match wins over If-Modified-Since)
+    const ifNoneMatch = req.headers["if-none-match"];
+    if (ifNoneMatch ? etagMatches(ifNoneMatch, etag)
+        : notModifiedSince(req.headers["if-modified-since"], lastModified)) {
+        return res.status(304).end();
+    }
+
+    let range = null;
+    if (ifRangeMatches(req.headers["if-range"], source)) {
+        range = parseRange(req.headers.range, size);
+    }
+
+    if (range === -1) {
+        // Answered here: the default error handler would drop Content-Range
+        res.setHeader("Content-Range", `bytes */${size}`);
+        return res.status(416).end();
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+
+    res.status(range ? 206 : 200);
+    res.setHeader("Content-Length", size === 0 ? 0 : end - start + 1);
+    if (range) {
+        res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+    }
+
+    if (req.method === "HEAD" || size === 0) {
+        return res.end();
+    }
+
+    const stream = await source.createReadStream({ start, end });
+
+    try {
+        await pipeline(stream, res);
+    } catch (error) {
+        // Client went away mid-stream (seeking does this all the time)
+        if (error?.code !== "ERR_STREAM_PREMATURE_CLOSE") throw error;
+    }
+};
+
+
+export { parseRange, sendRange };
@@ -0,0 +1,225 @@
+import os from "os";
+import { Job } from "../models/job.model.js";
+
+
+// A job whose lock hasn't been renewed for this long is assumed to belong to
+// a dead worker; live workers renew it a few times per period
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS) || 30 * 60 * 1000;
+const LOCK_RENEW_INTERVAL_MS = Math.floor(LOCK_TIMEOUT_MS / 3);
+
+const BACKOFF_BASE_MS = Number(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+const ABANDONED_MESSAGE = "The worker stopped responding on the last attempt.";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+
+// -------------------------------
+// Enqueue a job
+// -------------------------------
+const enqueueJob = (type, payload = {}, { maxAttempts, runAt } = {}) =>
+    Job.create({ type, payload, maxAttempts, runAt });
+
+
+// -------------------------------
+// Make sure one run of a recurring job is queued
+// -------------------------------
+// No-op when a run of `type` is already waiting, so every worker can call it
+// at startup and each run can book the next one. Use maxAttempts: 1 — a
+// retried run would go back to "queued" next to the one already booked.
+const ensureJobQueued = async (type, payload = {}, { maxAttempts, runAt } = {}) => {
+    try {
+        await Job.updateOne(
+            { type, status: "queued", recurring: true },
+            { $setOnInsert: { payload, maxAttempts, runAt } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // Another worker inserted it at the same moment; the unique index kept it single
+        if (error?.code !== 11000) throw error;
+    }
+};
+
+
+// Exponential backoff: 30s, 1m, 2m, 4m ... capped at an hour
+const getBackoffDelay = (attempts) =>
+    Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+
+
+// -------------------------------
+// Atomically claim the next runnable job
+// -------------------------------
+const claimNextJob = (types, workerId) => {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+        {
+            type: { $in: types },
+            $or: [
+                { status: "queued", runAt: { $lte: now } },
+                // Reclaim jobs whose worker died mid-way, while attempts are left
+                {
+                    status: "processing",
+                    lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) },
+                    $expr: { $lt: ["$attempts", "$maxAttempts"] }
+                }
+            ]
+        },
+        {
+            $set: { status: "processing", lockedBy: workerId, lockedAt: now },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+
+// -------------------------------
+// Fail the next job whose worker died on its last attempt → the job or null
+// -------------------------------
+// claimNextJob leaves these alone, so a job that keeps killing its worker
+// ends up failed instead of being retried forever.
+const failNextAbandonedJob = (types) => {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+        {
+            type: { $in: types },
+            status: "processing",
+            lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) },
+            $expr: { $gte: ["$attempts", "$maxAttempts"] }
+        },
+        {
+            $set: { status: "failed", lastError: ABANDONED_MESSAGE },
+            $unset: { lockedBy: "", lockedAt: "" }
+        },
+        { new: true }
+    );
+};
+
+
+// -------------------------------
+// Keep a claimed job's lock fresh while its handler runs
+// -------------------------------
+// Renewals and the final update all match on { lockedBy, lockedAt }, so once
+// another worker has reclaimed the job this run can neither extend the lock
+// nor overwrite the other run's outcome. release() stops renewing and
+// returns the current lock.
+const holdLock = (job) => {
+    const lock = { lockedBy: job.lockedBy, lockedAt: job.lockedAt };
+    let renewing = Promise.resolve();
+
+    const timer = setInterval(() => {
+        renewing = renewing
+            .then(async () => {
+                const lockedAt = new Date();
+                const { modifiedCount } = await Job.updateOne(
+                    { _id: job._id, ...lock },
+                    { $set: { lockedAt } }
+                );
+                if (modifiedCount) lock.lockedAt = lockedAt;
+            })
+            .catch((error) => console.log("JOB LOCK RENEWAL FAILED:", error));
+    }, LOCK_RENEW_INTERVAL_MS);
+
+    return {
+        release: async () => {
+            clearInterval(timer);
+            await renewing;
+            return lock;
+        }
+    };
+};
+
+
+// -------------------------------
+// Run a single claimed job through its handler
+// -------------------------------
+// Handlers receive the job and may export onFailure(job, error, willRetry)
+// to mirror the outcome onto their own documents.
+const runJob = async (job, handler) => {
+    const heldLock = holdLock(job);
+
+    try {
+        await handler.run(job);
+
+        await Job.updateOne(
+            { _id: job._id, ...(await heldLock.release()) },
+            {
+                $set: { status: "completed", completedAt: new Date() },
+                $unset: { lockedBy: "", lockedAt: "", lastError: "" }
+            }
+        );
+    } catch (error) {
+        const willRetry = job.attempts < job.maxAttempts;
+
+        const { matchedCount } = await Job.updateOne(
+            { _id: job._id, ...(await heldLock.release()) },
+            {
+                $set: {
+                    status: willRetry ? "queued" : "failed",
+                    runAt: new Date(Date.now() + getBackoffDelay(job.attempts)),
+                    lastError: error?.message || String(error)
+                },
+                $unset: { lockedBy: "", lockedAt: "" }
+            }
+        );
+
+        // Lost the lock: the run that reclaimed the job reports the outcome
+        if (matchedCount) {
+            await handler.onFailure?.(job, error, willRetry);
+        }
+    }
+};
+
+
+// -------------------------------
+// Worker loop
+// -------------------------------
+// `handlers` maps job type → { run(job), onFailure?(job, error, willRetry) }.
+// Several worker processes can run this side by side; claiming is atomic.
+const startWorker = async ({ handlers, concurrency = 1, pollIntervalMs = 5000 }) => {
+    const types = Object.keys(handlers);
+    let stopping = false;
+
+    const loop = async (slot) => {
+        const workerId = `${os.hostname()}:${process.pid}:${slot}`;
+
+        while (!stopping) {
+            try {
+                const abandoned = await failNextAbandonedJob(types);
+                if (abandoned) {
+                    await handlers[abandoned.type].onFailure?.(abandoned, new Error(ABANDONED_MESSAGE), false);
+                    continue;
+                }
+
+                const job = await claimNextJob(types, workerId);
+
+                if (!job) {
+                    await sleep(pollIntervalMs);
+                    continue;
+                }
+
+                await runJob(job, handlers[job.type]);
+            } catch (error) {
+                // e.g. lost DB connection; keep the worker alive and try again
+                console.log("WORKER ERROR:", error);
+                await sleep(pollIntervalMs);
+            }
+        }
+    };
+
+    const loops = Array.from({ length: concurrency }, (_, slot) => loop(slot));
+
+    return {
+        // Finish in-flight jobs, then resolve
+        stop: async () => {
+            stopping = true;
+            await Promise.all(loops);
+        }
+    };
+};
+
+
+export { enqueueJob, ensureJobQueued, startWorker, getBackoffDelay };
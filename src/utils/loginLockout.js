@@ -0,0 +1,71 @@
+import { ApiError } from "./ApiError.js";
+import { User } from "../models/user.model.js";
+
+
+// -------------------------------
+// Per-account progressive lockout
+// -------------------------------
+// After LOGIN_LOCKOUT_THRESHOLD failed passwords the account is locked for
+// LOGIN_LOCKOUT_BASE_SECONDS, doubling with every further failure up to
+// LOGIN_LOCKOUT_MAX_SECONDS. Failures older than a day are forgotten.
+// Complements the per-IP rate limit, which can't stop a distributed attack
+// on a single account.
+
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const lockoutConfig = () => ({
+    threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    baseSeconds: Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60,
+    maxSeconds: Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60
+});
+
+const lockDurationMs = (failures) => {
+    const { threshold, baseSeconds, maxSeconds } = lockoutConfig();
+    if (failures < threshold) return 0;
+
+    return Math.min(baseSeconds * 2 ** (failures - threshold), maxSeconds) * 1000;
+};
+
+
+// Throws 429 with Retry-After while the account is locked
+const assertNotLocked = (user, res) => {
+    const remainingMs = user.loginLockedUntil ? user.loginLockedUntil - Date.now() : 0;
+
+    if (remainingMs > 0) {
+        const seconds = Math.ceil(remainingMs / 1000);
+        res.set("Retry-After", String(seconds));
+        throw new ApiError(429, `Too many failed login attempts. Try again in ${seconds} seconds.`);
+    }
+};
+
+const recordFailedLogin = async (user) => {
+    const now = new Date();
+    const stale = !user.lastFailedLoginAt || now - user.lastFailedLoginAt > FAILURE_MEMORY_MS;
+
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        stale
+            ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now } }
+            : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+        { new: true }
+    ).select("+failedLoginAttempts");
+
+    const lockMs = lockDurationMs(updated.failedLoginAttempts);
+    if (lockMs) {
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { loginLockedUntil: new Date(now.getTime() + lockMs) } }
+        );
+    }
+};
+
+const clearFailedLogins = (user) => {
+    if (!user.failedLoginAttempts && !user.loginLockedUntil) return;
+
+    return User.updateOne(
+        { _id: user._id },
+        { $unset: { failedLoginAttempts: "", lastFailedLoginAt: "", loginLockedUntil: "" } }
+    );
+};
+
+export { assertNotLocked, recordFailedLogin, clearFailedLogins };
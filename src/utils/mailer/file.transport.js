@@ -0,0 +1,43 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+
+// -------------------------------
+// File transport (local development & tests)
+// -------------------------------
+// Writes each message as JSON under MAIL_FILE_DIR so links can be opened
+// without a mail server.
+const createFileTransport = () => {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || "./tmp/mail");
+
+    return {
+        name: "file",
+
+        async send(message) {
+            const id = `${Date.now()}-${crypto.randomUUID()}`;
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(
+                path.join(dir, `${id}.json`),
+                JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+            );
+            return { id };
+        }
+    };
+};
+
+
+// -------------------------------
+// Console transport
+// -------------------------------
+const createConsoleTransport = () => ({
+    name: "console",
+
+    async send(message) {
+        const id = crypto.randomUUID();
+        console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+        return { id };
+    }
+});
+
+export { createFileTransport, createConsoleTransport };
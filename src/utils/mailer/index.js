@@ -0,0 +1,49 @@
+import { createSmtpTransport } from "./smtp.transport.js";
+import { createFileTransport, createConsoleTransport } from "./file.transport.js";
+
+
+// -------------------------------
+// Outgoing mail
+// -------------------------------
+// Every transport implements:
+//   send({ from, to, subject, text, html }) → { id }
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+// These print or store whole messages, sign-in links included: development only
+const LOCAL_TRANSPORTS = ["console", "file"];
+
+const instances = new Map();
+
+// Built lazily so env config is read after dotenv has run
+const getTransport = (name = process.env.MAIL_TRANSPORT || "console") => {
+    if (!TRANSPORTS[name]) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    if (process.env.NODE_ENV === "production" && LOCAL_TRANSPORTS.includes(name)) {
+        throw new Error(
+            `MAIL_TRANSPORT=${name} would expose verification and password reset links; set MAIL_TRANSPORT=smtp in production.`
+        );
+    }
+
+    if (!instances.has(name)) {
+        instances.set(name, TRANSPORTS[name]());
+    }
+    return instances.get(name);
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+    getTransport().send({
+        from: process.env.MAIL_FROM || "StreamCore <no-reply@localhost>",
+        to,
+        subject,
+        text,
+        html
+    });
+
+export { getTransport, sendMail };
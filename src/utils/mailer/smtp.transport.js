@@ -0,0 +1,30 @@
+import nodemailer from "nodemailer";
+
+
+// -------------------------------
+// SMTP transport (nodemailer)
+// -------------------------------
+const createSmtpTransport = () => {
+    const port = Number(process.env.SMTP_PORT) || 587;
+
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        // Port 465 is implicit TLS; others upgrade with STARTTLS
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        name: "smtp",
+
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { id: info.messageId };
+        }
+    };
+};
+
+export { createSmtpTransport };
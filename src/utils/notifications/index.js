@@ -0,0 +1,245 @@
+import mongoose from "mongoose";
+import { Notification } from "../../models/notification.model.js";
+import { User } from "../../models/user.model.js";
+import { Video } from "../../models/video.model.js";
+import { Comment } from "../../models/comment.model.js";
+import { Post } from "../../models/post.model.js";
+import { Subscription } from "../../models/subscription.model.js";
+import { lookupUserProfile } from "../pipelines.js";
+import { onDomainEvent } from "../domainEvents.js";
+import { enqueueJob } from "../jobQueue.js";
+import { createMemoryBroker } from "./memory.broker.js";
+import { createMongoBroker } from "./mongo.broker.js";
+
+
+export const NOTIFY_SUBSCRIBERS_JOB = "notifications.video_published";
+
+const FANOUT_BATCH_SIZE = 500;
+
+
+// -------------------------------
+// Live delivery brokers
+// -------------------------------
+// Every broker implements:
+//   publish(notifications)  → hand freshly created notifications to subscribers
+//   subscribe(listener)     → listener(notifications) for each batch; returns unsubscribe
+const BROKERS = {
+    memory: createMemoryBroker,
+    mongo: createMongoBroker
+};
+
+const instances = new Map();
+
+// Built lazily so env config is read after dotenv has run
+const getNotificationBroker = (name = process.env.NOTIFICATION_BROKER || "memory") => {
+    if (!BROKERS[name]) {
+        throw new Error(`Unknown notification broker: ${name}`);
+    }
+
+    if (!instances.has(name)) {
+        instances.set(name, BROKERS[name]());
+    }
+    return instances.get(name);
+};
+
+
+// Actor profile, video / post and comment preview, shared by the list and the stream
+const notificationDetails = [
+    ...lookupUserProfile("actor"),
+    {
+        $lookup: {
+            from: "videos",
+            localField: "video",
+            foreignField: "_id",
+            as: "video",
+            pipeline: [{ $project: { title: 1, thumbnail: 1, duration: 1 } }]
+        }
+    },
+    {
+        $lookup: {
+            from: "posts",
+            localField: "post",
+            foreignField: "_id",
+            as: "post",
+            pipeline: [{ $project: { content: 1, image: 1 } }]
+        }
+    },
+    {
+        $lookup: {
+            from: "comments",
+            localField: "comment",
+            foreignField: "_id",
+            as: "comment",
+            pipeline: [{ $project: { content: 1, parent: 1 } }]
+        }
+    },
+    {
+        $addFields: {
+            video: { $first: "$video" },
+            post: { $first: "$post" },
+            comment: { $first: "$comment" }
+        }
+    }
+];
+
+
+// -------------------------------
+// Notify one user, if they want to hear about it
+// -------------------------------
+// Nobody is notified about their own actions, about a switched-off type,
+// or by a channel they muted.
+const notifyUser = async ({ recipient, type, actor, video, post, comment }) => {
+    if (String(recipient) === String(actor)) return null;
+
+    const wanted = await User.exists({
+        _id: recipient,
+        [`notificationPreferences.${type}`]: { $ne: false },
+        mutedChannels: { $ne: actor }
+    });
+    if (!wanted) return null;
+
+    const notification = await Notification.create({ recipient, type, actor, video, post, comment });
+
+    await getNotificationBroker().publish([notification.toObject()]);
+    return notification;
+};
+
+
+// -------------------------------
+// Tell every subscriber about a new upload (run by the worker)
+// -------------------------------
+// Walks the subscriber list in batches; upserts keep a retried job from
+// notifying anyone twice. Returns how many notifications were created.
+const notifySubscriberBatch = async (video, subscriberIds) => {
+    const recipients = await User.find({
+        _id: { $in: subscriberIds },
+        "notificationPreferences.video_published": { $ne: false },
+        mutedChannels: { $ne: video.owner }
+    }).distinct("_id");
+
+    if (!recipients.length) return 0;
+
+    const createdAt = new Date();
+    const docs = recipients.map((recipient) => ({
+        _id: new mongoose.Types.ObjectId(),
+        recipient,
+        type: "video_published",
+        actor: video.owner,
+        video: video._id,
+        readAt: null,
+        createdAt
+    }));
+
+    const result = await Notification.bulkWrite(
+        docs.map((doc) => ({
+            updateOne: {
+                filter: { recipient: doc.recipient, type: doc.type, video: doc.video },
+                update: { $setOnInsert: doc },
+                upsert: true,
+                timestamps: false
+            }
+        })),
+        { ordered: false }
+    );
+
+    const created = Object.keys(result.upsertedIds || {}).map((index) => docs[index]);
+
+    await getNotificationBroker().publish(created);
+    return created.length;
+};
+
+const fanOutVideoPublished = async (videoId) => {
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus hiddenAt");
+
+    // Deleted, unpublished again or hidden by reports before the job ran
+    if (!video?.isPublished || video.hiddenAt || !["ready", undefined, null].includes(video.processingStatus)) {
+        return 0;
+    }
+
+    const cursor = Subscription.find({ channel: video.owner })
+        .select("subscriber")
+        .lean()
+        .cursor({ batchSize: FANOUT_BATCH_SIZE });
+
+    let batch = [];
+    let created = 0;
+
+    for await (const { subscriber } of cursor) {
+        batch.push(subscriber);
+
+        if (batch.length === FANOUT_BATCH_SIZE) {
+            created += await notifySubscriberBatch(video, batch);
+            batch = [];
+        }
+    }
+
+    if (batch.length) {
+        created += await notifySubscriberBatch(video, batch);
+    }
+
+    return created;
+};
+
+
+// -------------------------------
+// Domain event → notification
+// -------------------------------
+// Called once per process (API and worker) at startup.
+let registered = false;
+
+const registerNotificationListeners = () => {
+    if (registered) return;
+    registered = true;
+
+    // Fires whenever a video may have become visible; the announcedAt claim
+    // makes sure subscribers hear about each video only once
+    onDomainEvent("video.published", async ({ videoId }) => {
+        const claimed = await Video.findOneAndUpdate(
+            {
+                _id: videoId,
+                isPublished: true,
+                processingStatus: { $in: ["ready", null] },
+                announcedAt: null
+            },
+            { $set: { announcedAt: new Date() } }
+        );
+
+        if (claimed) {
+            await enqueueJob(NOTIFY_SUBSCRIBERS_JOB, { videoId: claimed._id });
+        }
+    });
+
+    // A reply notifies the parent comment's author, a top-level comment the
+    // uploader / post author
+    onDomainEvent("comment.created", async ({ comment }) => {
+        const target = comment.parent
+            ? await Comment.findById(comment.parent).select("owner")
+            : comment.post
+                ? await Post.findById(comment.post).select("owner")
+                : await Video.findById(comment.video).select("owner");
+
+        if (!target?.owner) return;
+
+        await notifyUser({
+            recipient: target.owner,
+            type: comment.parent ? "reply" : "comment",
+            actor: comment.owner,
+            video: comment.video,
+            post: comment.post,
+            comment: comment._id
+        });
+    });
+
+    onDomainEvent("subscription.created", ({ channel, subscriber }) =>
+        notifyUser({ recipient: channel, type: "new_subscriber", actor: subscriber })
+    );
+};
+
+
+export {
+    getNotificationBroker,
+    notificationDetails,
+    notifyUser,
+    fanOutVideoPublished,
+    registerNotificationListeners
+};
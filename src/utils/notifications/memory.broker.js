@@ -0,0 +1,24 @@
+// -------------------------------
+// In-memory broker (single process)
+// -------------------------------
+// Only reaches streams open on the process that created the notification.
+// With more than one API instance, or uploads announced by a separate worker,
+// use the mongo broker.
+const createMemoryBroker = () => {
+    const listeners = new Set();
+
+    return {
+        name: "memory",
+
+        async publish(notifications) {
+            for (const listener of listeners) listener(notifications);
+        },
+
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+};
+
+export { createMemoryBroker };
@@ -0,0 +1,55 @@
+import { Notification } from "../../models/notification.model.js";
+
+
+const REOPEN_DELAY_MS = 5000;
+
+
+// -------------------------------
+// MongoDB change stream broker (any number of processes)
+// -------------------------------
+// Every process tails inserts into the notifications collection, so it
+// doesn't matter which process created a notification. Needs a replica set
+// (or Atlas); publishing is a no-op because the insert itself is the message.
+const createMongoBroker = () => {
+    const listeners = new Set();
+    let stream = null;
+
+    const open = () => {
+        stream = Notification.watch([{ $match: { operationType: "insert" } }]);
+
+        stream.on("change", (change) => {
+            for (const listener of listeners) listener([change.fullDocument]);
+        });
+
+        // e.g. a failover; pick up again once the cluster is back
+        stream.on("error", (error) => {
+            console.log("NOTIFICATION CHANGE STREAM FAILED !!", error);
+            stream.close().catch(() => {});
+            stream = null;
+            setTimeout(() => {
+                if (listeners.size && !stream) open();
+            }, REOPEN_DELAY_MS).unref();
+        });
+    };
+
+    return {
+        name: "mongo",
+
+        async publish() {},
+
+        subscribe(listener) {
+            listeners.add(listener);
+            if (!stream) open();
+
+            return () => {
+                listeners.delete(listener);
+                if (!listeners.size && stream) {
+                    stream.close().catch(() => {});
+                    stream = null;
+                }
+            };
+        }
+    };
+};
+
+export { createMongoBroker };
@@ -0,0 +1,61 @@
+import { Notification } from "../../models/notification.model.js";
+import { getNotificationBroker, notificationDetails } from "./index.js";
+
+
+// -------------------------------
+// Open Server-Sent Events streams of this process
+// -------------------------------
+// userId → Set of send(notification) callbacks, one per open stream.
+// Subscribes to the broker while at least one stream is open.
+const clients = new Map();
+let unsubscribe = null;
+
+const deliver = async (notifications) => {
+    const targeted = notifications.filter((notification) =>
+        clients.has(String(notification.recipient))
+    );
+    if (!targeted.length) return;
+
+    const detailed = await Notification.aggregate([
+        { $match: { _id: { $in: targeted.map((notification) => notification._id) } } },
+        { $sort: { _id: 1 } },
+        ...notificationDetails
+    ]);
+
+    for (const notification of detailed) {
+        for (const send of clients.get(String(notification.recipient)) || []) {
+            send(notification);
+        }
+    }
+};
+
+const countStreams = (userId) => clients.get(String(userId))?.size || 0;
+
+// Returns a function that closes the registration again
+const addStream = (userId, send) => {
+    const key = String(userId);
+
+    if (!clients.has(key)) clients.set(key, new Set());
+    clients.get(key).add(send);
+
+    if (!unsubscribe) {
+        unsubscribe = getNotificationBroker().subscribe((notifications) => {
+            deliver(notifications).catch((error) =>
+                console.log("NOTIFICATION DELIVERY FAILED !!", error)
+            );
+        });
+    }
+
+    return () => {
+        const streams = clients.get(key);
+        streams?.delete(send);
+        if (streams && !streams.size) clients.delete(key);
+
+        if (!clients.size && unsubscribe) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+    };
+};
+
+export { addStream, countStreams };
@@ -0,0 +1,216 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./ApiError.js";
+
+
+// -------------------------------
+// OpenID Connect providers
+// -------------------------------
+// Configured from env, one block per name listed in OIDC_PROVIDERS:
+//   OIDC_PROVIDERS=google,mock
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID / OIDC_GOOGLE_CLIENT_SECRET
+//   OIDC_GOOGLE_SCOPES="openid email profile"   (optional)
+//   OIDC_GOOGLE_LABEL=Google                    (optional)
+// Endpoints come from the issuer's discovery document, so any compliant IdP
+// (including a local mock) works without code changes.
+
+const SIGNING_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+const HTTP_TIMEOUT_MS = 10_000;
+
+const providerConfig = (name) => {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+    const env = (key) => process.env[prefix + key];
+
+    if (!env("ISSUER") || !env("CLIENT_ID")) return null;
+
+    return {
+        name,
+        label: env("LABEL") || name,
+        issuer: env("ISSUER").replace(/\/+$/, ""),
+        clientId: env("CLIENT_ID"),
+        clientSecret: env("CLIENT_SECRET"),
+        scopes: env("SCOPES") || "openid email profile"
+    };
+};
+
+const getProviders = () =>
+    (process.env.OIDC_PROVIDERS || "")
+        .split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean)
+        .map(providerConfig)
+        .filter(Boolean);
+
+const getProvider = (name) => {
+    const provider = getProviders().find((p) => p.name === name);
+    if (!provider) {
+        throw new ApiError(404, `Unknown login provider: ${name}`);
+    }
+    return provider;
+};
+
+const callbackUrl = (provider) => {
+    const base = process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+    return `${base.replace(/\/+$/, "")}/oauth/${provider.name}/callback`;
+};
+
+
+const fetchJson = async (url, options = {}) => {
+    let response;
+    try {
+        response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+    } catch (error) {
+        throw new ApiError(502, `Login provider is unreachable: ${error.message}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const reason = body.error_description || body.error || response.statusText;
+        throw new ApiError(502, `Login provider rejected the request: ${reason}`);
+    }
+    return body;
+};
+
+
+// -------------------------------
+// Discovery document & signing keys (cached per issuer)
+// -------------------------------
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const discover = async (provider) => {
+    if (!discoveryCache.has(provider.issuer)) {
+        const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+        if (metadata.issuer?.replace(/\/+$/, "") !== provider.issuer) {
+            throw new ApiError(502, "Login provider issuer does not match its configuration");
+        }
+        discoveryCache.set(provider.issuer, metadata);
+    }
+    return discoveryCache.get(provider.issuer);
+};
+
+// Keys rotate; refetch the set once when a token names an unknown key id
+const getSigningKey = async (metadata, kid) => {
+    const find = () => jwksCache.get(metadata.jwks_uri)?.find((key) => !kid || key.kid === kid);
+
+    if (!find()) {
+        const { keys = [] } = await fetchJson(metadata.jwks_uri);
+        jwksCache.set(metadata.jwks_uri, keys.filter((key) => !key.use || key.use === "sig"));
+    }
+
+    const jwk = find();
+    if (!jwk) {
+        throw new ApiError(401, "ID token is signed with an unknown key");
+    }
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+
+// -------------------------------
+// Step 1: authorization URL (+ the secrets the callback needs)
+// -------------------------------
+const createAuthorizationRequest = async (provider) => {
+    const metadata = await discover(provider);
+
+    const state = crypto.randomBytes(16).toString("base64url");
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: callbackUrl(provider),
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256"
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+
+// -------------------------------
+// Step 2: exchange the code and verify the ID token → identity claims
+// -------------------------------
+const completeAuthorization = async (provider, { code, codeVerifier, nonce }) => {
+    const metadata = await discover(provider);
+
+    const form = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: callbackUrl(provider),
+        code_verifier: codeVerifier,
+        client_id: provider.clientId
+    });
+    const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+
+    // client_secret_basic is the spec default; fall back to _post if that's all the IdP takes
+    if (provider.clientSecret) {
+        const methods = metadata.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+        if (methods.includes("client_secret_basic")) {
+            const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+        } else {
+            form.set("client_secret", provider.clientSecret);
+        }
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: "POST", headers, body: form });
+    if (!tokens.id_token) {
+        throw new ApiError(502, "Login provider did not return an ID token");
+    }
+
+    const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+    if (!header || !SIGNING_ALGORITHMS.includes(header.alg)) {
+        throw new ApiError(401, "ID token uses an unsupported signature");
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(tokens.id_token, await getSigningKey(metadata, header.kid), {
+            algorithms: SIGNING_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: provider.clientId
+        });
+    } catch (error) {
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(401, `Invalid ID token: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new ApiError(401, "Invalid ID token: nonce mismatch");
+    }
+
+    // Some IdPs keep profile claims out of the ID token
+    if ((!claims.email || !claims.name) && metadata.userinfo_endpoint && tokens.access_token) {
+        const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        if (userInfo.sub === claims.sub) {
+            claims = { ...userInfo, ...claims };
+        }
+    }
+
+    return {
+        subject: claims.sub,
+        email: claims.email?.toLowerCase(),
+        emailVerified: claims.email_verified === true || claims.email_verified === "true",
+        name: claims.name,
+        preferredUsername: claims.preferred_username,
+        picture: claims.picture
+    };
+};
+
+
+export {
+    getProviders,
+    getProvider,
+    createAuthorizationRequest,
+    completeAuthorization
+};
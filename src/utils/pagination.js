@@ -0,0 +1,10 @@
+// Normalise ?page=&limit= into options for aggregatePaginate
+const getPaginationOptions = (query = {}, maxLimit = 50) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), maxLimit);
+
+    return { page, limit };
+};
+
+
+export { getPaginationOptions };
@@ -0,0 +1,129 @@
+import { usableAccountFilter } from "../models/user.model.js";
+
+
+// -------------------------------
+// Reusable aggregation stages
+// -------------------------------
+
+// Embed a user's public profile (username, fullName, avatar) in place of an id.
+// $lookup always returns an array, so $first flattens it back to an object.
+const lookupUserProfile = (localField = "owner", as = localField) => [
+    {
+        $lookup: {
+            from: "users",
+            localField,
+            foreignField: "_id",
+            as,
+            pipeline: [
+                {
+                    $project: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            [as]: { $first: `$${as}` }
+        }
+    }
+];
+
+
+// Add likesCount and isLiked (for `userId`) to each document. Likes are
+// counted inside MongoDB and only the user's own like is looked up, so a
+// much-liked document doesn't pull every like into memory.
+const lookupLikes = (targetType, userId) => [
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "target",
+            as: "likesCount",
+            pipeline: [
+                { $match: { targetType } },
+                { $count: "count" }
+            ]
+        }
+    },
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "target",
+            as: "ownLike",
+            pipeline: [
+                { $match: { targetType, likedBy: userId ?? null } },
+                { $limit: 1 },
+                { $project: { _id: 1 } }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            likesCount: { $ifNull: [{ $first: "$likesCount.count" }, 0] },
+            isLiked: { $gt: [{ $size: "$ownLike" }, 0] }
+        }
+    },
+    {
+        $project: {
+            ownLike: 0
+        }
+    }
+];
+
+
+// Drop documents whose `localField` user is suspended or banned (same rule
+// as sign-in), so their content leaves listings while the account is blocked.
+const excludeUnusableOwners = (localField = "owner") => [
+    {
+        $lookup: {
+            from: "users",
+            localField,
+            foreignField: "_id",
+            as: "usableOwner",
+            pipeline: [
+                { $match: usableAccountFilter() },
+                { $project: { _id: 1 } }
+            ]
+        }
+    },
+    { $match: { usableOwner: { $ne: [] } } },
+    { $project: { usableOwner: 0 } }
+];
+
+
+// What clients see of a caption track; the file itself is served by
+// GET /videos/:videoId/captions/:captionId
+const captionTrackFields = [
+    { $sort: { isDefault: -1, language: 1, kind: 1 } },
+    {
+        $project: {
+            language: 1,
+            label: 1,
+            kind: 1,
+            isDefault: 1,
+            cueCount: 1,
+            updatedAt: 1
+        }
+    }
+];
+
+// Embed a video's caption tracks as `captions`, the default one first
+const lookupCaptions = () => [
+    {
+        $lookup: {
+            from: "captions",
+            localField: "_id",
+            foreignField: "video",
+            as: "captions",
+            pipeline: captionTrackFields
+        }
+    }
+];
+
+
+export { lookupUserProfile, lookupLikes, excludeUnusableOwners, captionTrackFields, lookupCaptions };
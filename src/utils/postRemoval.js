@@ -0,0 +1,34 @@
+import { Post } from "../models/post.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Notification } from "../models/notification.model.js";
+import { deleteAsset } from "./storage/index.js";
+import { resolveReports } from "./reports.js";
+
+
+// -------------------------------
+// Delete a community post with everything that hangs off it
+// -------------------------------
+// The report queue passes the moderator's `resolution` for open reports.
+const removePost = async (post, resolution = { action: "deleted" }) => {
+    await Post.findByIdAndDelete(post._id);
+
+    // Comments and every like on the post or its comments go with it
+    const commentIds = await Comment.find({ post: post._id }).distinct("_id");
+    await Like.deleteMany({
+        $or: [
+            { targetType: "Post", target: post._id },
+            { targetType: "Comment", target: { $in: commentIds } }
+        ]
+    });
+    await Comment.deleteMany({ post: post._id });
+    await Notification.deleteMany({ post: post._id });
+
+    // Reports nobody got to yet are closed, not left pointing at nothing
+    await resolveReports("Post", [post._id], resolution);
+    await resolveReports("Comment", commentIds, resolution);
+
+    await deleteAsset(post.image);
+};
+
+export { removePost };
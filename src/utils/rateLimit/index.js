@@ -0,0 +1,38 @@
+import { createMemoryStore } from "./memory.store.js";
+import { createMongoStore } from "./mongo.store.js";
+
+
+// -------------------------------
+// Rate-limit counters
+// -------------------------------
+// Every store implements one method per strategy:
+//   fixedWindow(key, { limit, windowMs }) → { allowed, remaining, resetMs }
+//   tokenBucket(key, { limit, windowMs }) → { allowed, remaining, resetMs }
+// A token bucket holds `limit` tokens and refills `limit` per `windowMs`,
+// so it allows short bursts but evens out sustained traffic.
+
+const STORES = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+};
+
+const STRATEGIES = {
+    "fixed-window": "fixedWindow",
+    "token-bucket": "tokenBucket"
+};
+
+const instances = new Map();
+
+// Built lazily so env config is read after dotenv has run
+const getRateLimitStore = (name = process.env.RATE_LIMIT_STORE || "memory") => {
+    if (!STORES[name]) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+
+    if (!instances.has(name)) {
+        instances.set(name, STORES[name]());
+    }
+    return instances.get(name);
+};
+
+export { getRateLimitStore, STRATEGIES };
@@ -0,0 +1,62 @@
+// -------------------------------
+// In-memory store (single process)
+// -------------------------------
+// Counters vanish on restart and aren't shared between instances; use the
+// mongo store when running more than one node.
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    // Drop expired entries now and then so the map can't grow forever
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, 60_000);
+    sweep.unref();
+
+    return {
+        name: "memory",
+
+        async fixedWindow(key, { limit, windowMs }) {
+            const now = Date.now();
+            const windowStart = Math.floor(now / windowMs) * windowMs;
+            const entryKey = `${key}:${windowStart}`;
+
+            const entry = entries.get(entryKey) || { count: 0, expiresAt: windowStart + windowMs };
+            entry.count += 1;
+            entries.set(entryKey, entry);
+
+            return {
+                allowed: entry.count <= limit,
+                remaining: Math.max(limit - entry.count, 0),
+                resetMs: entry.expiresAt - now
+            };
+        },
+
+        async tokenBucket(key, { limit, windowMs }) {
+            const now = Date.now();
+            const rate = limit / windowMs;
+
+            const entry = entries.get(key) || { tokens: limit, refilledAt: now };
+            const tokens = Math.min(limit, entry.tokens + (now - entry.refilledAt) * rate);
+            const allowed = tokens >= 1;
+
+            entry.tokens = allowed ? tokens - 1 : tokens;
+            entry.refilledAt = now;
+            entry.expiresAt = now + windowMs;
+            entries.set(key, entry);
+
+            return {
+                allowed,
+                remaining: Math.floor(entry.tokens),
+                // Next token when empty, otherwise time until the bucket is full
+                resetMs: allowed
+                    ? Math.ceil((limit - entry.tokens) / rate)
+                    : Math.ceil((1 - entry.tokens) / rate)
+            };
+        }
+    };
+};
+
+export { createMemoryStore };
@@ -0,0 +1,77 @@
+import { RateLimit } from "../../models/rateLimit.model.js";
+
+
+// -------------------------------
+// MongoDB store (shared across instances)
+// -------------------------------
+// Each hit is a single atomic upsert, so concurrent requests on different
+// nodes can't both take the last slot.
+const createMongoStore = () => ({
+    name: "mongo",
+
+    async fixedWindow(key, { limit, windowMs }) {
+        const now = Date.now();
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+
+        const entry = await RateLimit.collection.findOneAndUpdate(
+            { key, windowStart },
+            {
+                $inc: { count: 1 },
+                $setOnInsert: { expiresAt: new Date(windowStart + windowMs) }
+            },
+            { upsert: true, returnDocument: "after" }
+        );
+
+        return {
+            allowed: entry.count <= limit,
+            remaining: Math.max(limit - entry.count, 0),
+            resetMs: windowStart + windowMs - now
+        };
+    },
+
+    async tokenBucket(key, { limit, windowMs }) {
+        const now = Date.now();
+        const rate = limit / windowMs;
+
+        // Refill, then take a token if one is available, in one pipeline update
+        const entry = await RateLimit.collection.findOneAndUpdate(
+            { key, windowStart: 0 },
+            [
+                {
+                    $set: {
+                        tokens: {
+                            $min: [
+                                limit,
+                                {
+                                    $add: [
+                                        { $ifNull: ["$tokens", limit] },
+                                        { $multiply: [{ $subtract: [now, { $ifNull: ["$refilledAt", now] }] }, rate] }
+                                    ]
+                                }
+                            ]
+                        }
+                    }
+                },
+                { $set: { allowed: { $gte: ["$tokens", 1] } } },
+                {
+                    $set: {
+                        tokens: { $cond: ["$allowed", { $subtract: ["$tokens", 1] }, "$tokens"] },
+                        refilledAt: now,
+                        expiresAt: new Date(now + windowMs)
+                    }
+                }
+            ],
+            { upsert: true, returnDocument: "after" }
+        );
+
+        return {
+            allowed: entry.allowed,
+            remaining: Math.floor(entry.tokens),
+            resetMs: entry.allowed
+                ? Math.ceil((limit - entry.tokens) / rate)
+                : Math.ceil((1 - entry.tokens) / rate)
+        };
+    }
+});
+
+export { createMongoStore };
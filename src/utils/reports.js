@@ -0,0 +1,135 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "./ApiError.js";
+import { Report } from "../models/report.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+
+
+// Read lazily so env config is read after dotenv has run
+const reportConfig = () => {
+    const threshold = Number(process.env.REPORT_AUTO_HIDE_THRESHOLD);
+
+    return {
+        // Open reports that hide a video, comment or post until a moderator
+        // reviews them; 0 turns auto-hiding off
+        autoHideThreshold: process.env.REPORT_AUTO_HIDE_THRESHOLD && Number.isInteger(threshold) && threshold >= 0
+            ? threshold
+            : 5
+    };
+};
+
+// Per target type: its model, who owns a document, whether it can be hidden
+// and what moderators see of it in the queue. Channels are never hidden;
+// their owner is suspended instead.
+const REPORT_TARGETS = {
+    Video: {
+        label: "Video",
+        model: Video,
+        ownerOf: (doc) => doc.owner,
+        hideable: true,
+        previewFields: "owner title thumbnail isPublished moderationLock hiddenAt createdAt"
+    },
+    Comment: {
+        label: "Comment",
+        model: Comment,
+        ownerOf: (doc) => doc.owner,
+        hideable: true,
+        previewFields: "owner content video post parent hiddenAt createdAt"
+    },
+    Post: {
+        label: "Post",
+        model: Post,
+        ownerOf: (doc) => doc.owner,
+        hideable: true,
+        previewFields: "owner content image hiddenAt createdAt"
+    },
+    User: {
+        label: "Channel",
+        model: User,
+        ownerOf: (doc) => doc._id,
+        hideable: false,
+        previewFields: "username fullName avatar role status createdAt"
+    }
+};
+
+
+// -------------------------------
+// Load what a report is about → { doc, owner }
+// -------------------------------
+const findReportTarget = async (targetType, targetId) => {
+    const { label, model, ownerOf, previewFields } = REPORT_TARGETS[targetType];
+
+    if (!isValidObjectId(targetId)) {
+        throw new ApiError(400, `Invalid ${label.toLowerCase()} id.`);
+    }
+
+    const doc = await model.findById(targetId).select(previewFields);
+
+    if (!doc) {
+        throw new ApiError(404, `${label} not found.`);
+    }
+
+    return { doc, owner: ownerOf(doc) };
+};
+
+
+// -------------------------------
+// Hide a target once its open reports reach the threshold → whether it was hidden now
+// -------------------------------
+// Only open reports count, so a dismissed case starts again from zero.
+const hideIfOverThreshold = async (targetType, targetId) => {
+    const { autoHideThreshold } = reportConfig();
+    const { model, hideable } = REPORT_TARGETS[targetType];
+
+    if (!hideable || !autoHideThreshold) return false;
+
+    const openReports = await Report.countDocuments({ targetType, target: targetId, status: "open" });
+    if (openReports < autoHideThreshold) return false;
+
+    const result = await model.updateOne(
+        { _id: targetId, hiddenAt: null },
+        { $set: { hiddenAt: new Date() } },
+        { timestamps: false }
+    );
+
+    return result.modifiedCount > 0;
+};
+
+const unhideTarget = (targetType, targetId) => {
+    const { model, hideable } = REPORT_TARGETS[targetType];
+
+    if (!hideable) return null;
+
+    return model.updateOne(
+        { _id: targetId },
+        { $unset: { hiddenAt: 1 } },
+        { timestamps: false }
+    );
+};
+
+
+// -------------------------------
+// Close every open report on the given targets → number of reports closed
+// -------------------------------
+// resolution: { action, note, by }
+const resolveReports = async (targetType, targetIds, resolution) => {
+    if (!targetIds.length) return 0;
+
+    const result = await Report.updateMany(
+        { targetType, target: { $in: targetIds }, status: "open" },
+        { $set: { status: "resolved", resolution: { ...resolution, at: new Date() } } }
+    );
+
+    return result.modifiedCount;
+};
+
+export {
+    reportConfig,
+    REPORT_TARGETS,
+    findReportTarget,
+    hideIfOverThreshold,
+    unhideTarget,
+    resolveReports
+};
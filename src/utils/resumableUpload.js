@@ -0,0 +1,282 @@
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { ApiError } from "./ApiError.js";
+import { Upload } from "../models/upload.model.js";
+
+
+const MB = 1024 * 1024;
+
+// Read lazily so env config is read after dotenv has run
+const uploadConfig = () => ({
+    dir: process.env.UPLOAD_DIR || "./tmp/uploads",
+    maxSize: (Number(process.env.UPLOAD_MAX_SIZE_MB) || 10 * 1024) * MB,
+    // Bytes a user may have in unfinished / unpublished uploads at once
+    userQuota: (Number(process.env.UPLOAD_USER_QUOTA_MB) || 20 * 1024) * MB,
+    maxActive: Number(process.env.UPLOAD_MAX_ACTIVE) || 5,
+    expiryMs: (Number(process.env.UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000
+});
+
+// A PATCH that holds the lock longer than this is assumed dead
+const LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+
+// -------------------------------
+// Upload-Metadata: "key base64value,key2 base64value2"
+// -------------------------------
+const parseMetadata = (header = "") => {
+    const metadata = {};
+
+    for (const pair of header.split(",")) {
+        const [key, value = ""] = pair.trim().split(" ");
+        if (!key) continue;
+
+        if (!/^[\w-]{1,64}$/.test(key) || !/^[A-Za-z0-9+/=]*$/.test(value)) {
+            throw new ApiError(400, "Malformed Upload-Metadata header.");
+        }
+        metadata[key] = Buffer.from(value, "base64").toString("utf8").slice(0, 1000);
+    }
+
+    return metadata;
+};
+
+const serializeMetadata = (metadata) =>
+    [...metadata.entries()]
+        .map(([key, value]) => `${key} ${Buffer.from(value).toString("base64")}`)
+        .join(",");
+
+// Keep the extension (the storage layer derives content types from it), nothing else
+const safeExtension = (filename = "") => {
+    const extension = path.extname(filename).toLowerCase();
+    return /^\.[a-z0-9]{1,5}$/.test(extension) ? extension : "";
+};
+
+
+// -------------------------------
+// Quota check → throws when the new upload doesn't fit
+// -------------------------------
+const assertUploadAllowed = async (userId, length) => {
+    const { maxSize, userQuota, maxActive } = uploadConfig();
+
+    if (length > maxSize) {
+        throw new ApiError(413, `Uploads can be at most ${Math.floor(maxSize / MB)} MB.`);
+    }
+
+    const [usage] = await Upload.aggregate([
+        { $match: { owner: userId, expiresAt: { $gt: new Date() } } },
+        { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: "$length" } } }
+    ]);
+
+    if ((usage?.count || 0) >= maxActive) {
+        throw new ApiError(429, `You can have at most ${maxActive} uploads in progress.`);
+    }
+
+    if ((usage?.bytes || 0) + length > userQuota) {
+        throw new ApiError(413, "Upload quota exceeded. Finish or cancel other uploads first.");
+    }
+};
+
+
+// -------------------------------
+// Create the upload and its empty temp file
+// -------------------------------
+const createUpload = async ({ id, owner, length, metadata }) => {
+    const { dir, expiryMs } = uploadConfig();
+    const filePath = path.join(dir, `${id}${safeExtension(metadata.filename)}`);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(filePath, "");
+
+    return Upload.create({
+        _id: id,
+        owner,
+        length,
+        metadata,
+        filePath,
+        status: length === 0 ? "completed" : "uploading",
+        expiresAt: new Date(Date.now() + expiryMs)
+    });
+};
+
+
+// -------------------------------
+// Lock the upload for one PATCH at `offset`
+// -------------------------------
+// Throws 404 / 409 (wrong offset, already complete) / 423 (another PATCH is writing).
+const lockUpload = async (id, owner, offset) => {
+    const upload = await Upload.findOneAndUpdate(
+        {
+            _id: id,
+            owner,
+            status: "uploading",
+            offset,
+            $or: [
+                { lockedAt: null },
+                { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        { $set: { lockedAt: new Date() } },
+        { new: true }
+    );
+
+    if (upload) return upload;
+
+    const existing = await Upload.findOne({ _id: id, owner });
+
+    if (!existing) {
+        throw new ApiError(404, "Upload not found.");
+    }
+    if (existing.status !== "uploading") {
+        throw new ApiError(409, "Upload is already complete.");
+    }
+    if (existing.offset !== offset) {
+        throw new ApiError(409, `Upload-Offset mismatch; the upload is at ${existing.offset}.`);
+    }
+    throw new ApiError(423, "Another request is writing to this upload.");
+};
+
+
+// -------------------------------
+// Append the request body at the locked offset → the updated upload
+// -------------------------------
+// Whatever reached the disk counts, even if the client disconnects halfway;
+// the client then resumes from the offset a HEAD reports. `error` is set
+// when the body overran the announced length or the connection broke.
+const appendChunk = async (upload, req) => {
+    const remaining = upload.length - upload.offset;
+    let received = 0;
+    let error = null;
+
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > remaining) {
+                return callback(new ApiError(413, "Request body exceeds the remaining upload length."));
+            }
+            callback(null, chunk);
+        }
+    });
+
+    // Drop anything past the offset a crashed write may have left behind
+    await fs.promises.truncate(upload.filePath, upload.offset);
+
+    // A declared overrun is refused before reading, while a response can still be sent
+    if (Number(req.get("Content-Length")) > remaining) {
+        error = new ApiError(413, "Request body exceeds the remaining upload length.");
+    } else {
+        try {
+            await pipeline(
+                req,
+                limit,
+                fs.createWriteStream(upload.filePath, { flags: "r+", start: upload.offset })
+            );
+        } catch (pipelineError) {
+            error = pipelineError;
+        }
+    }
+
+    const { size } = await fs.promises.stat(upload.filePath);
+    const offset = Math.min(size, upload.length);
+
+    const updated = await Upload.findByIdAndUpdate(
+        upload._id,
+        {
+            $set: {
+                offset,
+                status: offset === upload.length ? "completed" : "uploading",
+                lockedAt: null,
+                expiresAt: new Date(Date.now() + uploadConfig().expiryMs)
+            }
+        },
+        { new: true }
+    );
+
+    return { upload: updated, error };
+};
+
+
+// -------------------------------
+// Terminate: remove the document and the temp file
+// -------------------------------
+const removeUpload = async (upload) => {
+    await Upload.deleteOne({ _id: upload._id });
+    await fs.promises.rm(upload.filePath, { force: true });
+};
+
+
+// -------------------------------
+// Hand a finished upload to video publishing → the upload
+// -------------------------------
+// Claimed atomically, so one upload can't become two videos. Its filePath
+// is then treated like a multer temp file.
+const claimCompletedUpload = async (id, owner) => {
+    const upload = await Upload.findOneAndUpdate(
+        { _id: id, owner, status: "completed" },
+        { $set: { status: "publishing" } },
+        { new: true }
+    );
+
+    if (!upload) {
+        throw new ApiError(404, "Upload not found or not finished yet.");
+    }
+
+    return upload;
+};
+
+
+// -------------------------------
+// Delete temp files of expired uploads
+// -------------------------------
+// The TTL index drops the documents; files untouched for as long as an
+// upload lives are theirs (every PATCH touches the file and pushes expiresAt).
+const sweepExpiredUploads = async () => {
+    const { dir, expiryMs } = uploadConfig();
+    const cutoff = Date.now() - expiryMs;
+
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === "ENOENT") return 0;
+        throw error;
+    }
+
+    let removed = 0;
+    for (const name of names) {
+        const filePath = path.join(dir, name);
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+
+        if (stats?.isFile() && stats.mtimeMs < cutoff) {
+            await fs.promises.rm(filePath, { force: true });
+            removed += 1;
+        }
+    }
+
+    return removed;
+};
+
+// Runs on every API process, since each one keeps its own temp files
+const startUploadSweeper = () => {
+    const sweep = () =>
+        sweepExpiredUploads().catch((error) => console.log("UPLOAD SWEEP FAILED !!", error));
+
+    sweep();
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+};
+
+
+export {
+    uploadConfig,
+    parseMetadata,
+    serializeMetadata,
+    assertUploadAllowed,
+    createUpload,
+    lockUpload,
+    appendChunk,
+    removeUpload,
+    claimCompletedUpload,
+    sweepExpiredUploads,
+    startUploadSweeper
+};
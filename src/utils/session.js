@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./ApiError.js";
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+
+
+// Cookie options shared by every route that sets or clears auth cookies
+const cookieOptions = {
+    httpOnly: true,
+    secure: false,
+    sameSite: "lax"
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Short human label from the User-Agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = "") => {
+    const browser = [
+        ["Edge", /Edg\//],
+        ["Opera", /OPR\//],
+        ["Chrome", /Chrome\//],
+        ["Firefox", /Firefox\//],
+        ["Safari", /Safari\//]
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    const os = [
+        ["Android", /Android/],
+        ["iOS", /iPhone|iPad|iPod/],
+        ["Windows", /Windows/],
+        ["macOS", /Mac OS X/],
+        ["Linux", /Linux/]
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (!browser && !os) return "Unknown device";
+    return [browser || "Browser", os && `on ${os}`].filter(Boolean).join(" ");
+};
+
+const clientInfo = (req, device) => ({
+    device: device || req.body?.deviceName || describeDevice(req.get("user-agent")),
+    ip: req.ip,
+    userAgent: req.get("user-agent")
+});
+
+
+// Sign a refresh token for a family and store its hash
+const issueRefreshToken = async (user, family, req, device) => {
+    const refreshToken = user.generateRefreshToken(family);
+    const { exp } = jwt.decode(refreshToken);
+
+    await Session.create({
+        user: user._id,
+        family,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(exp * 1000),
+        ...clientInfo(req, device)
+    });
+
+    return refreshToken;
+};
+
+
+// Suspended / banned accounts can't sign in or refresh
+const assertAccountActive = (user) => {
+    const block = user.getAccessBlock();
+    if (block) {
+        throw new ApiError(403, block);
+    }
+};
+
+
+// -------------------------------
+// Generate Access & Refresh Tokens for a new login (new session family)
+// -------------------------------
+// `device` overrides the label, e.g. the one given at the password step of a 2FA login
+const generateAccessAndRefreshTokens = async (userId, req, { device } = {}) => {
+    try {
+        const user = await User.findById(userId);
+        const family = crypto.randomUUID();
+
+        const refreshToken = await issueRefreshToken(user, family, req, device);
+        const accessToken = user.generateAccessToken(family);
+
+        return { accessToken, refreshToken, sessionFamily: family };
+    } catch (error) {
+        throw new ApiError(500, "Something went wrong while generating tokens");
+    }
+};
+
+
+// -------------------------------
+// Revoke whole session families
+// -------------------------------
+const revokeSessions = (filter, reason) =>
+    Session.updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+
+// -------------------------------
+// Rotate a refresh token (with reuse detection)
+// -------------------------------
+// A refresh token may be exchanged exactly once. Presenting one that was
+// already rotated means it leaked: the whole family is revoked, logging out
+// both the attacker and the legitimate device.
+const rotateRefreshToken = async (incomingRefreshToken, req) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
+    } catch (error) {
+        throw new ApiError(401, "Invalid refresh token");
+    }
+
+    const tokenHash = hashToken(incomingRefreshToken);
+    const now = new Date();
+
+    // Atomically claim the live token of the family
+    const session = await Session.findOneAndUpdate(
+        { tokenHash, rotatedAt: null, revokedAt: null },
+        { $set: { rotatedAt: now, lastUsedAt: now } }
+    );
+
+    if (!session) {
+        const known = await Session.findOne({ tokenHash });
+
+        if (known && !known.revokedAt) {
+            await revokeSessions({ family: known.family }, "refresh_token_reuse");
+            throw new ApiError(401, "Refresh token reuse detected. Please log in again.");
+        }
+
+        throw new ApiError(401, "Expired or invalid refresh token");
+    }
+
+    const user = await User.findById(decoded._id);
+    if (!user || !session.user.equals(user._id)) {
+        throw new ApiError(401, "Invalid refresh token");
+    }
+
+    assertAccountActive(user);
+
+    // The device label sticks with the session; ip and user agent follow the client
+    const refreshToken = await issueRefreshToken(user, session.family, req, session.device);
+    const accessToken = user.generateAccessToken(session.family);
+
+    return { accessToken, refreshToken };
+};
+
+
+// -------------------------------
+// Active sessions of a user (one per family)
+// -------------------------------
+const listActiveSessions = (userId) =>
+    Session.find({
+        user: userId,
+        rotatedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .select("family device ip userAgent lastUsedAt createdAt")
+        .sort({ lastUsedAt: -1 });
+
+// Rotated tokens still count: a refresh in flight must not log the device out
+const isSessionActive = (family) =>
+    Session.exists({
+        family,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+
+
+export {
+    cookieOptions,
+    assertAccountActive,
+    generateAccessAndRefreshTokens,
+    rotateRefreshToken,
+    revokeSessions,
+    listActiveSessions,
+    isSessionActive
+};
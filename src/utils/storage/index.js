@@ -0,0 +1,232 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { ApiError } from "../ApiError.js";
+import { createLocalStorage } from "./local.storage.js";
+import { createS3Storage } from "./s3.storage.js";
+import { createCloudinaryStorage } from "./cloudinary.storage.js";
+
+
+// -------------------------------
+// Media storage
+// -------------------------------
+// Every adapter implements the same interface:
+//   upload(localFilePath, { key, contentType }) → { key, url, contentType, size }
+//   delete(asset)
+//   deletePrefix(prefix)                        → removes every key under prefix/
+//   getSignedUrl(asset, { expiresIn })          → url
+//   stat(asset)                                 → { size, lastModified, etag, contentType }
+//   createReadStream(asset, { start, end })     → Readable
+// Assets are the { provider, key, url, contentType, size } refs stored on
+// documents (see models/asset.schema.js).
+
+const ADAPTERS = {
+    local: createLocalStorage,
+    s3: createS3Storage,
+    cloudinary: createCloudinaryStorage
+};
+
+const CONTENT_TYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".avif": "image/avif",
+    ".svg": "image/svg+xml",
+    ".mp4": "video/mp4",
+    ".m4v": "video/mp4",
+    ".webm": "video/webm",
+    ".mov": "video/quicktime",
+    ".mkv": "video/x-matroska",
+    ".m3u8": "application/vnd.apple.mpegurl",
+    ".ts": "video/mp2t",
+    ".vtt": "text/vtt"
+};
+
+const instances = new Map();
+
+// Adapters are built lazily so env config is read after dotenv has run
+const getStorage = (provider = process.env.STORAGE_PROVIDER || "cloudinary") => {
+    if (!ADAPTERS[provider]) {
+        throw new Error(`Unknown storage provider: ${provider}`);
+    }
+
+    if (!instances.has(provider)) {
+        instances.set(provider, ADAPTERS[provider]());
+    }
+    return instances.get(provider);
+};
+
+const contentTypeFor = (filePath) =>
+    CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+
+
+// -------------------------------
+// Upload a local (temp) file; the temp file is always removed.
+// Pass `key` to choose the exact location (e.g. HLS segments that must sit
+// next to their playlist), otherwise a unique key is made under `folder`.
+// -------------------------------
+const uploadFile = async (localFilePath, { folder = "misc", key, contentType } = {}) => {
+    if (!localFilePath) return null;
+
+    try {
+        const storage = getStorage();
+        const extension = path.extname(localFilePath).toLowerCase();
+        key = key || `${folder}/${crypto.randomUUID()}${extension}`;
+
+        const result = await storage.upload(localFilePath, {
+            key,
+            contentType: contentType || contentTypeFor(localFilePath)
+        });
+
+        return { provider: storage.name, ...result };
+    } catch (error) {
+        console.log("STORAGE UPLOAD FAILED:", error);
+        return null;
+    } finally {
+        await fs.promises.rm(localFilePath, { force: true });
+    }
+};
+
+
+// -------------------------------
+// Upload an image's variants (see middlewares/multer.middleware.js) as one
+// asset: the largest variant, with every variant listed under `variants`.
+// All or nothing; the temp files are always removed.
+// -------------------------------
+const uploadImage = async (file, { folder = "misc" } = {}) => {
+    if (!file?.variants?.length) return null;
+
+    const base = `${folder}/${crypto.randomUUID()}`;
+
+    const uploaded = await Promise.all(file.variants.map((variant) =>
+        uploadFile(variant.path, { key: `${base}/${variant.name}.webp`, contentType: "image/webp" })
+    ));
+
+    if (uploaded.some((asset) => !asset)) {
+        await Promise.all(uploaded.map((asset) => deleteAsset(asset)));
+        return null;
+    }
+
+    return {
+        ...uploaded.at(-1),
+        variants: file.variants.map(({ name, width, height }, index) => ({
+            name,
+            width,
+            height,
+            key: uploaded[index].key,
+            url: uploaded[index].url,
+            size: uploaded[index].size
+        }))
+    };
+};
+
+
+// -------------------------------
+// Delete an asset (and its image variants) from whichever provider holds it
+// -------------------------------
+const deleteAsset = async (asset) => {
+    if (!asset?.provider || !asset?.key) return false;
+
+    try {
+        const storage = getStorage(asset.provider);
+        await storage.delete(asset);
+
+        // The main asset is one of the variants itself
+        for (const variant of asset.variants || []) {
+            if (variant.key !== asset.key) {
+                await storage.delete({
+                    provider: asset.provider,
+                    key: variant.key,
+                    url: variant.url,
+                    contentType: asset.contentType
+                });
+            }
+        }
+        return true;
+    } catch (error) {
+        console.log("STORAGE DELETE FAILED:", error);
+        return false;
+    }
+};
+
+// Delete everything stored under a key prefix (e.g. all HLS renditions of a video)
+const deleteAssetPrefix = async (provider, prefix) => {
+    if (!provider || !prefix) return false;
+
+    try {
+        await getStorage(provider).deletePrefix(prefix.replace(/\/+$/, ""));
+        return true;
+    } catch (error) {
+        console.log("STORAGE DELETE FAILED:", error);
+        return false;
+    }
+};
+
+const getSignedAssetUrl = (asset, options) =>
+    getStorage(asset.provider).getSignedUrl(asset, options);
+
+const statAsset = (asset) => getStorage(asset.provider).stat(asset);
+
+// Copy an asset to a local file (e.g. for a worker to process it)
+const downloadAsset = async (asset, destinationPath) => {
+    const stream = await getStorage(asset.provider).createReadStream(asset);
+    await pipeline(stream, fs.createWriteStream(destinationPath));
+    return destinationPath;
+};
+
+
+// -------------------------------
+// Storage key from URL path segments (already decoded by the router)
+// -------------------------------
+// 404 for anything but plain names, so "..", an encoded "/" and the like
+// can't step into another folder.
+const keyFromPath = (...segments) => {
+    const parts = segments.flat();
+
+    if (!parts.every((part) => /^[\w.-]+$/.test(part) && !/^\.+$/.test(part))) {
+        throw new ApiError(404, "Media not found.");
+    }
+    return parts.join("/");
+};
+
+
+// -------------------------------
+// Describe an asset's bytes for utils/httpRange.js
+// -------------------------------
+const getAssetSource = async (asset) => {
+    if (!asset?.provider || !asset?.key) {
+        throw new ApiError(404, "Media not found.");
+    }
+
+    const storage = getStorage(asset.provider);
+
+    let stats;
+    try {
+        stats = await storage.stat(asset);
+    } catch (error) {
+        throw new ApiError(404, "Media not found.");
+    }
+
+    return {
+        ...stats,
+        contentType: stats.contentType || contentTypeFor(asset.key),
+        createReadStream: (range) => storage.createReadStream(asset, range)
+    };
+};
+
+
+export {
+    getStorage,
+    uploadFile,
+    uploadImage,
+    deleteAsset,
+    deleteAssetPrefix,
+    getSignedAssetUrl,
+    statAsset,
+    downloadAsset,
+    keyFromPath,
+    getAssetSource
+};
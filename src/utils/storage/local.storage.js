@@ -0,0 +1,71 @@
+import fs from "fs";
+import path from "path";
+
+
+// -------------------------------
+// Local disk adapter
+// -------------------------------
+// Files live under LOCAL_STORAGE_ROOT, outside ./public: nothing is served
+// straight off the disk. routes/media.routes.js serves them at /media/<key>,
+// checking who may see a video's HLS files; source files and captions only
+// go out through their video's stream / caption routes.
+const createLocalStorage = () => {
+    const root = path.resolve(process.env.LOCAL_STORAGE_ROOT || "./storage/media");
+    const baseUrl = (process.env.LOCAL_STORAGE_PUBLIC_URL || "/media").replace(/\/+$/, "");
+
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+
+        // Never touch anything outside the storage root
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const urlFor = (key) =>
+        `${baseUrl}/${key.split("/").map(encodeURIComponent).join("/")}`;
+
+    return {
+        name: "local",
+
+        async upload(localFilePath, { key, contentType }) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.copyFile(localFilePath, filePath);
+
+            const { size } = await fs.promises.stat(filePath);
+            return { key, url: urlFor(key), contentType, size };
+        },
+
+        async delete(asset) {
+            await fs.promises.rm(resolveKey(asset.key), { force: true });
+        },
+
+        async deletePrefix(prefix) {
+            await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true });
+        },
+
+        // The /media routes do the checks, so the plain URL is it
+        async getSignedUrl(asset) {
+            return urlFor(asset.key);
+        },
+
+        async stat(asset) {
+            const stats = await fs.promises.stat(resolveKey(asset.key));
+            return {
+                size: stats.size,
+                lastModified: stats.mtime,
+                etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+                contentType: asset.contentType
+            };
+        },
+
+        async createReadStream(asset, { start, end } = {}) {
+            return fs.createReadStream(resolveKey(asset.key), { start, end });
+        }
+    };
+};
+
+
+export { createLocalStorage };
@@ -0,0 +1,134 @@
+import fs from "fs";
+import {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+
+// -------------------------------
+// S3-compatible adapter (AWS S3, MinIO, R2, ...)
+// -------------------------------
+const createS3Storage = () => {
+    const bucket = process.env.S3_BUCKET;
+    const region = process.env.S3_REGION || "us-east-1";
+    const endpoint = process.env.S3_ENDPOINT;
+
+    if (!bucket) {
+        throw new Error("S3_BUCKET is required for the s3 storage provider");
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        // MinIO and most self-hosted endpoints need path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            }
+            : undefined
+    });
+
+    const encodedKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+    const urlFor = (key) => {
+        if (process.env.S3_PUBLIC_URL) {
+            return `${process.env.S3_PUBLIC_URL.replace(/\/+$/, "")}/${encodedKey(key)}`;
+        }
+        if (endpoint) {
+            return `${endpoint.replace(/\/+$/, "")}/${bucket}/${encodedKey(key)}`;
+        }
+        return `https://${bucket}.s3.${region}.amazonaws.com/${encodedKey(key)}`;
+    };
+
+    return {
+        name: "s3",
+
+        async upload(localFilePath, { key, contentType }) {
+            const { size } = await fs.promises.stat(localFilePath);
+
+            // Multipart under the hood, so large videos don't sit in memory
+            await new Upload({
+                client,
+                params: {
+                    Bucket: bucket,
+                    Key: key,
+                    Body: fs.createReadStream(localFilePath),
+                    ContentType: contentType
+                }
+            }).done();
+
+            return { key, url: urlFor(key), contentType, size };
+        },
+
+        async delete(asset) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: asset.key }));
+        },
+
+        async deletePrefix(prefix) {
+            let ContinuationToken;
+
+            // ListObjectsV2 pages are at most 1000 keys, matching DeleteObjects' limit
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: `${prefix}/`,
+                    ContinuationToken
+                }));
+
+                if (page.Contents?.length) {
+                    await client.send(new DeleteObjectsCommand({
+                        Bucket: bucket,
+                        Delete: {
+                            Objects: page.Contents.map(({ Key }) => ({ Key })),
+                            Quiet: true
+                        }
+                    }));
+                }
+
+                ContinuationToken = page.NextContinuationToken;
+            } while (ContinuationToken);
+        },
+
+        async getSignedUrl(asset, { expiresIn = 3600 } = {}) {
+            return getSignedUrl(
+                client,
+                new GetObjectCommand({ Bucket: bucket, Key: asset.key }),
+                { expiresIn }
+            );
+        },
+
+        async stat(asset) {
+            const head = await client.send(
+                new HeadObjectCommand({ Bucket: bucket, Key: asset.key })
+            );
+            return {
+                size: head.ContentLength,
+                lastModified: head.LastModified,
+                etag: head.ETag,
+                contentType: head.ContentType || asset.contentType
+            };
+        },
+
+        async createReadStream(asset, { start, end } = {}) {
+            const object = await client.send(
+                new GetObjectCommand({
+                    Bucket: bucket,
+                    Key: asset.key,
+                    Range: start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined
+                })
+            );
+            return object.Body;
+        }
+    };
+};
+
+
+export { createS3Storage };
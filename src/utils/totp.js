@@ -0,0 +1,105 @@
+import crypto from "crypto";
+
+
+// -------------------------------
+// TOTP (RFC 6238) with the authenticator-app defaults:
+// HMAC-SHA1, 6 digits, 30 second steps, base32 secrets
+// -------------------------------
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = text.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 secret");
+
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, as recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP (RFC 4226) value for one time step
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const generateTotp = (secret, time = Date.now()) => codeForStep(secret, currentStep(time));
+
+// Accepts codes from `window` steps either side to absorb clock drift.
+// Returns the matching time step (callers store it to block replays) or null.
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+    if (!/^\d{6}$/.test(code || "")) return null;
+
+    const now = currentStep(time);
+    for (let step = now - window; step <= now + window; step++) {
+        const expected = codeForStep(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI understood by authenticator apps (usually shown as a QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+
+export {
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri
+};
@@ -0,0 +1,146 @@
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+
+// Adaptive bitrate ladder (video bitrate in kbit/s)
+const RENDITIONS = [
+    { name: "240p", height: 240, videoBitrate: 400, audioBitrate: 64 },
+    { name: "480p", height: 480, videoBitrate: 1000, audioBitrate: 96 },
+    { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 }
+];
+
+const SEGMENT_SECONDS = 6;
+
+
+// Run a binary and collect stdout; reject with the tail of stderr on failure
+const run = (command, args) => new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (chunk) => { stdout += chunk; });
+    child.stderr.on("data", (chunk) => { stderr = (stderr + chunk).slice(-4000); });
+
+    child.on("error", reject);
+    child.on("close", (code) => {
+        if (code === 0) return resolve(stdout);
+        reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim()}`));
+    });
+});
+
+
+// -------------------------------
+// Probe duration and dimensions
+// -------------------------------
+const probeVideo = async (inputPath) => {
+    const output = await run(FFPROBE_PATH, [
+        "-v", "error",
+        "-print_format", "json",
+        "-show_format",
+        "-show_streams",
+        inputPath
+    ]);
+
+    const { format = {}, streams = [] } = JSON.parse(output);
+    const video = streams.find((s) => s.codec_type === "video");
+
+    if (!video) {
+        throw new Error("Uploaded file has no video stream");
+    }
+
+    // Phones record portrait video as landscape + rotation metadata
+    const rotation = Math.abs(Number(
+        video.tags?.rotate
+        ?? video.side_data_list?.find((d) => d.rotation !== undefined)?.rotation
+        ?? 0
+    ));
+    const rotated = rotation === 90 || rotation === 270;
+
+    return {
+        duration: Number(format.duration) || Number(video.duration) || 0,
+        width: rotated ? video.height : video.width,
+        height: rotated ? video.width : video.height,
+        hasAudio: streams.some((s) => s.codec_type === "audio")
+    };
+};
+
+
+// Renditions worth producing for a source (never upscale, always keep the lowest)
+const pickRenditions = (sourceHeight) => {
+    const fitting = RENDITIONS.filter((r) => r.height <= sourceHeight);
+    return fitting.length ? fitting : [RENDITIONS[0]];
+};
+
+// Even width matching the source aspect ratio
+const scaledWidth = (source, height) =>
+    Math.round((source.width * height) / source.height / 2) * 2;
+
+
+// -------------------------------
+// Transcode to HLS renditions + master playlist
+// -------------------------------
+// Writes <outputDir>/<name>/index.m3u8 (+ segments) for each rendition and
+// <outputDir>/master.m3u8. Returns the rendition metadata.
+const transcodeToHls = async (inputPath, outputDir, probe) => {
+    const renditions = [];
+
+    for (const rendition of pickRenditions(probe.height)) {
+        const renditionDir = path.join(outputDir, rendition.name);
+        await fs.promises.mkdir(renditionDir, { recursive: true });
+
+        const audioArgs = probe.hasAudio
+            ? ["-c:a", "aac", "-b:a", `${rendition.audioBitrate}k`, "-ac", "2"]
+            : ["-an"];
+
+        await run(FFMPEG_PATH, [
+            "-y",
+            "-i", inputPath,
+            "-vf", `scale=-2:${rendition.height}`,
+            "-c:v", "libx264",
+            "-preset", "veryfast",
+            "-profile:v", "main",
+            "-pix_fmt", "yuv420p",
+            "-b:v", `${rendition.videoBitrate}k`,
+            "-maxrate", `${Math.round(rendition.videoBitrate * 1.07)}k`,
+            "-bufsize", `${rendition.videoBitrate * 2}k`,
+            // Fixed GOP so every rendition's segments line up for switching
+            "-force_key_frames", `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+            "-sc_threshold", "0",
+            ...audioArgs,
+            "-f", "hls",
+            "-hls_time", String(SEGMENT_SECONDS),
+            "-hls_playlist_type", "vod",
+            "-hls_segment_filename", path.join(renditionDir, "segment_%04d.ts"),
+            path.join(renditionDir, "index.m3u8")
+        ]);
+
+        renditions.push({
+            name: rendition.name,
+            width: scaledWidth(probe, rendition.height),
+            height: rendition.height,
+            bandwidth: (rendition.videoBitrate + (probe.hasAudio ? rendition.audioBitrate : 0)) * 1000
+        });
+    }
+
+    const codecs = probe.hasAudio ? "avc1.4d401f,mp4a.40.2" : "avc1.4d401f";
+    const master = [
+        "#EXTM3U",
+        "#EXT-X-VERSION:3",
+        ...renditions.flatMap((r) => [
+            `#EXT-X-STREAM-INF:BANDWIDTH=${r.bandwidth},RESOLUTION=${r.width}x${r.height},CODECS="${codecs}"`,
+            `${r.name}/index.m3u8`
+        ])
+    ].join("\n");
+
+    await fs.promises.writeFile(path.join(outputDir, "master.m3u8"), `${master}\n`);
+
+    return renditions;
+};
+
+
+export { probeVideo, transcodeToHls, RENDITIONS };
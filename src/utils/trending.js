@@ -0,0 +1,107 @@
+import { Video } from "../models/video.model.js";
+import { TrendingVideo } from "../models/trendingVideo.model.js";
+import { excludeUnusableOwners } from "./pipelines.js";
+
+
+// Only videos this recent can trend
+const windowDays = () => Number(process.env.TRENDING_WINDOW_DAYS) || 7;
+
+const TRENDING_SIZE = 500;
+
+// A like says more than a view, a comment more than a like
+const LIKE_WEIGHT = 5;
+const COMMENT_WEIGHT = 10;
+
+// How fast age pulls a video down: score = engagement / (hours + 2) ^ GRAVITY
+const GRAVITY = 1.5;
+
+
+// -------------------------------
+// Recompute the trending ranking
+// -------------------------------
+// Scores recent published videos by time-decayed engagement and swaps the
+// top ones into the trendingvideos collection in one go ($out replaces it
+// atomically), so readers never see a half-written ranking.
+const computeTrending = async () => {
+    const since = new Date(Date.now() - windowDays() * 24 * 60 * 60 * 1000);
+
+    await Video.aggregate([
+        {
+            $match: {
+                isPublished: true,
+                processingStatus: { $in: ["ready", null] },
+                hiddenAt: null,
+                createdAt: { $gte: since }
+            }
+        },
+        // Suspended and banned channels don't trend
+        ...excludeUnusableOwners("owner"),
+        {
+            $lookup: {
+                from: "likes",
+                localField: "_id",
+                foreignField: "target",
+                as: "likes",
+                pipeline: [
+                    { $match: { targetType: "Video" } },
+                    { $count: "count" }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "comments",
+                localField: "_id",
+                foreignField: "video",
+                as: "comments",
+                pipeline: [{ $count: "count" }]
+            }
+        },
+        {
+            $set: {
+                likes: { $ifNull: [{ $first: "$likes.count" }, 0] },
+                comments: { $ifNull: [{ $first: "$comments.count" }, 0] },
+                ageHours: { $divide: [{ $subtract: ["$$NOW", "$createdAt"] }, 60 * 60 * 1000] }
+            }
+        },
+        {
+            $set: {
+                score: {
+                    $divide: [
+                        {
+                            $add: [
+                                "$views",
+                                { $multiply: ["$likes", LIKE_WEIGHT] },
+                                { $multiply: ["$comments", COMMENT_WEIGHT] }
+                            ]
+                        },
+                        { $pow: [{ $add: ["$ageHours", 2] }, GRAVITY] }
+                    ]
+                }
+            }
+        },
+        { $sort: { score: -1, _id: 1 } },
+        { $limit: TRENDING_SIZE },
+        {
+            $setWindowFields: {
+                sortBy: { score: -1, _id: 1 },
+                output: { rank: { $documentNumber: {} } }
+            }
+        },
+        {
+            $project: {
+                owner: 1,
+                rank: 1,
+                score: 1,
+                views: 1,
+                likes: 1,
+                comments: 1,
+                publishedAt: "$createdAt",
+                computedAt: "$$NOW"
+            }
+        },
+        { $out: TrendingVideo.collection.collectionName }
+    ]).allowDiskUse(true);
+};
+
+export { computeTrending };
@@ -0,0 +1,133 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./ApiError.js";
+import { User } from "../models/user.model.js";
+import { verifyTotp } from "./totp.js";
+import { cookieOptions } from "./session.js";
+
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_AUDIENCE = "2fa-challenge";
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// An OAuth login hands the challenge over in this cookie rather than the
+// redirect URL, so it never lands in history, logs or Referer headers.
+// Only POST /users/login/2fa gets it.
+const CHALLENGE_COOKIE = "loginChallenge";
+const challengeCookieOptions = {
+    ...cookieOptions,
+    path: "/users/login/2fa",
+    maxAge: CHALLENGE_TTL_SECONDS * 1000
+};
+
+const hashCode = (code) => crypto.createHash("sha256").update(code).digest("hex");
+
+// Recovery codes are typed by hand: ignore case, spaces and dashes
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[\s-]/g, "");
+
+
+// -------------------------------
+// Recovery codes → { codes (show once), hashed (store) }
+// -------------------------------
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    const hashed = codes.map((code) => ({
+        hash: hashCode(normalizeRecoveryCode(code)),
+        usedAt: null
+    }));
+
+    return { codes, hashed };
+};
+
+
+// -------------------------------
+// Check a TOTP or recovery code → "totp" | "recovery" | null
+// -------------------------------
+// Both paths update the user atomically, so the same code can't be
+// accepted twice even by concurrent requests.
+const verifySecondFactor = async (userId, code, { allowRecovery = true } = {}) => {
+    if (!code) return null;
+
+    const user = await User.findById(userId).select("+twoFactor.secret +twoFactor.lastUsedStep");
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step !== null) {
+        const { modifiedCount } = await User.updateOne(
+            {
+                _id: userId,
+                $or: [
+                    { "twoFactor.lastUsedStep": { $lt: step } },
+                    { "twoFactor.lastUsedStep": null }
+                ]
+            },
+            { $set: { "twoFactor.lastUsedStep": step } }
+        );
+        return modifiedCount ? "totp" : null;
+    }
+
+    if (!allowRecovery) return null;
+
+    const { modifiedCount } = await User.updateOne(
+        {
+            _id: userId,
+            "twoFactor.recoveryCodes": {
+                $elemMatch: { hash: hashCode(normalizeRecoveryCode(code)), usedAt: null }
+            }
+        },
+        { $set: { "twoFactor.recoveryCodes.$.usedAt": new Date() } }
+    );
+    return modifiedCount ? "recovery" : null;
+};
+
+
+// -------------------------------
+// Sensitive actions need a fresh code when 2FA is on
+// -------------------------------
+const assertFreshTwoFactor = async (user, code) => {
+    if (!user.twoFactor?.enabled) return;
+
+    if (!code) {
+        throw new ApiError(403, "Two-factor code is required for this action.");
+    }
+
+    if (!(await verifySecondFactor(user._id, code))) {
+        throw new ApiError(401, "Invalid two-factor code.");
+    }
+};
+
+
+// -------------------------------
+// Login challenge (password OK, second factor pending)
+// -------------------------------
+const createLoginChallenge = (user, { device } = {}) =>
+    jwt.sign(
+        { _id: user._id, device },
+        process.env.ACCESS_TOKEN_SECRET,
+        { expiresIn: CHALLENGE_TTL_SECONDS, audience: CHALLENGE_AUDIENCE }
+    );
+
+const verifyLoginChallenge = (challengeToken) => {
+    try {
+        return jwt.verify(challengeToken, process.env.ACCESS_TOKEN_SECRET, {
+            audience: CHALLENGE_AUDIENCE
+        });
+    } catch (error) {
+        throw new ApiError(401, "Login challenge expired. Please log in again.");
+    }
+};
+
+
+export {
+    CHALLENGE_COOKIE,
+    challengeCookieOptions,
+    generateRecoveryCodes,
+    verifySecondFactor,
+    assertFreshTwoFactor,
+    createLoginChallenge,
+    verifyLoginChallenge
+};
@@ -0,0 +1,254 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { ApiError } from "./ApiError.js";
+import { uploadConfig } from "./resumableUpload.js";
+
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ["jpeg", "png", "webp", "gif"];
+const VIDEO_TYPES = ["mp4", "mov", "webm", "mkv"];
+const CAPTION_TYPES = ["vtt", "srt"];
+
+const FILE_TYPES = {
+    jpeg: { extension: ".jpg", mime: "image/jpeg" },
+    png: { extension: ".png", mime: "image/png" },
+    webp: { extension: ".webp", mime: "image/webp" },
+    gif: { extension: ".gif", mime: "image/gif" },
+    mp4: { extension: ".mp4", mime: "video/mp4" },
+    mov: { extension: ".mov", mime: "video/quicktime" },
+    webm: { extension: ".webm", mime: "video/webm" },
+    mkv: { extension: ".mkv", mime: "video/x-matroska" },
+    vtt: { extension: ".vtt", mime: "text/vtt" },
+    srt: { extension: ".srt", mime: "application/x-subrip" }
+};
+
+
+// -------------------------------
+// Per-field upload policies
+// -------------------------------
+// Images are re-encoded into every variant (fit "cover" crops to the exact
+// size, "inside" keeps the aspect ratio); the last variant is the main asset.
+// Video dimensions are left to the transcoding worker, which probes them;
+// caption files are parsed cue by cue by utils/captions.js.
+const UPLOAD_POLICIES = {
+    avatar: {
+        label: "Avatar",
+        types: IMAGE_TYPES,
+        maxBytes: () => 5 * MB,
+        maxDimension: 4096,
+        variants: [
+            { name: "small", width: 48, height: 48, fit: "cover" },
+            { name: "medium", width: 176, height: 176, fit: "cover" },
+            { name: "large", width: 800, height: 800, fit: "cover" }
+        ]
+    },
+    coverImage: {
+        label: "Cover image",
+        types: IMAGE_TYPES,
+        maxBytes: () => 10 * MB,
+        maxDimension: 8192,
+        variants: [
+            { name: "small", width: 640, height: 640, fit: "inside" },
+            { name: "medium", width: 1280, height: 1280, fit: "inside" },
+            { name: "large", width: 2560, height: 2560, fit: "inside" }
+        ]
+    },
+    thumbnail: {
+        label: "Thumbnail",
+        types: IMAGE_TYPES,
+        maxBytes: () => 5 * MB,
+        maxDimension: 4096,
+        variants: [
+            { name: "small", width: 320, height: 180, fit: "cover" },
+            { name: "medium", width: 640, height: 360, fit: "cover" },
+            { name: "large", width: 1280, height: 720, fit: "cover" }
+        ]
+    },
+    // Community post image
+    image: {
+        label: "Image",
+        types: IMAGE_TYPES,
+        maxBytes: () => 10 * MB,
+        maxDimension: 8192,
+        variants: [
+            { name: "small", width: 400, height: 400, fit: "inside" },
+            { name: "medium", width: 800, height: 800, fit: "inside" },
+            { name: "large", width: 1600, height: 1600, fit: "inside" }
+        ]
+    },
+    videoFile: {
+        label: "Video file",
+        types: VIDEO_TYPES,
+        maxBytes: () => uploadConfig().maxSize
+    },
+    captionFile: {
+        label: "Caption file",
+        types: CAPTION_TYPES,
+        maxBytes: () => 2 * MB
+    }
+};
+
+const WEBP_QUALITY = 82;
+
+const getUploadPolicy = (field) => {
+    const policy = UPLOAD_POLICIES[field];
+
+    if (!policy) {
+        throw new ApiError(400, `Unexpected file field: ${field}.`);
+    }
+    return policy;
+};
+
+const formatMegabytes = (bytes) => `${Math.floor(bytes / MB)} MB`;
+
+
+// -------------------------------
+// Detect a file's type from its first bytes → one of FILE_TYPES, or null
+// -------------------------------
+// The client's filename and Content-Type are never trusted.
+const sniffFileType = async (filePath) => {
+    const handle = await fs.promises.open(filePath, "r");
+    let header;
+    try {
+        const buffer = Buffer.alloc(64);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        header = buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    const ascii = (start, end) => header.toString("latin1", start, end);
+
+    if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return "jpeg";
+    if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "png";
+    if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "gif";
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+
+    // ISO base media (MP4 / QuickTime): "ftyp" box first, then the brand
+    if (ascii(4, 8) === "ftyp") {
+        const brand = ascii(8, 12);
+        if (brand === "qt  ") return "mov";
+        // Still images (AVIF / HEIF) share the container
+        if (["avif", "avis", "heic", "heix", "mif1", "msf1"].includes(brand)) return null;
+        return "mp4";
+    }
+
+    // EBML header; the DocType tells WebM from other Matroska files
+    if (header.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))) {
+        return header.includes("webm", 0, "latin1") ? "webm" : "mkv";
+    }
+
+    // Text tracks: WebVTT has a signature, SRT opens with a cue number or timing
+    const text = header.toString("utf8").replace(/^\uFEFF/, "");
+    if (/^WEBVTT(?:[ \t\r\n]|$)/.test(text)) return "vtt";
+    if (/^\s*(?:\d+[ \t]*\r?\n)?(?:\d+:)?\d{2}:\d{2}[,.]\d{3}/.test(text)) return "srt";
+
+    return null;
+};
+
+
+// -------------------------------
+// Check a temp file against its field's policy → { type, extension, mime, width, height }
+// -------------------------------
+// 413 when it's too large, 400 when its content isn't an allowed type or
+// the image is too large in pixels (or can't be decoded at all).
+const inspectFile = async (filePath, field) => {
+    const policy = getUploadPolicy(field);
+    const { size } = await fs.promises.stat(filePath);
+
+    if (size > policy.maxBytes()) {
+        throw new ApiError(413, `${policy.label} can be at most ${formatMegabytes(policy.maxBytes())}.`);
+    }
+
+    const type = await sniffFileType(filePath);
+
+    if (!policy.types.includes(type)) {
+        throw new ApiError(
+            400,
+            `${policy.label} must be one of: ${policy.types.join(", ")}.`
+        );
+    }
+
+    const details = { type, ...FILE_TYPES[type] };
+
+    if (!IMAGE_TYPES.includes(type)) return details;
+
+    let metadata;
+    try {
+        metadata = await sharp(filePath).metadata();
+    } catch (error) {
+        throw new ApiError(400, `${policy.label} could not be read as an image.`);
+    }
+
+    if (metadata.width > policy.maxDimension || metadata.height > policy.maxDimension) {
+        throw new ApiError(
+            400,
+            `${policy.label} can be at most ${policy.maxDimension}×${policy.maxDimension} pixels.`
+        );
+    }
+
+    return { ...details, width: metadata.width, height: metadata.height };
+};
+
+
+// Where a variant of a temp file is written (next to it)
+const variantPath = (filePath, name) =>
+    path.join(path.dirname(filePath), `${path.parse(filePath).name}-${name}.webp`);
+
+const variantPaths = (filePath, field) =>
+    (UPLOAD_POLICIES[field]?.variants || []).map(({ name }) => variantPath(filePath, name));
+
+
+// -------------------------------
+// Re-encode an image into its field's variants → [{ name, width, height, path }]
+// -------------------------------
+// Re-encoding drops EXIF (GPS, camera, ...) and every other metadata block;
+// the EXIF orientation is applied first so nothing ends up sideways.
+const createImageVariants = async (filePath, field) => {
+    const policy = getUploadPolicy(field);
+    const limitInputPixels = policy.maxDimension * policy.maxDimension;
+
+    try {
+        return await Promise.all(policy.variants.map(async ({ name, width, height, fit }) => {
+            const outputPath = variantPath(filePath, name);
+
+            const info = await sharp(filePath, { limitInputPixels })
+                .rotate()
+                .resize({ width, height, fit, withoutEnlargement: fit === "inside" })
+                .webp({ quality: WEBP_QUALITY })
+                .toFile(outputPath);
+
+            return { name, width: info.width, height: info.height, path: outputPath };
+        }));
+    } catch (error) {
+        throw new ApiError(400, `${policy.label} could not be read as an image.`);
+    }
+};
+
+
+// Give a temp file the extension of its detected type (storage derives the
+// content type from it) → the new path
+const renameToExtension = async (filePath, extension) => {
+    if (path.extname(filePath).toLowerCase() === extension) return filePath;
+
+    const renamed = path.join(path.dirname(filePath), `${path.parse(filePath).name}${extension}`);
+    await fs.promises.rename(filePath, renamed);
+    return renamed;
+};
+
+const removeTempFiles = (filePaths) =>
+    Promise.all(filePaths.map((filePath) => fs.promises.rm(filePath, { force: true })));
+
+
+export {
+    UPLOAD_POLICIES,
+    getUploadPolicy,
+    sniffFileType,
+    inspectFile,
+    createImageVariants,
+    variantPaths,
+    renameToExtension,
+    removeTempFiles
+};
@@ -0,0 +1,46 @@
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { Notification } from "../models/notification.model.js";
+import { Caption } from "../models/caption.model.js";
+import { deleteAsset, deleteAssetPrefix } from "./storage/index.js";
+import { resolveReports } from "./reports.js";
+
+
+// -------------------------------
+// Delete a video with everything that hangs off it
+// -------------------------------
+// Used by the owner's delete and the admin API.
+const removeVideo = async (video) => {
+    await Video.findByIdAndDelete(video._id);
+
+    // Comments and every like on the video or its comments go with it
+    const commentIds = await Comment.find({ video: video._id }).distinct("_id");
+    await Like.deleteMany({
+        $or: [
+            { targetType: "Video", target: video._id },
+            { targetType: "Comment", target: { $in: commentIds } }
+        ]
+    });
+    await Comment.deleteMany({ video: video._id });
+    await Playlist.updateMany({ videos: video._id }, { $pull: { videos: video._id } });
+    await WatchHistory.deleteMany({ video: video._id });
+    await Notification.deleteMany({ video: video._id });
+    await resolveReports("Video", [video._id], { action: "deleted" });
+    await resolveReports("Comment", commentIds, { action: "deleted" });
+
+    const captions = await Caption.find({ video: video._id }).select("file");
+    await Caption.deleteMany({ video: video._id });
+
+    // Clean up remote assets
+    for (const caption of captions) {
+        await deleteAsset(caption.file);
+    }
+    await deleteAsset(video.videoFile);
+    await deleteAsset(video.thumbnail);
+    await deleteAssetPrefix(video.hls?.provider, video.hls?.prefix);
+};
+
+export { removeVideo };
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import { Video } from "../models/video.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { bumpVideoStats } from "./analytics.js";
+
+
+const dedupWindowMs = () =>
+    (Number(process.env.VIEW_DEDUP_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+const currentWindowStart = () => {
+    const windowMs = dedupWindowMs();
+    return new Date(Math.floor(Date.now() / windowMs) * windowMs);
+};
+
+
+// -------------------------------
+// Who is watching: the signed-in user, or an anonymous IP + User-Agent hash
+// -------------------------------
+// The anonymous key is always derived on the server: a client-held id (e.g.
+// a cookie) could be swapped on every request to dodge the dedup.
+const resolveViewer = (req) => {
+    if (req.user) {
+        return { viewer: req.user._id, viewerKey: `user:${req.user._id}` };
+    }
+
+    const viewerId = crypto
+        .createHash("sha256")
+        .update(`${req.ip}|${req.get("user-agent") || ""}`)
+        .digest("hex")
+        .slice(0, 32);
+
+    return { viewer: null, viewerKey: `anon:${viewerId}` };
+};
+
+
+// -------------------------------
+// Count a view once per viewer per window → true if it was counted
+// -------------------------------
+const countView = async (video, req) => {
+    const { viewer, viewerKey } = resolveViewer(req);
+    const windowStart = currentWindowStart();
+
+    try {
+        await VideoView.create({ video: video._id, owner: video.owner, viewer, viewerKey, windowStart });
+    } catch (error) {
+        // Already counted in this window
+        if (error?.code === 11000) return false;
+        throw error;
+    }
+
+    await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+    await bumpVideoStats(video, { views: 1 });
+    return true;
+};
+
+
+// -------------------------------
+// Watch time of the viewer's current view
+// -------------------------------
+// Players report their playback position. The view is credited with how far
+// playback moved since the previous report, but never more than the real
+// time that passed, so seeking ahead or replaying reports can't inflate watch
+// time; going backwards credits nothing. Does nothing until the view was counted.
+const recordWatchTime = async (video, req, seconds) => {
+    const { viewerKey } = resolveViewer(req);
+    const position = video.duration ? Math.min(seconds, video.duration) : seconds;
+
+    const view = await VideoView.findOne({ video: video._id, viewerKey, windowStart: currentWindowStart() });
+    if (!view) return;
+
+    const now = new Date();
+    const elapsedSeconds = (now - (view.lastReportedAt || view.createdAt)) / 1000;
+    const credited = Math.max(0, Math.min(position - (view.lastPosition || 0), elapsedSeconds));
+
+    // Only applies if no other report landed in between, so no stretch is credited twice
+    const result = await VideoView.updateOne(
+        { _id: view._id, lastReportedAt: view.lastReportedAt || null },
+        {
+            $inc: { watchedSeconds: credited },
+            $set: { lastPosition: position, lastReportedAt: now }
+        }
+    );
+
+    if (!result.matchedCount || !credited) return;
+
+    await bumpVideoStats(
+        { _id: view.video, owner: view.owner },
+        { watchedSeconds: credited },
+        view.createdAt
+    );
+};
+
+export { countView, recordWatchTime };
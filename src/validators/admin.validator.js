@@ -0,0 +1,142 @@
+import {
+    z,
+    requiredString,
+    optionalString,
+    objectId,
+    oneOf,
+    integer,
+    boolean,
+    date,
+    pagination,
+    idParams
+} from "./common.validator.js";
+import { ROLES, ACCOUNT_STATUSES, REPORT_TARGET_TYPES, REPORT_REASONS } from "../constants.js";
+
+
+const userIdParams = idParams("userId");
+const videoIdParams = idParams("videoId");
+
+const reportCaseParams = z.object({
+    targetType: oneOf("targetType", REPORT_TARGET_TYPES),
+    targetId: objectId("targetId")
+});
+
+// Omit for an open-ended suspension
+const suspendUntil = date("until")
+    .refine((value) => value > new Date(), "until must be in the future")
+    .optional();
+
+const listUsersSchema = {
+    query: z.object({
+        ...pagination,
+        q: optionalString("q", { max: 100 }),
+        role: oneOf("role", ROLES).optional(),
+        status: oneOf("status", ACCOUNT_STATUSES).optional()
+    })
+};
+
+const userIdSchema = {
+    params: userIdParams
+};
+
+const suspendUserSchema = {
+    params: userIdParams,
+    body: z.object({
+        reason: requiredString("reason", { max: 500 }),
+        until: suspendUntil
+    })
+};
+
+const banUserSchema = {
+    params: userIdParams,
+    body: z.object({
+        reason: requiredString("reason", { max: 500 })
+    })
+};
+
+const updateRoleSchema = {
+    params: userIdParams,
+    body: z.object({
+        role: oneOf("role", ROLES)
+    })
+};
+
+const videoModerationSchema = {
+    params: videoIdParams,
+    body: z.object({
+        reason: requiredString("reason", { max: 500 })
+    })
+};
+
+const videoIdSchema = {
+    params: videoIdParams
+};
+
+const reportQueueSchema = {
+    query: z.object({
+        ...pagination,
+        targetType: oneOf("targetType", REPORT_TARGET_TYPES).optional(),
+        reason: oneOf("reason", REPORT_REASONS).optional()
+    })
+};
+
+const reportCaseSchema = {
+    params: reportCaseParams,
+    query: z.object({
+        ...pagination,
+        status: oneOf("status", ["open", "resolved"]).optional()
+    })
+};
+
+const dismissReportsSchema = {
+    params: reportCaseParams,
+    body: z.object({
+        note: optionalString("note", { max: 500 })
+    })
+};
+
+const removeReportedContentSchema = {
+    params: reportCaseParams,
+    body: z.object({
+        reason: requiredString("reason", { max: 500 })
+    })
+};
+
+const suspendReportedOwnerSchema = {
+    params: reportCaseParams,
+    body: z.object({
+        reason: requiredString("reason", { max: 500 }),
+        until: suspendUntil,
+        // Also take the reported video / comment / post down
+        removeContent: boolean("removeContent").optional()
+    })
+};
+
+const auditLogsSchema = {
+    query: z.object({
+        page: pagination.page,
+        limit: integer("limit", { min: 1, max: 100 }).optional(),
+        actor: objectId("actor").optional(),
+        target: objectId("target").optional(),
+        action: optionalString("action", { max: 100 }),
+        from: date("from").optional(),
+        to: date("to").optional()
+    })
+};
+
+
+export {
+    listUsersSchema,
+    userIdSchema,
+    suspendUserSchema,
+    banUserSchema,
+    updateRoleSchema,
+    videoModerationSchema,
+    videoIdSchema,
+    reportQueueSchema,
+    reportCaseSchema,
+    dismissReportsSchema,
+    removeReportedContentSchema,
+    suspendReportedOwnerSchema,
+    auditLogsSchema
+};
@@ -0,0 +1,70 @@
+import {
+    z,
+    optionalString,
+    oneOf,
+    boolean,
+    idParams
+} from "./common.validator.js";
+
+
+const CAPTION_KINDS = ["subtitles", "captions"];
+
+const isLanguageTag = (value) => {
+    try {
+        return Intl.getCanonicalLocales(value).length === 1;
+    } catch (error) {
+        return false;
+    }
+};
+
+// BCP 47 tag, stored in canonical case ("PT-br" → "pt-BR")
+const languageTag = (field) =>
+    z
+        .string({
+            error: (issue) => (issue.input === undefined ? `${field} is required` : `${field} must be a string`)
+        })
+        .trim()
+        .max(35, `${field} must be at most 35 characters`)
+        .refine(isLanguageTag, `${field} must be a language tag such as "en" or "pt-BR"`)
+        .transform((value) => Intl.getCanonicalLocales(value)[0]);
+
+const trackFields = {
+    label: optionalString("label", { max: 100 }),
+    kind: oneOf("kind", CAPTION_KINDS).optional(),
+    isDefault: boolean("isDefault").optional()
+};
+
+
+const listCaptionsSchema = {
+    params: idParams("videoId")
+};
+
+// Multipart: captionFile (.srt / .vtt) plus the track details
+const addCaptionSchema = {
+    params: idParams("videoId"),
+    body: z.object({
+        language: languageTag("language"),
+        ...trackFields
+    })
+};
+
+// Multipart or JSON; a new captionFile replaces the track's cues
+const updateCaptionSchema = {
+    params: idParams("videoId", "captionId"),
+    body: z.object({
+        language: languageTag("language").optional(),
+        ...trackFields
+    })
+};
+
+const captionIdSchema = {
+    params: idParams("videoId", "captionId")
+};
+
+
+export {
+    listCaptionsSchema,
+    addCaptionSchema,
+    updateCaptionSchema,
+    captionIdSchema
+};
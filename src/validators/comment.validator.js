@@ -0,0 +1,61 @@
+import {
+    z,
+    requiredString,
+    objectId,
+    paginationQuery,
+    idParams
+} from "./common.validator.js";
+
+
+const content = requiredString("content", { max: 5000 });
+
+const videoCommentsSchema = {
+    params: idParams("videoId"),
+    query: paginationQuery
+};
+
+const addCommentSchema = {
+    params: idParams("videoId"),
+    body: z.object({
+        content,
+        parentId: objectId("parentId").optional()
+    })
+};
+
+const postCommentsSchema = {
+    params: idParams("postId"),
+    query: paginationQuery
+};
+
+const addPostCommentSchema = {
+    params: idParams("postId"),
+    body: z.object({
+        content,
+        parentId: objectId("parentId").optional()
+    })
+};
+
+const updateCommentSchema = {
+    params: idParams("commentId"),
+    body: z.object({ content })
+};
+
+const commentRepliesSchema = {
+    params: idParams("commentId"),
+    query: paginationQuery
+};
+
+const commentIdSchema = {
+    params: idParams("commentId")
+};
+
+
+export {
+    videoCommentsSchema,
+    addCommentSchema,
+    postCommentsSchema,
+    addPostCommentSchema,
+    updateCommentSchema,
+    commentRepliesSchema,
+    commentIdSchema
+};
@@ -0,0 +1,100 @@
+import { z } from "zod";
+
+
+// -------------------------------
+// Building blocks shared by every route schema
+// -------------------------------
+
+// Message for a missing field vs. a field of the wrong type
+const typeError = (field, type) => (issue) =>
+    issue.input === undefined ? `${field} is required` : `${field} must be a ${type}`;
+
+// Trimmed, non-empty string
+const requiredString = (field, { max = 1000 } = {}) =>
+    z
+        .string({ error: typeError(field, "string") })
+        .trim()
+        .min(1, `${field} cannot be empty`)
+        .max(max, `${field} must be at most ${max} characters`);
+
+const optionalString = (field, options) => requiredString(field, options).optional();
+
+const objectId = (field) =>
+    z
+        .string({ error: typeError(field, "string") })
+        .regex(/^[a-f\d]{24}$/i, `${field} must be a valid id`);
+
+const email = (field = "email") =>
+    z
+        .string({ error: typeError(field, "string") })
+        .trim()
+        .toLowerCase()
+        .pipe(z.email(`${field} must be a valid email address`));
+
+const password = (field = "password") =>
+    z
+        .string({ error: typeError(field, "string") })
+        .min(8, `${field} must be at least 8 characters`)
+        .max(128, `${field} must be at most 128 characters`);
+
+const oneOf = (field, values) =>
+    z.enum(values, { error: `${field} must be one of: ${values.join(", ")}` });
+
+// Query-string integer (query values always arrive as strings)
+const integer = (field, { min, max } = {}) => {
+    let schema = z.coerce
+        .number({ error: `${field} must be a number` })
+        .int(`${field} must be an integer`);
+    if (min !== undefined) schema = schema.min(min, `${field} must be at least ${min}`);
+    if (max !== undefined) schema = schema.max(max, `${field} must be at most ${max}`);
+    return schema;
+};
+
+// true / false, also as the strings multipart fields arrive as
+const boolean = (field) =>
+    z.union(
+        [z.boolean(), z.enum(["true", "false"]).transform((value) => value === "true")],
+        { error: `${field} must be true or false` }
+    );
+
+const pagination = {
+    page: integer("page", { min: 1 }).optional(),
+    limit: integer("limit", { min: 1, max: 50 }).optional()
+};
+
+const paginationQuery = z.object(pagination);
+
+// `{ <name>: objectId }` params object
+const idParams = (...names) =>
+    z.object(Object.fromEntries(names.map((name) => [name, objectId(name)])));
+
+// Any string Date understands, e.g. "2025-01-31"
+const date = (field) =>
+    z.coerce.date({ error: `${field} must be a valid date` });
+
+const emptyObject = z.object({});
+
+// Routes that take no input still declare it, so stray fields are dropped
+const noInputSchema = {
+    body: emptyObject,
+    query: emptyObject
+};
+
+
+export {
+    z,
+    requiredString,
+    optionalString,
+    objectId,
+    email,
+    password,
+    oneOf,
+    integer,
+    boolean,
+    date,
+    pagination,
+    paginationQuery,
+    idParams,
+    emptyObject,
+    noInputSchema
+};
@@ -0,0 +1,47 @@
+import {
+    z,
+    oneOf,
+    date,
+    pagination
+} from "./common.validator.js";
+
+
+const MAX_RANGE_DAYS = 5 * 366;
+
+// from / to are whole UTC days, both inclusive; defaults are applied in the controller
+const range = {
+    from: date("from").optional(),
+    to: date("to").optional()
+};
+
+const checkRange = (schema) =>
+    schema
+        .refine(
+            ({ from, to }) => !from || !to || from <= to,
+            { message: "from must not be after to", path: ["from"] }
+        )
+        .refine(
+            ({ from, to }) => !from || !to || to - from <= MAX_RANGE_DAYS * 24 * 60 * 60 * 1000,
+            { message: `the range can span at most ${MAX_RANGE_DAYS} days`, path: ["to"] }
+        );
+
+const timeSeriesSchema = {
+    query: checkRange(z.object({
+        ...range,
+        interval: oneOf("interval", ["day", "week", "month"]).optional()
+    }))
+};
+
+const videoStatsSchema = {
+    query: checkRange(z.object({
+        ...range,
+        ...pagination,
+        sortBy: oneOf("sortBy", ["views", "watchTime", "averageViewDuration"]).optional()
+    }))
+};
+
+
+export {
+    timeSeriesSchema,
+    videoStatsSchema
+};
@@ -0,0 +1,15 @@
+import { z, integer } from "./common.validator.js";
+
+
+const feedSchema = {
+    query: z.object({
+        // nextCursor of the previous page
+        cursor: z.string().max(1000, "cursor is too long").optional(),
+        limit: integer("limit", { min: 1, max: 50 }).optional()
+    })
+};
+
+
+export {
+    feedSchema
+};
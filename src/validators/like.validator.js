@@ -0,0 +1,26 @@
+import { paginationQuery, idParams } from "./common.validator.js";
+
+
+const toggleVideoLikeSchema = {
+    params: idParams("videoId")
+};
+
+const toggleCommentLikeSchema = {
+    params: idParams("commentId")
+};
+
+const togglePostLikeSchema = {
+    params: idParams("postId")
+};
+
+const likedVideosSchema = {
+    query: paginationQuery
+};
+
+
+export {
+    toggleVideoLikeSchema,
+    toggleCommentLikeSchema,
+    togglePostLikeSchema,
+    likedVideosSchema
+};
@@ -0,0 +1,46 @@
+import {
+    z,
+    oneOf,
+    pagination,
+    idParams
+} from "./common.validator.js";
+import { NOTIFICATION_TYPES } from "../constants.js";
+
+
+const listNotificationsSchema = {
+    query: z.object({
+        ...pagination,
+        unreadOnly: oneOf("unreadOnly", ["true", "false"]).optional()
+    })
+};
+
+const notificationIdSchema = {
+    params: idParams("notificationId")
+};
+
+// Any subset of the types, each true (on) or false (off)
+const updatePreferencesSchema = {
+    body: z
+        .object(Object.fromEntries(
+            NOTIFICATION_TYPES.map((type) => [
+                type,
+                z.boolean({ error: `${type} must be true or false` }).optional()
+            ])
+        ))
+        .refine(
+            (body) => Object.keys(body).length > 0,
+            `Provide at least one of: ${NOTIFICATION_TYPES.join(", ")}`
+        )
+};
+
+const channelIdSchema = {
+    params: idParams("channelId")
+};
+
+
+export {
+    listNotificationsSchema,
+    notificationIdSchema,
+    updatePreferencesSchema,
+    channelIdSchema
+};
@@ -0,0 +1,40 @@
+import { z, requiredString, emptyObject } from "./common.validator.js";
+
+
+const providerParams = z.object({
+    provider: requiredString("provider", { max: 50 })
+        .toLowerCase()
+        .regex(/^[a-z0-9_-]+$/, "provider must be a valid provider name")
+});
+
+const providersSchema = {
+    query: emptyObject
+};
+
+const startOAuthSchema = {
+    params: providerParams,
+    query: emptyObject
+};
+
+// Whatever the IdP sends back; state is checked in the controller
+const oauthCallbackSchema = {
+    params: providerParams,
+    query: z.object({
+        code: z.string().max(2048).optional(),
+        state: z.string({ error: "state is required" }).max(512),
+        error: z.string().max(200).optional(),
+        error_description: z.string().max(1000).optional()
+    })
+};
+
+const unlinkProviderSchema = {
+    params: providerParams
+};
+
+
+export {
+    providersSchema,
+    startOAuthSchema,
+    oauthCallbackSchema,
+    unlinkProviderSchema
+};
@@ -0,0 +1,62 @@
+import {
+    z,
+    requiredString,
+    optionalString,
+    oneOf,
+    integer,
+    paginationQuery,
+    idParams
+} from "./common.validator.js";
+
+
+const visibility = oneOf("visibility", ["public", "private"]);
+
+// Descriptions may be cleared with an empty string
+const description = z.string().trim().max(5000, "description must be at most 5000 characters");
+
+const createPlaylistSchema = {
+    body: z.object({
+        name: requiredString("name", { max: 150 }),
+        description: description.optional(),
+        visibility: visibility.optional()
+    })
+};
+
+const updatePlaylistSchema = {
+    params: idParams("playlistId"),
+    body: z.object({
+        name: optionalString("name", { max: 150 }),
+        description: description.optional(),
+        visibility: visibility.optional()
+    })
+};
+
+const userPlaylistsSchema = {
+    params: idParams("userId"),
+    query: paginationQuery
+};
+
+const playlistIdSchema = {
+    params: idParams("playlistId")
+};
+
+const playlistVideoSchema = {
+    params: idParams("playlistId", "videoId")
+};
+
+const moveVideoSchema = {
+    params: idParams("playlistId", "videoId"),
+    body: z.object({
+        position: integer("position", { min: 0 })
+    })
+};
+
+
+export {
+    createPlaylistSchema,
+    updatePlaylistSchema,
+    userPlaylistsSchema,
+    playlistIdSchema,
+    playlistVideoSchema,
+    moveVideoSchema
+};
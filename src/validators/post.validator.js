@@ -0,0 +1,44 @@
+import {
+    z,
+    requiredString,
+    optionalString,
+    boolean,
+    paginationQuery,
+    idParams
+} from "./common.validator.js";
+
+
+const postIdParams = idParams("postId");
+
+// Multipart: content plus an optional image file
+const createPostSchema = {
+    body: z.object({
+        content: requiredString("content", { max: 5000 })
+    })
+};
+
+// Multipart or JSON; a new image replaces the old one
+const updatePostSchema = {
+    params: postIdParams,
+    body: z.object({
+        content: optionalString("content", { max: 5000 }),
+        removeImage: boolean("removeImage").optional()
+    })
+};
+
+const postIdSchema = {
+    params: postIdParams
+};
+
+const userPostsSchema = {
+    params: idParams("userId"),
+    query: paginationQuery
+};
+
+
+export {
+    createPostSchema,
+    updatePostSchema,
+    postIdSchema,
+    userPostsSchema
+};
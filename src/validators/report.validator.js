@@ -0,0 +1,22 @@
+import {
+    z,
+    optionalString,
+    objectId,
+    oneOf
+} from "./common.validator.js";
+import { REPORT_TARGET_TYPES, REPORT_REASONS } from "../constants.js";
+
+
+const createReportSchema = {
+    body: z.object({
+        targetType: oneOf("targetType", REPORT_TARGET_TYPES),
+        targetId: objectId("targetId"),
+        reason: oneOf("reason", REPORT_REASONS),
+        details: optionalString("details", { max: 1000 })
+    })
+};
+
+
+export {
+    createReportSchema
+};
@@ -0,0 +1,26 @@
+import {
+    z,
+    requiredString,
+    objectId,
+    oneOf,
+    date,
+    pagination
+} from "./common.validator.js";
+
+
+const searchSchema = {
+    query: z.object({
+        ...pagination,
+        q: requiredString("q", { max: 200 }),
+        type: oneOf("type", ["all", "videos", "channels"]).optional(),
+        sortBy: oneOf("sortBy", ["relevance", "views", "date"]).optional(),
+        duration: oneOf("duration", ["short", "medium", "long"]).optional(),
+        uploadDate: oneOf("uploadDate", ["today", "week", "month", "year"]).optional(),
+        from: date("from").optional(),
+        to: date("to").optional(),
+        owner: objectId("owner").optional()
+    })
+};
+
+
+export { searchSchema };
@@ -0,0 +1,23 @@
+import { paginationQuery, idParams } from "./common.validator.js";
+
+
+const toggleSubscriptionSchema = {
+    params: idParams("channelId")
+};
+
+const channelSubscribersSchema = {
+    params: idParams("channelId"),
+    query: paginationQuery
+};
+
+const subscribedChannelsSchema = {
+    params: idParams("subscriberId"),
+    query: paginationQuery
+};
+
+
+export {
+    toggleSubscriptionSchema,
+    channelSubscribersSchema,
+    subscribedChannelsSchema
+};
@@ -0,0 +1,20 @@
+import { z, emptyObject } from "./common.validator.js";
+
+
+// The tus protocol speaks in headers; only the upload id comes from the URL
+const uploadIdSchema = {
+    params: z.object({
+        uploadId: z.uuid("uploadId must be a valid upload id")
+    }),
+    query: emptyObject
+};
+
+const createUploadSchema = {
+    query: emptyObject
+};
+
+
+export {
+    uploadIdSchema,
+    createUploadSchema
+};
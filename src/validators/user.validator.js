@@ -0,0 +1,149 @@
+import {
+    z,
+    requiredString,
+    optionalString,
+    email,
+    password,
+    paginationQuery,
+    idParams
+} from "./common.validator.js";
+
+
+const username = requiredString("username", { max: 30 })
+    .toLowerCase()
+    .regex(/^[a-z0-9._]{3,30}$/, "username may only contain letters, numbers, '.' and '_' (3-30 characters)");
+
+const fullName = requiredString("fullName", { max: 100 });
+
+
+const registerUserSchema = {
+    body: z.object({
+        fullName,
+        email: email(),
+        username,
+        password: password()
+    })
+};
+
+// Either email or username identifies the account
+const loginUserSchema = {
+    body: z
+        .object({
+            email: email().optional(),
+            username: requiredString("username", { max: 30 }).toLowerCase().optional(),
+            password: z.string({ error: "password is required" }).min(1, "password is required"),
+            // Label shown in the session list; defaults to one derived from the User-Agent
+            deviceName: optionalString("deviceName", { max: 100 })
+        })
+        .refine((body) => body.email || body.username, {
+            message: "email or username is required",
+            path: ["email"]
+        })
+};
+
+// Authenticator code or recovery code (xxxxx-xxxxx)
+const twoFactorCode = (field = "code") =>
+    requiredString(field, { max: 20 }).regex(/^[0-9a-z\s-]+$/i, `${field} must be a valid code`);
+
+const loginTwoFactorSchema = {
+    body: z.object({
+        // Omitted after an OAuth login; the challenge cookie carries it then
+        challengeToken: optionalString("challengeToken", { max: 2000 }),
+        code: twoFactorCode()
+    })
+};
+
+const refreshAccessTokenSchema = {
+    body: z.object({
+        refreshToken: z.string().optional()
+    })
+};
+
+const changePasswordSchema = {
+    body: z.object({
+        oldpassword: z.string({ error: "oldpassword is required" }).min(1, "oldpassword is required"),
+        newPassword: password("newPassword"),
+        // Required when 2FA is enabled
+        twoFactorCode: twoFactorCode("twoFactorCode").optional()
+    })
+};
+
+const updateAccountSchema = {
+    body: z.object({
+        fullName,
+        email: email(),
+        // Required to change the email when 2FA is enabled
+        twoFactorCode: twoFactorCode("twoFactorCode").optional()
+    })
+};
+
+const twoFactorCodeSchema = {
+    body: z.object({
+        code: twoFactorCode()
+    })
+};
+
+const channelProfileSchema = {
+    params: z.object({
+        username: requiredString("username", { max: 30 })
+    })
+};
+
+const emailTokenSchema = {
+    body: z.object({
+        token: requiredString("token", { max: 200 })
+    })
+};
+
+// Used by the routes that email a link; they answer the same either way
+const emailOnlySchema = {
+    body: z.object({
+        email: email()
+    })
+};
+
+const resetPasswordSchema = {
+    body: z.object({
+        token: requiredString("token", { max: 200 }),
+        newPassword: password("newPassword")
+    })
+};
+
+const revokeSessionSchema = {
+    params: z.object({
+        sessionId: z.uuid("sessionId must be a valid session id")
+    })
+};
+
+const watchHistorySchema = {
+    query: paginationQuery
+};
+
+const watchHistoryVideoSchema = {
+    params: idParams("videoId")
+};
+
+const historySettingsSchema = {
+    body: z.object({
+        paused: z.boolean({ error: "paused must be true or false" })
+    })
+};
+
+
+export {
+    registerUserSchema,
+    loginUserSchema,
+    loginTwoFactorSchema,
+    refreshAccessTokenSchema,
+    changePasswordSchema,
+    updateAccountSchema,
+    twoFactorCodeSchema,
+    channelProfileSchema,
+    emailTokenSchema,
+    emailOnlySchema,
+    resetPasswordSchema,
+    revokeSessionSchema,
+    watchHistorySchema,
+    watchHistoryVideoSchema,
+    historySettingsSchema
+};
@@ -0,0 +1,74 @@
+import {
+    z,
+    requiredString,
+    optionalString,
+    objectId,
+    oneOf,
+    pagination,
+    idParams
+} from "./common.validator.js";
+
+
+const videoIdParams = idParams("videoId");
+
+const getAllVideosSchema = {
+    query: z.object({
+        ...pagination,
+        query: z.string().trim().max(200, "query must be at most 200 characters").optional(),
+        sortBy: oneOf("sortBy", ["createdAt", "views", "duration", "title"]).optional(),
+        sortType: oneOf("sortType", ["asc", "desc"]).optional(),
+        userId: objectId("userId").optional()
+    })
+};
+
+const publishVideoSchema = {
+    body: z.object({
+        title: requiredString("title", { max: 200 }),
+        description: requiredString("description", { max: 5000 }),
+        // A finished resumable upload (POST /uploads) instead of a videoFile part
+        uploadId: z.uuid("uploadId must be a valid upload id").optional()
+    })
+};
+
+const updateVideoSchema = {
+    params: videoIdParams,
+    body: z.object({
+        title: optionalString("title", { max: 200 }),
+        description: optionalString("description", { max: 5000 })
+    })
+};
+
+const videoIdSchema = {
+    params: videoIdParams
+};
+
+const recordViewSchema = {
+    params: videoIdParams,
+    body: z.object({
+        // Furthest point reached so far, in seconds
+        watchedSeconds: z.coerce
+            .number({ error: "watchedSeconds must be a number" })
+            .min(0, "watchedSeconds must be at least 0")
+            .optional()
+    })
+};
+
+const watchProgressSchema = {
+    params: videoIdParams,
+    body: z.object({
+        // Seconds into the video
+        position: z.coerce
+            .number({ error: "position must be a number" })
+            .min(0, "position must be at least 0")
+    })
+};
+
+
+export {
+    getAllVideosSchema,
+    publishVideoSchema,
+    updateVideoSchema,
+    videoIdSchema,
+    recordViewSchema,
+    watchProgressSchema
+};
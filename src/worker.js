@@ -0,0 +1,51 @@
+import dotenv from 'dotenv';
+import connectDB from "./db/index.js";
+import { startWorker } from "./utils/jobQueue.js";
+import { TRANSCODE_JOB, transcodeHandler } from "./workers/transcode.job.js";
+import { NOTIFY_SUBSCRIBERS_JOB, notifySubscribersHandler } from "./workers/notification.job.js";
+import { TRENDING_JOB, trendingHandler, scheduleTrending } from "./workers/trending.job.js";
+import { registerNotificationListeners, getNotificationBroker } from "./utils/notifications/index.js";
+
+
+dotenv.config({
+    path: './.env'
+})
+
+// Notifications created here (new uploads) reach the API's live streams only
+// through a broker both processes share
+if (getNotificationBroker().name === "memory") {
+    console.log("WORKER STARTUP FAILED !! Set NOTIFICATION_BROKER=mongo: the in-memory broker can't deliver the worker's notifications to the API process.");
+    process.exit(1);
+}
+
+// Background worker process: run as many of these as the machine can handle
+connectDB()
+    .then(async () => {
+        // Jobs emit domain events too (e.g. a video becoming playable)
+        registerNotificationListeners();
+
+        // Starts the recurring trending computation (no-op if already queued)
+        await scheduleTrending();
+
+        const worker = await startWorker({
+            handlers: {
+                [TRANSCODE_JOB]: transcodeHandler,
+                [NOTIFY_SUBSCRIBERS_JOB]: notifySubscribersHandler,
+                [TRENDING_JOB]: trendingHandler
+            },
+            concurrency: Number(process.env.WORKER_CONCURRENCY) || 1
+        });
+
+        console.log(`Worker ${process.pid} started`);
+
+        // Let in-flight jobs finish on shutdown
+        const shutdown = async () => {
+            await worker.stop();
+            process.exit(0);
+        };
+        process.on("SIGINT", shutdown);
+        process.on("SIGTERM", shutdown);
+    })
+    .catch((err) => {
+        console.log("WORKER STARTUP FAILED !!", err);
+    })
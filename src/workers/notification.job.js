@@ -0,0 +1,15 @@
+import { NOTIFY_SUBSCRIBERS_JOB, fanOutVideoPublished } from "../utils/notifications/index.js";
+
+
+export { NOTIFY_SUBSCRIBERS_JOB };
+
+
+// -------------------------------
+// Notify a channel's subscribers about a new upload
+// -------------------------------
+// Safe to retry: subscribers notified by an earlier attempt are skipped.
+const run = async (job) => {
+    await fanOutVideoPublished(job.payload.videoId);
+};
+
+export const notifySubscribersHandler = { run };
@@ -0,0 +1,122 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { probeVideo, transcodeToHls } from "../utils/transcoder.js";
+import {
+    uploadFile,
+    downloadAsset,
+    deleteAssetPrefix,
+    getStorage
+} from "../utils/storage/index.js";
+import { emitDomainEvent } from "../utils/domainEvents.js";
+
+
+export const TRANSCODE_JOB = "video.transcode";
+
+
+// Every file under dir, as paths relative to it
+const listFiles = async (dir, base = dir) => {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries.map((entry) => {
+        const fullPath = path.join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(fullPath, base) : [path.relative(base, fullPath)];
+    }));
+    return files.flat();
+};
+
+
+// -------------------------------
+// Transcode one uploaded video into HLS renditions
+// -------------------------------
+const run = async (job) => {
+    const { videoId } = job.payload;
+
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        { $set: { processingStatus: "processing" } },
+        { new: true }
+    );
+
+    // Deleted before we got to it
+    if (!video) return;
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "transcode-"));
+    const provider = getStorage().name;
+    const prefix = `hls/${video._id}`;
+
+    try {
+        // 1. Fetch the original upload
+        const sourcePath = path.join(workDir, `source${path.extname(video.videoFile.key)}`);
+        await downloadAsset(video.videoFile, sourcePath);
+
+        // 2. Probe the real duration instead of trusting the client
+        const probe = await probeVideo(sourcePath);
+
+        // 3. Encode every rendition + master playlist
+        const outputDir = path.join(workDir, "hls");
+        const renditions = await transcodeToHls(sourcePath, outputDir, probe);
+
+        // 4. Upload, starting from a clean prefix in case an earlier attempt died half-way
+        await deleteAssetPrefix(provider, prefix);
+
+        const uploaded = {};
+        for (const file of await listFiles(outputDir)) {
+            const key = `${prefix}/${file.split(path.sep).join("/")}`;
+            const asset = await uploadFile(path.join(outputDir, file), { key });
+
+            if (!asset) {
+                throw new Error(`Failed to upload ${key}`);
+            }
+            uploaded[key] = asset;
+        }
+
+        // 5. Publish the result, unless the video was deleted meanwhile
+        const updated = await Video.findByIdAndUpdate(videoId, {
+            $set: {
+                processingStatus: "ready",
+                duration: probe.duration,
+                hls: {
+                    provider,
+                    prefix,
+                    master: uploaded[`${prefix}/master.m3u8`]
+                },
+                renditions: renditions.map((r) => ({
+                    ...r,
+                    playlist: uploaded[`${prefix}/${r.name}/index.m3u8`]
+                }))
+            },
+            $unset: { processingError: "" }
+        });
+
+        if (!updated) {
+            await deleteAssetPrefix(provider, prefix);
+        } else {
+            // Subscribers hear about it now that it plays (if it's published)
+            emitDomainEvent("video.published", { videoId });
+        }
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+
+// Mirror the job outcome on the video so clients can show it
+const onFailure = async (job, error, willRetry) => {
+    await Video.updateOne(
+        { _id: job.payload.videoId },
+        {
+            $set: {
+                processingStatus: willRetry ? "queued" : "failed",
+                processingError: {
+                    message: error?.message || "Transcoding failed",
+                    attempts: job.attempts,
+                    failedAt: new Date()
+                }
+            }
+        }
+    );
+};
+
+
+export const transcodeHandler = { run, onFailure };
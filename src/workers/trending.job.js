@@ -0,0 +1,26 @@
+import { ensureJobQueued } from "../utils/jobQueue.js";
+import { computeTrending } from "../utils/trending.js";
+
+
+export const TRENDING_JOB = "feed.trending";
+
+const intervalMs = () =>
+    (Number(process.env.TRENDING_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+
+// Queue the next run unless one is already waiting. A failed run isn't
+// retried: the next one comes soon enough.
+export const scheduleTrending = (runAt = new Date()) =>
+    ensureJobQueued(TRENDING_JOB, {}, { maxAttempts: 1, runAt });
+
+
+// -------------------------------
+// Recompute the trending ranking, then book the next run
+// -------------------------------
+// The next run is booked first so a failing computation doesn't end the cycle.
+const run = async () => {
+    await scheduleTrending(new Date(Date.now() + intervalMs()));
+    await computeTrending();
+};
+
+export const trendingHandler = { run };
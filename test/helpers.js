@@ -0,0 +1,106 @@
+// -------------------------------
+// Shared setup for the route tests
+// -------------------------------
+// There's no database here: each test swaps the model methods a route calls
+// for stubs (t.mock.method) and drives the real Express app over HTTP.
+import { once } from "events";
+import bcrypt from "bcrypt";
+import mongoose from "mongoose";
+import { User } from "../src/models/user.model.js";
+import { Session } from "../src/models/session.model.js";
+
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+process.env.REFRESH_TOKEN_SECRET = "test-refresh-secret";
+process.env.ACCESS_TOKEN_EXPIRY = "15m";
+process.env.REFRESH_TOKEN_EXPIRY = "10d";
+process.env.RATE_LIMIT_DISABLED = "true";
+
+const { default: app } = await import("../src/app.js");
+
+
+// Stand-in for a Mongoose query: chainable like one, resolves to `value`
+// (or what `value()` returns, so a stub can look at its arguments first)
+const query = (value) => {
+    const chain = {
+        then: (resolve, reject) =>
+            Promise.resolve(typeof value === "function" ? value() : value).then(resolve, reject)
+    };
+    for (const method of ["select", "sort", "lean", "populate", "limit", "skip"]) {
+        chain[method] = () => chain;
+    }
+    return chain;
+};
+
+
+// -------------------------------
+// The app on a random port → { request(path, options), close() }
+// -------------------------------
+// options: { method, body, token, cookie }; resolves to { status, body, headers }
+const startServer = async () => {
+    const server = app.listen(0);
+    await once(server, "listening");
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (path, { method = "GET", body, token, cookie } = {}) => {
+        const headers = {};
+        if (body) headers["Content-Type"] = "application/json";
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (cookie) headers.Cookie = cookie;
+
+        const res = await fetch(base + path, {
+            method,
+            headers,
+            body: body && JSON.stringify(body)
+        });
+        const text = await res.text();
+
+        return {
+            status: res.status,
+            body: text && res.headers.get("content-type")?.includes("json") ? JSON.parse(text) : text,
+            headers: res.headers
+        };
+    };
+
+    return {
+        request,
+        close: () => new Promise((resolve) => server.close(resolve))
+    };
+};
+
+
+const PASSWORD = "correct horse battery";
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+// A user document as loaded from the database
+const makeUser = (fields = {}) =>
+    new User({
+        username: `user${Math.floor(Math.random() * 1e6)}`,
+        email: `user${Math.floor(Math.random() * 1e6)}@example.com`,
+        fullName: "Test User",
+        avatar: { provider: "local", key: "avatars/a.webp", url: "/media/avatars/a.webp" },
+        password: passwordHash,
+        isEmailVerified: true,
+        ...fields
+    });
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+
+// -------------------------------
+// Sign `user` in for the test → access token
+// -------------------------------
+// verifyJWT finds the session alive and loads the user; `users` are other
+// accounts User.findById may be asked for.
+const signIn = (t, user, { family = "family-1", users = [] } = {}) => {
+    const known = [user, ...users];
+
+    t.mock.method(Session, "exists", () => query({ _id: objectId() }));
+    t.mock.method(User, "findById", (id) =>
+        query(known.find((candidate) => candidate._id.equals(id)) || null)
+    );
+
+    return user.generateAccessToken(family);
+};
+
+
+export { query, startServer, makeUser, objectId, signIn, PASSWORD };
@@ -0,0 +1,83 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { Session } from "../src/models/session.model.js";
+import { User } from "../src/models/user.model.js";
+import { query, startServer, makeUser, PASSWORD } from "./helpers.js";
+
+
+// Default policy: locked for 60s at the 5th failure, doubling after that
+describe("login lockout", () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.close());
+
+    const login = (user, password) =>
+        server.request("/users/login", { method: "POST", body: { email: user.email, password } });
+
+    it("counts a wrong password without locking below the threshold", async (t) => {
+        const user = makeUser({ failedLoginAttempts: 1, lastFailedLoginAt: new Date() });
+        t.mock.method(User, "findOne", () => query(user));
+        const record = t.mock.method(User, "findByIdAndUpdate", () => query({ failedLoginAttempts: 2 }));
+        const lock = t.mock.method(User, "updateOne", () => query({ modifiedCount: 1 }));
+
+        const res = await login(user, "wrong password");
+
+        assert.equal(res.status, 401);
+        assert.deepEqual(record.mock.calls[0].arguments[1].$inc, { failedLoginAttempts: 1 });
+        assert.equal(lock.mock.callCount(), 0);
+    });
+
+    it("locks the account at the threshold", async (t) => {
+        const user = makeUser({ failedLoginAttempts: 4, lastFailedLoginAt: new Date() });
+        t.mock.method(User, "findOne", () => query(user));
+        t.mock.method(User, "findByIdAndUpdate", () => query({ failedLoginAttempts: 5 }));
+        const lock = t.mock.method(User, "updateOne", () => query({ modifiedCount: 1 }));
+
+        const before = Date.now();
+        const res = await login(user, "wrong password");
+
+        assert.equal(res.status, 401);
+        const lockedUntil = lock.mock.calls[0].arguments[1].$set.loginLockedUntil.getTime();
+        assert.ok(lockedUntil >= before + 60 * 1000 && lockedUntil <= Date.now() + 60 * 1000);
+    });
+
+    it("starts counting afresh when the last failure is over a day old", async (t) => {
+        const user = makeUser({ failedLoginAttempts: 4, lastFailedLoginAt: new Date(Date.now() - 25 * 60 * 60 * 1000) });
+        t.mock.method(User, "findOne", () => query(user));
+        const record = t.mock.method(User, "findByIdAndUpdate", () => query({ failedLoginAttempts: 1 }));
+        t.mock.method(User, "updateOne", () => query({ modifiedCount: 1 }));
+
+        await login(user, "wrong password");
+
+        assert.equal(record.mock.calls[0].arguments[1].$set.failedLoginAttempts, 1);
+    });
+
+    it("turns a locked account away before checking the password", async (t) => {
+        const user = makeUser({ loginLockedUntil: new Date(Date.now() + 30 * 1000) });
+        t.mock.method(User, "findOne", () => query(user));
+        const check = t.mock.method(user, "isPasswordCorrect");
+
+        const res = await login(user, PASSWORD);
+
+        assert.equal(res.status, 429);
+        assert.ok(Number(res.headers.get("retry-after")) > 0);
+        assert.equal(check.mock.callCount(), 0);
+    });
+
+    it("clears the failures on a correct password", async (t) => {
+        const user = makeUser({ failedLoginAttempts: 3, lastFailedLoginAt: new Date() });
+        t.mock.method(User, "findOne", () => query(user));
+        t.mock.method(User, "findById", () => query(user));
+        t.mock.method(Session, "create", async (doc) => doc);
+        const clear = t.mock.method(User, "updateOne", () => query({ modifiedCount: 1 }));
+
+        const res = await login(user, PASSWORD);
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(Object.keys(clear.mock.calls[0].arguments[1].$unset).sort(), [
+            "failedLoginAttempts",
+            "lastFailedLoginAt",
+            "loginLockedUntil"
+        ]);
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { Session } from "../src/models/session.model.js";
+import { User } from "../src/models/user.model.js";
+import { query, startServer, makeUser, signIn } from "./helpers.js";
+
+
+describe("refresh token rotation", () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.close());
+
+    it("exchanges a live refresh token for a new pair in the same family", async (t) => {
+        const user = makeUser();
+        const refreshToken = user.generateRefreshToken("family-1");
+
+        t.mock.method(Session, "findOneAndUpdate", () =>
+            query({ user: user._id, family: "family-1", device: "Laptop" })
+        );
+        t.mock.method(User, "findById", () => query(user));
+        const create = t.mock.method(Session, "create", async (doc) => doc);
+
+        const res = await server.request("/users/refresh-token", { method: "POST", body: { refreshToken } });
+
+        assert.equal(res.status, 200);
+        assert.notEqual(res.body.data.refreshToken, refreshToken);
+        assert.equal(create.mock.calls[0].arguments[0].family, "family-1");
+        assert.equal(create.mock.calls[0].arguments[0].device, "Laptop");
+    });
+
+    it("revokes the whole family when a rotated token is replayed", async (t) => {
+        const user = makeUser();
+        const refreshToken = user.generateRefreshToken("family-1");
+
+        // Already rotated: not claimable any more, but still on record
+        t.mock.method(Session, "findOneAndUpdate", () => query(null));
+        t.mock.method(Session, "findOne", () => query({ family: "family-1", revokedAt: null }));
+        const revoke = t.mock.method(Session, "updateMany", () => query({ modifiedCount: 2 }));
+
+        const res = await server.request("/users/refresh-token", { method: "POST", body: { refreshToken } });
+
+        assert.equal(res.status, 401);
+        assert.match(res.body.message, /reuse detected/);
+
+        const [filter, update] = revoke.mock.calls[0].arguments;
+        assert.deepEqual(filter, { family: "family-1", revokedAt: null });
+        assert.equal(update.$set.revokedReason, "refresh_token_reuse");
+    });
+
+    it("rejects a token of an already revoked family without revoking again", async (t) => {
+        const user = makeUser();
+        const refreshToken = user.generateRefreshToken("family-1");
+
+        t.mock.method(Session, "findOneAndUpdate", () => query(null));
+        t.mock.method(Session, "findOne", () => query({ family: "family-1", revokedAt: new Date() }));
+        const revoke = t.mock.method(Session, "updateMany", () => query({ modifiedCount: 0 }));
+
+        const res = await server.request("/users/refresh-token", { method: "POST", body: { refreshToken } });
+
+        assert.equal(res.status, 401);
+        assert.equal(revoke.mock.callCount(), 0);
+    });
+
+    it("rejects a refresh token signed with another secret", async () => {
+        const res = await server.request("/users/refresh-token", {
+            method: "POST",
+            body: { refreshToken: "not-a-real-token" }
+        });
+
+        assert.equal(res.status, 401);
+    });
+});
+
+
+describe("access tokens", () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.close());
+
+    it("work while their session is alive", async (t) => {
+        const user = makeUser();
+        const token = signIn(t, user);
+        t.mock.method(Session, "find", () => query([]));
+
+        const res = await server.request("/users/sessions", { token });
+
+        assert.equal(res.status, 200);
+    });
+
+    it("stop working once their session is revoked", async (t) => {
+        const user = makeUser();
+        const token = signIn(t, user);
+        t.mock.method(Session, "exists", () => query(null));
+
+        const res = await server.request("/users/sessions", { token });
+
+        assert.equal(res.status, 401);
+        assert.match(res.body.message, /revoked/);
+    });
+
+    it("are refused for suspended accounts", async (t) => {
+        const user = makeUser({ status: "suspended", statusReason: "spam" });
+        const token = signIn(t, user);
+
+        const res = await server.request("/users/sessions", { token });
+
+        assert.equal(res.status, 403);
+        assert.match(res.body.message, /suspended/);
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { Session } from "../src/models/session.model.js";
+import { User } from "../src/models/user.model.js";
+import { generateSecret, generateTotp } from "../src/utils/totp.js";
+import { generateRecoveryCodes, createLoginChallenge, CHALLENGE_COOKIE } from "../src/utils/twoFactor.js";
+import { query, startServer, makeUser, PASSWORD } from "./helpers.js";
+
+
+// A 2FA user whose updates land on `state`, the way MongoDB would apply them:
+// a TOTP step is only taken once, a recovery code only used once
+const twoFactorUser = (t) => {
+    const secret = generateSecret();
+    const { codes, hashed } = generateRecoveryCodes();
+    const user = makeUser({ twoFactor: { enabled: true, secret, recoveryCodes: hashed } });
+    const state = { lastUsedStep: null, recoveryCodes: hashed.map((code) => ({ ...code })) };
+
+    t.mock.method(User, "findOne", () => query(user));
+    t.mock.method(User, "findById", () => query(user));
+    t.mock.method(Session, "create", async (doc) => doc);
+    t.mock.method(User, "updateOne", (filter, update) => query(() => {
+        const step = update.$set?.["twoFactor.lastUsedStep"];
+        if (step !== undefined) {
+            if (state.lastUsedStep !== null && state.lastUsedStep >= step) return { modifiedCount: 0 };
+            state.lastUsedStep = step;
+            return { modifiedCount: 1 };
+        }
+
+        const wanted = filter["twoFactor.recoveryCodes"]?.$elemMatch;
+        const code = wanted && state.recoveryCodes.find((c) => c.hash === wanted.hash && !c.usedAt);
+        if (!code) return { modifiedCount: 0 };
+        code.usedAt = new Date();
+        return { modifiedCount: 1 };
+    }));
+
+    return { user, secret, codes };
+};
+
+const authCookies = (res) =>
+    res.headers.getSetCookie().filter((cookie) => /^(accessToken|refreshToken)=/.test(cookie));
+
+
+describe("2FA login", () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.close());
+
+    it("answers a correct password with a challenge and no session", async (t) => {
+        const { user } = twoFactorUser(t);
+
+        const res = await server.request("/users/login", {
+            method: "POST",
+            body: { email: user.email, password: PASSWORD }
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.twoFactorRequired, true);
+        assert.ok(res.body.data.challengeToken);
+        assert.deepEqual(authCookies(res), []);
+    });
+
+    it("signs in with the challenge and a current authenticator code", async (t) => {
+        const { user, secret } = twoFactorUser(t);
+
+        const res = await server.request("/users/login/2fa", {
+            method: "POST",
+            body: { challengeToken: createLoginChallenge(user), code: generateTotp(secret) }
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(authCookies(res).length, 2);
+    });
+
+    it("refuses the same authenticator code twice", async (t) => {
+        const { user, secret } = twoFactorUser(t);
+        const code = generateTotp(secret);
+
+        const first = await server.request("/users/login/2fa", {
+            method: "POST",
+            body: { challengeToken: createLoginChallenge(user), code }
+        });
+        const second = await server.request("/users/login/2fa", {
+            method: "POST",
+            body: { challengeToken: createLoginChallenge(user), code }
+        });
+
+        assert.equal(first.status, 200);
+        assert.equal(second.status, 401);
+    });
+
+    it("refuses a wrong code", async (t) => {
+        const { user } = twoFactorUser(t);
+
+        const res = await server.request("/users/login/2fa", {
+            method: "POST",
+            body: { challengeToken: createLoginChallenge(user), code: "000000" }
+        });
+
+        assert.equal(res.status, 401);
+        assert.deepEqual(authCookies(res), []);
+    });
+
+    it("accepts a recovery code once, however it is typed", async (t) => {
+        const { user, codes } = twoFactorUser(t);
+
+        const first = await server.request("/users/login/2fa", {
+            method: "POST",
+            body: { challengeToken: createLoginChallenge(user), code: codes[0].toUpperCase() }
+        });
+        const second = await server.request("/users/login/2fa", {
+            method: "POST",
+            body: { challengeToken: createLoginChallenge(user), code: codes[0] }
+        });
+
+        assert.equal(first.status, 200);
+        assert.equal(second.status, 401);
+    });
+
+    it("refuses an expired or forged challenge", async (t) => {
+        const { user, secret } = twoFactorUser(t);
+
+        const expired = jwt.sign({ _id: user._id }, process.env.ACCESS_TOKEN_SECRET, {
+            expiresIn: -10,
+            audience: "2fa-challenge"
+        });
+        // An access token is no challenge, though signed with the same secret
+        const accessToken = user.generateAccessToken("family-1");
+
+        for (const challengeToken of [expired, accessToken]) {
+            const res = await server.request("/users/login/2fa", {
+                method: "POST",
+                body: { challengeToken, code: generateTotp(secret) }
+            });
+            assert.equal(res.status, 401);
+        }
+    });
+
+    it("takes the challenge from the cookie an OAuth login sets", async (t) => {
+        const { user, secret } = twoFactorUser(t);
+
+        const res = await server.request("/users/login/2fa", {
+            method: "POST",
+            body: { code: generateTotp(secret) },
+            cookie: `${CHALLENGE_COOKIE}=${createLoginChallenge(user)}`
+        });
+
+        assert.equal(res.status, 200);
+        assert.ok(res.headers.getSetCookie().some((cookie) => cookie.startsWith(`${CHALLENGE_COOKIE}=;`)));
+    });
+
+    it("refuses the second step without any challenge", async () => {
+        const res = await server.request("/users/login/2fa", { method: "POST", body: { code: "123456" } });
+
+        assert.equal(res.status, 401);
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { Video } from "../src/models/video.model.js";
+import { Comment } from "../src/models/comment.model.js";
+import { Post } from "../src/models/post.model.js";
+import { query, startServer, makeUser, objectId, signIn } from "./helpers.js";
+
+
+// Drafts and content hidden by reports are only there for their owner
+describe("hidden and draft content", () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.close());
+
+    const viewer = makeUser();
+    const owner = makeUser();
+
+    const video = (fields = {}) => ({
+        _id: objectId(),
+        owner: owner._id,
+        isPublished: true,
+        hiddenAt: null,
+        processingStatus: "ready",
+        hls: { provider: "local", prefix: "hls/x" },
+        ...fields
+    });
+
+    const stubVideos = (t, ...videos) =>
+        t.mock.method(Video, "findById", (id) =>
+            query(videos.find((candidate) => candidate._id.equals(id)) || null)
+        );
+
+    for (const [label, fields] of [["a draft", { isPublished: false }], ["a hidden", { hiddenAt: new Date() }]]) {
+        it(`doesn't stream ${label} video to others`, async (t) => {
+            const token = signIn(t, viewer);
+            const target = video(fields);
+            stubVideos(t, target);
+
+            const stream = await server.request(`/videos/${target._id}/stream`, { token });
+            const hls = await server.request(`/media/hls/${target._id}/master.m3u8`, { token });
+
+            assert.equal(stream.status, 404);
+            assert.equal(hls.status, 404);
+        });
+
+        it(`lets the owner past the checks on ${label} video`, async (t) => {
+            const token = signIn(t, owner);
+            const target = video({ ...fields, processingStatus: "processing" });
+            stubVideos(t, target);
+
+            const res = await server.request(`/videos/${target._id}/stream`, { token });
+
+            // Not a 404: only the processing state stops it
+            assert.equal(res.status, 409);
+        });
+    }
+
+    it("never serves source files straight from local storage", async () => {
+        const res = await server.request("/media/videos/anything.mp4");
+
+        assert.equal(res.status, 404);
+    });
+
+    it("doesn't let local media paths climb out of their folder", async () => {
+        for (const path of ["/media/avatars/..%2Fvideos%2Fa.mp4", "/media/avatars/%2E%2E/videos/a.mp4"]) {
+            const res = await server.request(path);
+            assert.equal(res.status, 404);
+        }
+    });
+
+    it("doesn't show a hidden post to others", async (t) => {
+        const token = signIn(t, viewer);
+        const postId = objectId();
+        t.mock.method(Post, "aggregate", async () => [
+            { _id: postId, owner: { _id: owner._id }, hiddenAt: new Date() }
+        ]);
+
+        const res = await server.request(`/posts/${postId}`, { token });
+
+        assert.equal(res.status, 404);
+    });
+
+    it("doesn't let others like a hidden comment", async (t) => {
+        const token = signIn(t, viewer);
+        const target = video();
+        stubVideos(t, target);
+        const comment = { _id: objectId(), owner: owner._id, video: target._id, hiddenAt: new Date() };
+        t.mock.method(Comment, "findById", () => query(comment));
+
+        const res = await server.request(`/likes/toggle/c/${comment._id}`, { method: "POST", token });
+
+        assert.equal(res.status, 404);
+    });
+
+    it("doesn't let others like a comment on a draft video", async (t) => {
+        const token = signIn(t, viewer);
+        const target = video({ isPublished: false });
+        stubVideos(t, target);
+        const comment = { _id: objectId(), owner: owner._id, video: target._id, hiddenAt: null };
+        t.mock.method(Comment, "findById", () => query(comment));
+
+        const res = await server.request(`/likes/toggle/c/${comment._id}`, { method: "POST", token });
+
+        assert.equal(res.status, 404);
+    });
+
+    it("doesn't take replies under a hidden comment", async (t) => {
+        const token = signIn(t, viewer);
+        const target = video();
+        stubVideos(t, target);
+        const parent = new Comment({ owner: owner._id, video: target._id, content: "x", hiddenAt: new Date() });
+        t.mock.method(Comment, "findById", () => query(parent));
+        const create = t.mock.method(Comment, "create", async (doc) => doc);
+
+        const res = await server.request(`/comments/${target._id}`, {
+            method: "POST",
+            token,
+            body: { content: "reply", parentId: parent._id.toString() }
+        });
+
+        assert.equal(res.status, 404);
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it("doesn't take comments on a draft video", async (t) => {
+        const token = signIn(t, viewer);
+        const target = video({ isPublished: false });
+        stubVideos(t, target);
+        const create = t.mock.method(Comment, "create", async (doc) => doc);
+
+        const res = await server.request(`/comments/${target._id}`, {
+            method: "POST",
+            token,
+            body: { content: "hello" }
+        });
+
+        assert.equal(res.status, 404);
+        assert.equal(create.mock.callCount(), 0);
+    });
+});